@@ -11,6 +11,12 @@ import cors from "cors";
 // cookie-parser extracts cookies from request headers and makes them available in req.cookies
 import cookieParser from "cookie-parser";
 
+// Import the validated application configuration
+import { config } from "./config/index.js";
+
+// Import the request logging middleware (request IDs and one JSON log line per request)
+import { requestLogger } from "./middlewares/request-logger.middleware.js";
+
 // -----------------------------------------------------------------------------------------------
 // -----------------------------------------------------------------------------------------------
 
@@ -22,6 +28,10 @@ const app = express();
 // -----------------------------------------------------------------------------------------------
 // -----------------------------------------------------------------------------------------------
 
+// REQUEST LOGGING - Registered first so that every request (even an invalid one) has an ID and a log line
+// Sets req.id and the X-Request-Id response header, logs method, route, status and duration as JSON
+app.use(requestLogger);
+
 // BASIC MIDDLEWARE - Fundamental configurations for request parsing
 
 // Middleware to parse request body in JSON format
@@ -43,10 +53,11 @@ app.use(cookieParser());
 
 // Configure CORS middleware with specific options for security and functionality
 app.use(cors({
-    origin: process.env.CORS_ORIGIN?.split(",") || "http://localhost:5173",  // Authorized domains: from .env or localhost:5173 (Vite)
+    origin: config.cors.origins,  // Authorized domains: CORS_ORIGIN from .env (localhost:5173 - Vite - while developing)
     credentials: true,  // Allows sending cookies and authentication headers between different domains
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],  // Allowed HTTP methods
-    allowedHeaders: ["Content-Type", "Authorization"]  // Allowed headers in requests
+    allowedHeaders: ["Content-Type", "Authorization", "X-Request-Id"],  // Allowed headers in requests
+    exposedHeaders: ["RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "Retry-After", "X-Request-Id"]  // Headers readable by the browser client
 }));
 
 // -----------------------------------------------------------------------------------------------
@@ -60,15 +71,82 @@ import healthCheckRouter from "./routes/healthcheck.routes.js";
 // This router contains all routes related to authentication (login, registration, etc.)
 import authRouter from "./routes/auth.routes.js";
 
+// Import project router from project.routes.js file
+// This router contains all routes related to projects (CRUD operations)
+import projectRouter from "./routes/project.routes.js";
+
+// Import task router from task.routes.js file
+// This router contains all routes related to project tasks
+import taskRouter from "./routes/task.routes.js";
+
+// Import note router from note.routes.js file
+// This router contains all routes related to project notes
+import noteRouter from "./routes/note.routes.js";
+
+// Import invitation router from invitation.routes.js file
+// This router contains the routes used to read and answer project invitations
+import invitationRouter from "./routes/invitation.routes.js";
+
+// Import realtime router from realtime.routes.js file
+// This router contains the Server-Sent Events stream with the changes of the user's projects
+import realtimeRouter from "./routes/realtime.routes.js";
+
+// Import dev router from dev.routes.js file
+// This router contains development tools (disabled in production)
+import devRouter from "./routes/dev.routes.js";
+
+// Import the OpenAPI registry: every mounted API router is described in the generated documentation
+import { registerApiRouter } from "./utils/openapi.js";
+
+// Import docs router from docs.routes.js file
+// This router serves the OpenAPI document and the interactive documentation page
+import docsRouter from "./routes/docs.routes.js";
+
+// FUNCTION TO MOUNT AN API ROUTER
+// Mounts the router on the app and registers it with its base path for the OpenAPI document
+// (Express 5 doesn't keep the mount path of a router, so it can't be read back later)
+const mountRouter = (basePath, router) => {
+    app.use(basePath, router);
+    registerApiRouter(basePath, router);
+};
+
 // Mount health check router under the base path /api/v1/healthcheck
 // All routes defined in healthCheckRouter will be accessible via /api/v1/healthcheck/...
 // The v1 version in the URL allows future API evolutions while maintaining compatibility
-app.use("/api/v1/healthcheck", healthCheckRouter);
+mountRouter("/api/v1/healthcheck", healthCheckRouter);
 
 // Mount authentication router under the base path /api/v1/auth
 // All routes defined in authRouter will be accessible via /api/v1/auth/...
 // Example: /api/v1/auth/register for user registration
-app.use("/api/v1/auth", authRouter);
+mountRouter("/api/v1/auth", authRouter);
+
+// Mount project router under the base path /api/v1/projects
+// Example: /api/v1/projects/:projectId to read a single project
+mountRouter("/api/v1/projects", projectRouter);
+
+// Mount task router under the base path /api/v1/tasks
+// Example: /api/v1/tasks/:projectId/t/:taskId to read a single task
+mountRouter("/api/v1/tasks", taskRouter);
+
+// Mount note router under the base path /api/v1/notes
+// Example: /api/v1/notes/:projectId/n/:noteId to read a single note
+mountRouter("/api/v1/notes", noteRouter);
+
+// Mount invitation router under the base path /api/v1/invitations
+// Example: /api/v1/invitations/:invitationId/accept to join a project
+mountRouter("/api/v1/invitations", invitationRouter);
+
+// Mount real-time router under the base path /api/v1/realtime
+// Example: /api/v1/realtime/events to receive the changes of your projects (Server-Sent Events)
+mountRouter("/api/v1/realtime", realtimeRouter);
+
+// Mount dev router under the base path /api/v1/dev
+// Example: /api/v1/dev/outbox to read the latest queued emails
+mountRouter("/api/v1/dev", devRouter);
+
+// Mount docs router under the base path /api/v1/docs (not part of the documented API itself)
+// Example: /api/v1/docs/openapi.json for the OpenAPI 3.1 document, /api/v1/docs for the interactive page
+app.use("/api/v1/docs", docsRouter);
 
 // -----------------------------------------------------------------------------------------------
 // -----------------------------------------------------------------------------------------------
@@ -79,6 +157,19 @@ app.get('/', (req, res) => {  // GET route for the '/' path that serves as welco
     return res.status(200).json({ message: "Welcome to basecampy"});  // Responds with 200 OK status and welcome message in JSON format
 });
 
+// -----------------------------------------------------------------------------------------------
+// -----------------------------------------------------------------------------------------------
+// ERROR HANDLING - Must be registered after every route
+
+// Import the 404 and central error handling middlewares
+import { errorHandler, notFoundHandler } from "./middlewares/error.middleware.js";
+
+// Any request that did not match a route above receives a JSON 404 instead of the default HTML page
+app.use(notFoundHandler);
+
+// Every error thrown in controllers (or passed to next(err)) is serialized as an ApiError-shaped JSON body
+app.use(errorHandler);
+
 // -----------------------------------------------------------------------------------------------
 // -----------------------------------------------------------------------------------------------
 
@@ -0,0 +1,290 @@
+// Import dotenv to load the variables of the .env file into process.env
+// Loaded here (and not in index.js) because ES modules are evaluated before the code of index.js runs:
+// every module that imports the config sees the variables of the .env file
+import dotenv from "dotenv";
+
+// Import Node.js fs module to read the version from package.json
+import fs from "fs";
+
+dotenv.config({
+  path: "./.env",  // .env file in the project root
+  quiet: true,  // The configuration report below is enough, no dotenv banner
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// APPLICATION CONFIGURATION
+// Every setting of the application is read from the environment HERE and nowhere else.
+// Values are parsed (numbers, URLs, lists, enums...) and validated once at boot:
+// index.js logs every problem at once and stops before connecting to anything.
+//
+// A default can depend on NODE_ENV: { development: ..., test: ..., production: ... }
+// A variable without default (for the current environment) is required
+//-----------------------------------------------------------------------------------------------------------
+
+const ENVIRONMENTS = ["development", "test", "production"];
+
+const NODE_ENV = process.env.NODE_ENV || "development";
+
+// Problems found while reading the variables, reported by index.js
+const configErrors = [];
+
+if (!ENVIRONMENTS.includes(NODE_ENV)) {
+  configErrors.push(`NODE_ENV must be one of: ${ENVIRONMENTS.join(", ")} (received "${NODE_ENV}")`);
+}
+
+//-----------------------------------------------------------------------------------------------------------
+// PARSERS
+// Every parser receives the raw string and returns the typed value or throws a readable message
+//-----------------------------------------------------------------------------------------------------------
+const parsers = {
+  string: (value) => value,
+
+  integer: (value, { min = -Infinity, max = Infinity } = {}) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw new Error(`must be an integer between ${min} and ${max}`);
+    }
+    return number;
+  },
+
+  url: (value) => {
+    try {
+      return new URL(value).toString().replace(/\/$/, "");  // Without trailing slash, paths are appended
+    } catch {
+      throw new Error("must be a valid URL (ex: http://localhost:5173)");
+    }
+  },
+
+  list: (value) =>
+    value
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean),
+
+  boolean: (value) => {
+    if (!["true", "false", "1", "0"].includes(value.toLowerCase())) {
+      throw new Error("must be true or false");
+    }
+    return ["true", "1"].includes(value.toLowerCase());
+  },
+
+  enum: (value, { values }) => {
+    if (!values.includes(value)) {
+      throw new Error(`must be one of: ${values.join(", ")}`);
+    }
+    return value;
+  },
+
+  // Same format accepted by jsonwebtoken for expiresIn: seconds or a number with a unit (15m, 1d...)
+  duration: (value) => {
+    if (!/^\d+(\.\d+)?\s*(ms|s|m|h|d|w|y)?$/i.test(value)) {
+      throw new Error("must be a duration like 900, 15m, 12h or 7d");
+    }
+    return /^\d+$/.test(value) ? Number(value) : value;
+  },
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO READ ONE VARIABLE
+// names: variable name, or several names tried in order (ex: SMTP_HOST then the legacy MAILTRAP_SMTP_HOST)
+//-----------------------------------------------------------------------------------------------------------
+const read = (names, { type = "string", default: defaults, required = true, ...options } = {}) => {
+  const [name, ...aliases] = [].concat(names);
+
+  const raw = [name, ...aliases]
+    .map((variable) => process.env[variable])
+    .find((value) => value !== undefined && value.trim() !== "");
+
+  // Defaults can be different for every environment
+  const fallback =
+    defaults !== null && typeof defaults === "object" && !Array.isArray(defaults)
+      ? defaults[NODE_ENV]
+      : defaults;
+
+  if (raw === undefined) {
+    if (fallback === undefined && required) {
+      configErrors.push(`${name} is required`);
+    }
+    return fallback;
+  }
+
+  try {
+    return parsers[type](raw.trim(), options);
+  } catch (error) {
+    configErrors.push(`${name} ${error.message} (received "${raw}")`);
+    return fallback;
+  }
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// SETTINGS
+//-----------------------------------------------------------------------------------------------------------
+
+// Version of the application, read once from package.json
+const { version } = JSON.parse(
+  fs.readFileSync(new URL("../../package.json", import.meta.url), "utf-8"),
+);
+
+const mailTransport = read("MAIL_TRANSPORT", {
+  type: "enum",
+  values: ["smtp", "file"],
+  default: { development: "smtp", test: "file", production: "smtp" },
+});
+
+// SMTP settings are required only when emails are really sent through SMTP
+const smtpRequired = mailTransport === "smtp";
+
+const config = {
+  env: NODE_ENV,
+  isProduction: NODE_ENV === "production",
+  version,
+
+  // HTTP server
+  port: read("PORT", { type: "integer", min: 1, max: 65535, default: 3000 }),
+  cors: {
+    origins: read("CORS_ORIGIN", {
+      type: "list",
+      default: { development: ["http://localhost:5173"], test: ["http://localhost:5173"] },
+    }),
+  },
+  shutdownTimeoutMs: read("SHUTDOWN_TIMEOUT_MS", { type: "integer", min: 0, default: 10000 }),
+
+  // Database
+  mongo: {
+    uri: read("MONGO_URI"),
+  },
+
+  // Tokens
+  auth: {
+    accessTokenSecret: read("ACCESS_TOKEN_SECRET"),
+    accessTokenExpiry: read("ACCESS_TOKEN_EXPIRY", {
+      type: "duration",
+      default: { development: "1d", test: "15m" },
+    }),
+    refreshTokenSecret: read("REFRESH_TOKEN_SECRET"),
+    refreshTokenExpiry: read("REFRESH_TOKEN_EXPIRY", {
+      type: "duration",
+      default: { development: "10d", test: "1d" },
+    }),
+    twoFactorIssuer: read("TWO_FACTOR_ISSUER", { default: "Project Camp" }),
+  },
+
+  // Links of the front end put in emails
+  urls: {
+    forgotPasswordRedirect: read("FORGOT_PASSWORD_REDIRECT_URL", {
+      type: "url",
+      default: {
+        development: "http://localhost:5173/reset-password",
+        test: "http://localhost:5173/reset-password",
+      },
+    }),
+    invitationRedirect: read("INVITATION_REDIRECT_URL", { type: "url", required: false }),
+  },
+
+  // Emails
+  mail: {
+    transport: mailTransport,
+    from: read("MAIL_FROM", { default: "mail.taskmanager@example.com" }),
+    fileDir: read("MAIL_FILE_DIR", { default: "./tmp/mails" }),
+    outboxPollMs: read("MAIL_OUTBOX_POLL_MS", { type: "integer", min: 100, default: 5000 }),
+    smtp: {
+      host: read(["SMTP_HOST", "MAILTRAP_SMTP_HOST"], { required: smtpRequired }),
+      port: read(["SMTP_PORT", "MAILTRAP_SMTP_PORT"], {
+        type: "integer",
+        min: 1,
+        max: 65535,
+        default: 587,
+      }),
+      user: read(["SMTP_USER", "MAILTRAP_SMTP_USER"], { required: false }),
+      pass: read(["SMTP_PASS", "MAILTRAP_SMTP_PASS"], { required: false }),
+    },
+    branding: {
+      name: read("MAIL_PRODUCT_NAME", { default: "Task Manager" }),
+      link: read("MAIL_PRODUCT_LINK", { type: "url", default: "https://taskmanagerlink.com" }),
+      logo: read("MAIL_PRODUCT_LOGO", { type: "url", required: false }),
+    },
+  },
+
+  // Rate limiting
+  rateLimit: {
+    store: read("RATE_LIMIT_STORE", {
+      type: "enum",
+      values: ["memory", "mongo"],
+      default: "memory",
+    }),
+  },
+
+  // Real-time events (Server-Sent Events, see utils/realtime.js)
+  realtime: {
+    pubsub: read("REALTIME_PUBSUB", { type: "enum", values: ["memory"], default: "memory" }),
+    heartbeatMs: read("REALTIME_HEARTBEAT_MS", { type: "integer", min: 1000, default: 25000 }),
+  },
+
+  // Outgoing webhooks (see utils/webhook-outbox.js)
+  webhooks: {
+    pollMs: read("WEBHOOK_POLL_MS", { type: "integer", min: 100, default: 5000 }),
+    timeoutMs: read("WEBHOOK_TIMEOUT_MS", { type: "integer", min: 1000, max: 60000, default: 10000 }),
+    // Local and private network addresses are refused in production: project admins must not be able
+    // to make the server call internal services. Allowed by default elsewhere to test with a local receiver
+    allowPrivateUrls: read("WEBHOOK_ALLOW_PRIVATE_URLS", {
+      type: "boolean",
+      default: { development: true, test: true, production: false },
+    }),
+  },
+
+  // Development tools (see routes/dev.routes.js)
+  dev: {
+    // GET /api/v1/dev/outbox shows the text of queued emails, verification and reset links included:
+    // opt-in only, never in production
+    outboxEnabled: read("DEV_OUTBOX_ENABLED", { type: "boolean", default: false }),
+  },
+
+  // Logs (JSON lines, see utils/logger.js)
+  logLevel: read("LOG_LEVEL", {
+    type: "enum",
+    values: ["error", "warn", "info", "debug"],
+    default: { development: "debug", test: "warn", production: "info" },
+  }),
+
+  // Health checks
+  health: {
+    minFreeDiskMb: read("HEALTH_MIN_FREE_DISK_MB", { type: "integer", min: 0, default: 100 }),
+    // The readiness probe is public: version, memory, disk space and error messages help an attacker,
+    // so by default production only answers the status of every check
+    detailsEnabled: read("HEALTH_DETAILS_ENABLED", {
+      type: "boolean",
+      default: { development: true, test: true, production: false },
+    }),
+  },
+};
+
+// PRODUCTION RULES
+// Short secrets can be brute forced offline from any token: require at least 32 characters
+if (config.isProduction) {
+  for (const [name, value] of [
+    ["ACCESS_TOKEN_SECRET", config.auth.accessTokenSecret],
+    ["REFRESH_TOKEN_SECRET", config.auth.refreshTokenSecret],
+  ]) {
+    if (value && value.length < 32) {
+      configErrors.push(`${name} must be at least 32 characters long in production`);
+    }
+  }
+}
+
+// The dev outbox exposes account links: refuse to start instead of silently ignoring the flag
+if (config.isProduction && config.dev.outboxEnabled) {
+  configErrors.push("DEV_OUTBOX_ENABLED can't be enabled in production");
+}
+
+// Freeze the configuration: settings never change while the server is running
+const deepFreeze = (object) => {
+  Object.values(object).forEach((value) => {
+    if (value && typeof value === "object") deepFreeze(value);
+  });
+  return Object.freeze(object);
+};
+
+deepFreeze(config);
+
+// Export the configuration and the validation report
+export { config, configErrors };
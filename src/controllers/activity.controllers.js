@@ -0,0 +1,90 @@
+// Import the Activity model
+import { Activity } from "../models/activity.models.js";
+
+// Import the User model to show the members targeted by member activities
+import { User } from "../models/user.models.js";
+
+// Import the ApiResponse class to send standardized and consistent API responses
+import { ApiResponse } from "../utils/api-response.js";
+
+// Import matchedData to read the query string checked and converted by the validators
+import { matchedData } from "express-validator";
+
+// Import the asyncHandler wrapper to automatically handle errors in asynchronous functions
+import { asyncHandler } from "../utils/async-handler.js";
+
+// Import mongoose to use Types.ObjectId in queries
+import mongoose from "mongoose";
+
+// Query string checked by activityFeedQueryValidator: { limit, cursor?, actor?, type? (list) }
+const readActivityQuery = (req) => {
+  const { limit, cursor, actor, type } = matchedData(req, { locations: ["query"] });
+
+  return {
+    limit,
+    filters: {
+      ...(cursor && { _id: { $lt: new mongoose.Types.ObjectId(cursor) } }),
+      ...(actor && { actor: new mongoose.Types.ObjectId(actor) }),
+      ...(type && { type: { $in: type } }),
+    },
+  };
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO READ THE ACTIVITY FEED OF A PROJECT
+// Newest first, paginated with a cursor: the response contains nextCursor (null on the last page)
+// Only the activities visible to the role of the caller in the project are returned
+//-----------------------------------------------------------------------------------------------------------
+const getProjectActivity = asyncHandler(async (req, res) => {
+  // Extract the project ID from the URL parameters and the paging from the query string
+  const { projectId } = req.params;
+  const { limit, filters } = readActivityQuery(req);
+
+  // One more activity than requested tells whether another page exists
+  // (_id grows with time, so it orders the feed and works as a stable cursor)
+  const activities = await Activity.find({
+    project: new mongoose.Types.ObjectId(projectId),
+    visibleTo: req.user.role,  // Role in the project, set by validateProjectPermission
+    ...filters,
+  })
+    .select("-visibleTo")
+    .populate("actor", "username fullName avatar")
+    .sort({ _id: -1 })
+    .limit(limit + 1);
+
+  const hasMore = activities.length > limit;
+  const page = activities.slice(0, limit).map((activity) => activity.toObject());
+
+  // Member activities target a user: add their public fields (the user may have been deleted since)
+  const targetUserIds = page
+    .filter((activity) => activity.targetModel === "User")
+    .map((activity) => activity.target);
+
+  if (targetUserIds.length > 0) {
+    const users = await User.find({ _id: { $in: targetUserIds } }).select(
+      "username fullName avatar",
+    );
+    const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+
+    page.forEach((activity) => {
+      if (activity.targetModel === "User") {
+        activity.targetUser = usersById.get(activity.target.toString()) || null;
+      }
+    });
+  }
+
+  // SUCCESS RESPONSE
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        activities: page,
+        nextCursor: hasMore ? page[page.length - 1]._id : null,
+      },
+      "Project activity fetched successfully",
+    ),
+  );
+});
+
+// Export the activity controllers
+export { getProjectActivity };
@@ -0,0 +1,95 @@
+// Import the AuditEvent model
+import { AuditEvent } from "../models/auditevent.models.js";
+
+// Import matchedData to read the query string checked and converted by the validators
+import { matchedData } from "express-validator";
+
+// Import the ApiResponse class to send standardized and consistent API responses
+import { ApiResponse } from "../utils/api-response.js";
+
+// Import the asyncHandler wrapper to automatically handle errors in asynchronous functions
+import { asyncHandler } from "../utils/async-handler.js";
+
+// Import mongoose to use Types.ObjectId in queries
+import mongoose from "mongoose";
+
+// Query string checked by auditEventsQueryValidator: { page, limit, action?, outcome? }
+const readAuditQuery = (req) => {
+  const { page, limit, ...filters } = matchedData(req, { locations: ["query"] });
+  return { page, limit, filters };
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO READ ONE PAGE OF EVENTS
+// Newest first, with the public fields of the users involved
+//-----------------------------------------------------------------------------------------------------------
+const findAuditPage = async (match, { page, limit }) => {
+  const [events, total] = await Promise.all([
+    AuditEvent.find(match)
+      .populate("actor", "username fullName avatar")
+      .populate("targetUser", "username fullName avatar")
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    AuditEvent.countDocuments(match),
+  ]);
+
+  return {
+    events,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO LIST THE AUDIT EVENTS OF A PROJECT (admin)
+// Member additions, role changes, removals and denied accesses
+//-----------------------------------------------------------------------------------------------------------
+const getProjectAuditEvents = asyncHandler(async (req, res) => {
+  // Extract the project ID from the URL parameters and the paging from the query string
+  const { projectId } = req.params;
+  const { page, limit, filters } = readAuditQuery(req);
+
+  const data = await findAuditPage(
+    { project: new mongoose.Types.ObjectId(projectId), ...filters },
+    { page, limit },
+  );
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, data, "Audit events fetched successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO LIST THE ACCOUNT ACTIVITY OF THE CURRENT USER
+// Events performed by the user or concerning their account (ex: failed logins from another device)
+//-----------------------------------------------------------------------------------------------------------
+const getMyAuditEvents = asyncHandler(async (req, res) => {
+  // Extract the paging from the query string
+  const { page, limit, filters } = readAuditQuery(req);
+
+  const data = await findAuditPage(
+    { $or: [{ actor: req.user._id }, { targetUser: req.user._id }], ...filters },
+    { page, limit },
+  );
+
+  // The IP and user agent of an event belong to its actor: they are only shown for the user's own actions,
+  // not for events done by someone else on the account (ex: an admin changing their role, a failed login)
+  data.events = data.events.map((event) => {
+    const { ip, userAgent, ...fields } = event.toObject();
+    return event.actor?._id.equals(req.user._id) ? { ...fields, ip, userAgent } : fields;
+  });
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, data, "Account activity fetched successfully"));
+});
+
+// Export the audit controllers
+export { getProjectAuditEvents, getMyAuditEvents };
@@ -1,5 +1,21 @@
 // Import the User model to interact with the users collection in the database
-import { User } from "../models/user.models.js";
+import { User, USER_SENSITIVE_FIELDS } from "../models/user.models.js";
+
+// Import the Session model to manage one login session per device
+import { Session } from "../models/session.models.js";
+
+// Import the Invitation model to show the pending invitations after email verification
+import { Invitation } from "../models/invitation.models.js";
+
+// Import the validated application configuration
+import { config } from "../config/index.js";
+
+// Import the structured logger
+import { logger } from "../utils/logger.js";
+
+// Import the audit log helpers and actions (security relevant events)
+import { AuditActionEnum } from "../models/auditevent.models.js";
+import { recordAuditEvent, recordAuditFailure } from "../utils/audit.js";
 
 // Import the ApiResponse class to send standardized and consistent API responses
 import { ApiResponse } from "../utils/api-response.js";
@@ -10,12 +26,17 @@ import { ApiError } from "../utils/api-error.js";
 // Import the asyncHandler wrapper to automatically handle errors in asynchronous functions
 import { asyncHandler } from "../utils/async-handler.js";
 
-// Import functions for email management: templates and sending function
-import {
-  emailVerificationMailgenContent,
-  forgotPasswordMailgenContent,
-  sendEmail,
-} from "../utils/mail.js";
+// Import the email sending function (contents come from the localized template registry)
+import { sendEmail } from "../utils/mail.js";
+
+// Import the image helpers to validate and resize uploaded avatars
+import { createSquareVariants, detectImageType } from "../utils/image.js";
+
+// Import the helper that removes uploaded files from disk
+import { removeLocalFile } from "../utils/file.js";
+
+// Import the TOTP helpers for two-factor authentication
+import { buildOtpauthUri, generateTotpSecret, verifyTotp } from "../utils/totp.js";
 
 // Import the jsonwebtoken library to verify and generate JWT tokens
 import jwt from "jsonwebtoken";
@@ -23,30 +44,51 @@ import jwt from "jsonwebtoken";
 // Import Node.js crypto module for cryptographic operations (hashing)
 import crypto from "crypto";
 
+// Import mongoose to recognize the VersionError of a concurrent session update
+import mongoose from "mongoose";
+
 //-----------------------------------------------------------------------------------------------------------
 // FUNCTION TO GENERATE ACCESS AND REFRESH TOKENS
-// This function creates and saves both access token and refresh token for a user
+// This function creates both tokens and stores the refresh token hash in a session
+// - on login no session is passed: a new session is created for the device
+// - on refresh the existing session is passed: its refresh token is replaced
 //-----------------------------------------------------------------------------------------------------------
-const generateAccessAndRefreshTokens = async (userId) => {
+const generateAccessAndRefreshTokens = async (userId, req, session = null) => {
   try {
     // Find the user in the database using the provided ID
     const user = await User.findById(userId);
+
+    // If no session was given, open a new one for the device making the request
+    if (!session) {
+      session = new Session({
+        user: user._id,
+        userAgent: req.get("user-agent") || "",  // Device description (browser, app...)
+        ip: req.ip,  // IP address of the client
+      });
+    }
     
-    // Generate a new access token using the method defined in the User schema
-    const accessToken = user.generateAccessToken();
-    
-    // Generate a new refresh token using the method defined in the User schema
-    const refreshToken = user.generateRefreshToken();
+    // Generate a new access token bound to the session
+    const accessToken = user.generateAccessToken(session._id);
+
+    // Generate a new refresh token bound to the session
+    const refreshToken = user.generateRefreshToken(session._id);
 
-    // Save the refresh token in the user (will be stored in the database)
-    user.refreshToken = refreshToken;
+    // Store only the hash of the refresh token and update the session usage data
+    session.refreshTokenHash = Session.hashToken(refreshToken);
+    session.lastUsedAt = new Date();
+    session.expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);  // Same expiry of the token
     
-    // Save the user to the database disabling validation before saving
-    await user.save({ validateBeforeSave: false });
+    // Save the session to the database
+    await session.save();
     
-    // Return both tokens as an object
-    return { accessToken, refreshToken };
+    // Return both tokens and the session as an object
+    return { accessToken, refreshToken, session };
   } catch (error) {
+    // A concurrent refresh rotated the session first: refreshAccessToken answers it
+    if (error instanceof mongoose.Error.VersionError) {
+      throw error;
+    }
+
     // If something goes wrong, throw a standardized API error
     throw new ApiError(
       500,  // Status code 500 - Internal Server Error
@@ -55,13 +97,118 @@ const generateAccessAndRefreshTokens = async (userId) => {
   }
 };
 
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO FIND THE CURRENT SESSION
+// The current session is the one whose refresh token was sent by the client (cookie or body)
+//-----------------------------------------------------------------------------------------------------------
+const findCurrentSession = async (req) => {
+  // Extract refresh token from cookies or request body
+  const incomingRefreshToken =
+    req.cookies?.refreshToken || req.body?.refreshToken;
+
+  // Without refresh token the current session cannot be identified
+  if (!incomingRefreshToken) {
+    return null;
+  }
+
+  // Find the session of the user that holds this refresh token
+  return await Session.findOne({
+    user: req.user._id,
+    refreshTokenHash: Session.hashToken(incomingRefreshToken),
+  });
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO REJECT LOGIN ON LOCKED ACCOUNTS
+// After too many wrong passwords (or 2FA codes) the account is temporarily locked, even with the right password
+// action: audit action of the rejected attempt (login, or another endpoint that checks the password)
+//-----------------------------------------------------------------------------------------------------------
+const ensureAccountNotLocked = async (user, req, res, action = AuditActionEnum.LOGIN) => {
+  const lockRemainingSeconds = user.getLockRemainingSeconds();
+
+  if (lockRemainingSeconds > 0) {
+    await recordAuditFailure(req, {
+      action,
+      targetUser: user._id,
+      reason: "Account locked",
+    });
+
+    res.set("Retry-After", String(lockRemainingSeconds));
+    throw new ApiError(
+      423,  // Status code 423 - Locked
+      "Account temporarily locked because of too many failed login attempts",
+    );
+  }
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO VERIFY A TWO-FACTOR CODE
+// Accepts a TOTP code (never the same one twice) or an unused recovery code
+// The user must be loaded with "+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep"
+//-----------------------------------------------------------------------------------------------------------
+const verifyTwoFactorCode = (user, code) => {
+  // Try the code as TOTP code first
+  const step = verifyTotp(user.twoFactorSecret, code);
+
+  // A TOTP code is accepted only once: its time step must be newer than the last used one
+  if (step !== null && step > (user.twoFactorLastUsedStep ?? -1)) {
+    user.twoFactorLastUsedStep = step;
+    return true;
+  }
+
+  // Otherwise try it as recovery code (removed from the list if valid)
+  return user.useTwoFactorRecoveryCode(code);
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO COMPLETE A LOGIN
+// Opens a new session, sets the cookies and sends the logged in user with the tokens
+// Used by both the password login and the second (2FA) login step
+//-----------------------------------------------------------------------------------------------------------
+const sendLoginResponse = async (req, res, userId) => {
+  // Generate new access and refresh tokens for the user
+  // A new session is created for the device making the request
+  const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(
+    userId,
+    req,
+  );
+
+  // Retrieve user data without sensitive information
+  const loggedInUser = await User.findById(userId).select(
+    USER_SENSITIVE_FIELDS,
+  );
+
+  // Configure cookie options
+  const options = {
+    httpOnly: true,  // Cookies are not accessible via JavaScript (better security)
+    secure: true,    // Cookies are sent only over HTTPS connections
+  };
+
+  // SUCCESS RESPONSE WITH COOKIES AND TOKENS
+  return res
+    .status(200)
+    .cookie("accessToken", accessToken, options)  // Set access token cookie
+    .cookie("refreshToken", refreshToken, options)  // Set refresh token cookie
+    .json(
+      new ApiResponse(
+        200,
+        {
+          user: loggedInUser,  // User data without sensitive information
+          accessToken,         // Access token included in response (for clients not using cookies)
+          refreshToken,        // Refresh token included in response
+        },
+        "User logged in successfully",  // Success message
+      ),
+    );
+};
+
 //-----------------------------------------------------------------------------------------------------------
 // CONTROLLER FOR USER REGISTRATION
 // Handles the complete process of registering a new user
 //-----------------------------------------------------------------------------------------------------------
 const registerUser = asyncHandler(async (req, res) => {
   // Extract data from the request body
-  const { email, username, password, role } = req.body;
+  const { email, username, password, role, preferredLanguage } = req.body;
 
   // CHECK FOR EXISTING USER
   // Verify if a user with the same email or username already exists
@@ -81,6 +228,7 @@ const registerUser = asyncHandler(async (req, res) => {
     email,           // User's email
     password,        // Password (will be automatically hashed by the pre-save middleware)
     username,        // Unique username
+    preferredLanguage,  // Language of the emails (English if not provided)
     isEmailVerified: false,  // Set email as unverified initially
   });
 
@@ -102,20 +250,20 @@ const registerUser = asyncHandler(async (req, res) => {
   // Send the verification email to the user's email address
   await sendEmail({
     email: user?.email,  // Recipient's email address
-    subject: "Please verify your email",  // Email subject
-    // Generate email content using the predefined template
-    mailgenContent: emailVerificationMailgenContent(
-      user.username,  // Username to personalize the email
+    template: "emailVerification",  // Template of the registry (subject and content)
+    language: user.preferredLanguage,  // Email rendered in the user's language
+    data: {
+      username: user.username,  // Username to personalize the email
       // Build the complete verification URL
-      `${req.protocol}://${req.get("host")}/api/v1/users/verify-email/${unHashedToken}`,
-    ),
+      verificationUrl: `${req.protocol}://${req.get("host")}/api/v1/auth/verify-email/${unHashedToken}`,
+    },
   });
 
   // RETRIEVE CREATED USER (WITHOUT SENSITIVE DATA)
   // Search for the newly created user excluding sensitive fields
   const createdUser = await User.findById(user._id).select(
-    // Exclude from response: password, refreshToken and email verification tokens
-    "-password -refreshToken -emailVerificationToken -emailVerificationExpiry",
+    // Exclude from response: password, verification/reset tokens and lockout data
+    USER_SENSITIVE_FIELDS,
   );
 
   // SECURITY CHECK
@@ -155,68 +303,143 @@ const login = asyncHandler(async (req, res) => {
 
   // If user is not found, throw an error
   if (!user) {
+    await recordAuditFailure(req, {
+      action: AuditActionEnum.LOGIN,
+      targetEmail: email,
+      reason: "User does not exist",
+    });
     throw new ApiError(400, "User does not exist");
   }
 
+  // ACCOUNT LOCKOUT
+  await ensureAccountNotLocked(user, req, res);
+
   // Verify if the provided password is correct
   const isPasswordValid = await user.isPasswordCorrect(password);
 
-  // If password is not valid, throw an error
+  // If password is not valid, count the failure (may lock the account) and throw an error
   if (!isPasswordValid) {
+    await user.registerFailedLogin();
+    await recordAuditFailure(req, {
+      action: AuditActionEnum.LOGIN,
+      targetUser: user._id,
+      reason: "Invalid credentials",
+    });
     throw new ApiError(400, "Invalid credentials");
   }
 
-  // Generate new access and refresh tokens for the user
-  const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(
-    user._id,
-  );
-
-  // Retrieve user data without sensitive information
-  const loggedInUser = await User.findById(user._id).select(
-    "-password -refreshToken -emailVerificationToken -emailVerificationExpiry",
-  );
-
-  // Configure cookie options
-  const options = {
-    httpOnly: true,  // Cookies are not accessible via JavaScript (better security)
-    secure: true,    // Cookies are sent only over HTTPS connections
-  };
-
-  // SUCCESS RESPONSE WITH COOKIES AND TOKENS
-  return res
-    .status(200)
-    .cookie("accessToken", accessToken, options)  // Set access token cookie
-    .cookie("refreshToken", refreshToken, options)  // Set refresh token cookie
-    .json(
+  // TWO-FACTOR AUTHENTICATION
+  // The password is correct but a TOTP code is still needed: no tokens or cookies yet,
+  // only a short-lived challenge token to send to /login/2fa with the code
+  if (user.twoFactorEnabled) {
+    return res.status(200).json(
       new ApiResponse(
         200,
         {
-          user: loggedInUser,  // User data without sensitive information
-          accessToken,         // Access token included in response (for clients not using cookies)
-          refreshToken,        // Refresh token included in response
+          twoFactorRequired: true,
+          challengeToken: user.generateTwoFactorChallengeToken(),
         },
-        "User logged in successfully",  // Success message
+        "Two-factor authentication code required",
       ),
     );
+  }
+
+  // Successful login: forget previous failures
+  await user.resetFailedLogins();
+
+  await recordAuditEvent(req, {
+    action: AuditActionEnum.LOGIN,
+    actor: user._id,
+    targetUser: user._id,
+    metadata: { twoFactor: false },
+  });
+
+  // Open the session and send tokens and cookies
+  return sendLoginResponse(req, res, user._id);
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER FOR THE SECOND LOGIN STEP (2FA)
+// Exchanges the challenge token and a TOTP (or recovery) code for the real tokens
+//-----------------------------------------------------------------------------------------------------------
+const loginTwoFactor = asyncHandler(async (req, res) => {
+  // Extract challenge token and code from the request body
+  const { challengeToken, code } = req.body;
+
+  // Verify and decode the challenge token
+  let decodedToken;
+  try {
+    decodedToken = jwt.verify(challengeToken, config.auth.accessTokenSecret);
+  } catch (error) {
+    decodedToken = null;
+  }
+
+  // Only challenge tokens are accepted here (not access tokens signed with the same secret)
+  if (decodedToken?.purpose !== "2fa-challenge") {
+    await recordAuditFailure(req, {
+      action: AuditActionEnum.LOGIN,
+      reason: "Invalid two-factor challenge token",
+    });
+    throw new ApiError(401, "Challenge token is invalid or expired");
+  }
+
+  // Find the user together with the 2FA secret fields
+  const user = await User.findById(decodedToken._id).select(
+    "+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep",
+  );
+
+  // The user must still exist and still have 2FA enabled
+  if (!user || !user.twoFactorEnabled) {
+    throw new ApiError(401, "Challenge token is invalid or expired");
+  }
+
+  // ACCOUNT LOCKOUT - wrong codes count as failed logins too
+  await ensureAccountNotLocked(user, req, res);
+
+  // Verify the code: a wrong code counts as failed login (may lock the account)
+  if (!verifyTwoFactorCode(user, code)) {
+    await user.registerFailedLogin();
+    await recordAuditFailure(req, {
+      action: AuditActionEnum.LOGIN,
+      targetUser: user._id,
+      reason: "Invalid two-factor code",
+    });
+    throw new ApiError(400, "Invalid two-factor code");
+  }
+
+  // Save the used TOTP step or the consumed recovery code, then forget previous failures
+  await user.save({ validateBeforeSave: false });
+  await user.resetFailedLogins();
+
+  await recordAuditEvent(req, {
+    action: AuditActionEnum.LOGIN,
+    actor: user._id,
+    targetUser: user._id,
+    metadata: { twoFactor: true },
+  });
+
+  // Open the session and send tokens and cookies
+  return sendLoginResponse(req, res, user._id);
 });
 
 //-----------------------------------------------------------------------------------------------------------
 // CONTROLLER FOR USER LOGOUT
-// Handles logout by removing refresh token and clearing cookies
+// Handles logout by closing the current session and clearing cookies
+// Sessions opened on other devices stay active
 //-----------------------------------------------------------------------------------------------------------
 const logoutUser = asyncHandler(async (req, res) => {
-  // Remove refresh token from the user document in the database
-  await User.findByIdAndUpdate(
-    req.user._id,  // User ID extracted from JWT token (added by verifyJWT middleware)
-    {
-      $set: {
-        refreshToken: "",  // Set refresh token to empty string
-      },
-    },
-    {
-      new: true,  // Return the updated document
-    },
-  );
+  // Find the session of this device (identified by its refresh token)
+  const session = await findCurrentSession(req);
+
+  // Delete the session so its refresh token can no longer be used
+  if (session) {
+    await session.deleteOne();
+  }
+
+  await recordAuditEvent(req, {
+    action: AuditActionEnum.LOGOUT,
+    targetUser: req.user._id,
+  });
   
   // Configure cookie options (must match those used in login)
   const options = {
@@ -243,6 +466,59 @@ const getCurrentUser = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, req.user, "Current user fetched successfully"));
 });
 
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO UPDATE THE CURRENT USER PROFILE
+// Updates fullName, username and preferredLanguage (only the fields that are sent)
+//-----------------------------------------------------------------------------------------------------------
+const updateCurrentUser = asyncHandler(async (req, res) => {
+  // Extract profile fields from the request body
+  // (Express 5 leaves req.body undefined when the request has no body: nothing to change then)
+  const { fullName, username, preferredLanguage } = req.body ?? {};
+
+  // Find user by ID (extracted from JWT token)
+  const user = await User.findById(req.user?._id);
+
+  // USERNAME CHANGE
+  // The validator already guarantees a lowercase username, here we check that nobody else uses it
+  if (username !== undefined && username !== user.username) {
+    const existedUser = await User.findOne({
+      username,
+      _id: { $ne: user._id },  // Exclude the current user
+    });
+
+    if (existedUser) {
+      throw new ApiError(409, "Username is already taken", [
+        { username: "Username is already taken" },
+      ]);
+    }
+
+    user.username = username;
+  }
+
+  // Update the full name if provided
+  if (fullName !== undefined) {
+    user.fullName = fullName;
+  }
+
+  // Update the email language if provided
+  if (preferredLanguage !== undefined) {
+    user.preferredLanguage = preferredLanguage;
+  }
+
+  // Save changes (the unique index on username still protects against concurrent changes)
+  await user.save({ validateBeforeSave: false });
+
+  // Retrieve user data without sensitive information
+  const updatedUser = await User.findById(user._id).select(
+    USER_SENSITIVE_FIELDS,
+  );
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, updatedUser, "Profile updated successfully"));
+});
+
 //-----------------------------------------------------------------------------------------------------------
 // CONTROLLER FOR EMAIL VERIFICATION
 // Handles email address verification via token
@@ -270,6 +546,10 @@ const verifyEmail = asyncHandler(async (req, res) => {
 
   // If no user is found, the token is invalid or expired
   if (!user) {
+    await recordAuditFailure(req, {
+      action: AuditActionEnum.EMAIL_VERIFICATION,
+      reason: "Token is invalid or expired",
+    });
     throw new ApiError(400, "Token is invalid or expired");
   }
 
@@ -283,12 +563,24 @@ const verifyEmail = asyncHandler(async (req, res) => {
   // Save changes disabling validation
   await user.save({ validateBeforeSave: false });
 
+  await recordAuditEvent(req, {
+    action: AuditActionEnum.EMAIL_VERIFICATION,
+    actor: user._id,
+    targetUser: user._id,
+    targetEmail: user.email,
+  });
+
+  // Projects may have invited this email before the account existed:
+  // now that the address is verified the user can see and accept those invitations
+  const pendingInvitations = await Invitation.findOpenForEmail(user.email);
+
   // SUCCESS RESPONSE
   return res.status(200).json(
     new ApiResponse(
       200,
       {
         isEmailVerified: true,  // Confirm that email has been verified
+        pendingInvitations,  // Open project invitations sent to this email
       },
       "Email is verified",  // Success message
     ),
@@ -327,12 +619,13 @@ const resendEmailVerification = asyncHandler(async (req, res) => {
   // Send the new verification email
   await sendEmail({
     email: user?.email,  // Recipient's email address
-    subject: "Please verify your email",  // Email subject
-    mailgenContent: emailVerificationMailgenContent(
-      user.username,  // Username to personalize the email
+    template: "emailVerification",  // Template of the registry (subject and content)
+    language: user.preferredLanguage,  // Email rendered in the user's language
+    data: {
+      username: user.username,  // Username to personalize the email
       // Build the new verification URL
-      `${req.protocol}://${req.get("host")}/api/v1/users/verify-email/${unHashedToken}`,
-    ),
+      verificationUrl: `${req.protocol}://${req.get("host")}/api/v1/auth/verify-email/${unHashedToken}`,
+    },
   });
 
   // SUCCESS RESPONSE
@@ -348,31 +641,50 @@ const resendEmailVerification = asyncHandler(async (req, res) => {
 const refreshAccessToken = asyncHandler(async (req, res) => {
   // Extract refresh token from cookies or request body
   const incomingRefreshToken =
-    req.cookies.refreshToken || req.body.refreshToken;
+    req.cookies?.refreshToken || req.body?.refreshToken;
 
   // Verify that refresh token is present
   if (!incomingRefreshToken) {
     throw new ApiError(401, "Unauthorized access");
   }
 
+  // Decoded outside the try block: the audit event of a failure names the user of the token
+  let decodedToken;
+
   try {
     // Verify and decode the refresh token using the secret key
-    const decodedToken = jwt.verify(
+    decodedToken = jwt.verify(
       incomingRefreshToken,
-      process.env.REFRESH_TOKEN_SECRET,
+      config.auth.refreshTokenSecret,
     );
 
-    // Find user by ID extracted from the token
-    const user = await User.findById(decodedToken?._id);
-    
-    // If user is not found, the token is invalid
-    if (!user) {
+    // Find the session the token belongs to (session ID and user ID come from the token)
+    const session = await Session.findOne({
+      _id: decodedToken?.sid,
+      user: decodedToken?._id,
+    });
+
+    // If the session is not found, it has been revoked (logout, revoke endpoints) or has expired
+    if (!session) {
       throw new ApiError(401, "Invalid refresh token");
     }
 
-    // Verify that the refresh token matches the one saved in the database
-    if (incomingRefreshToken !== user?.refreshToken) {
-      throw new ApiError(401, "Refresh token is expired");
+    // REUSE DETECTION
+    // The token is correctly signed and belongs to this session, but it is not the current one:
+    // it has already been rotated, so someone is replaying an old (possibly stolen) token
+    // The whole token family (the session) is revoked: both the thief and the owner must log in again
+    if (Session.hashToken(incomingRefreshToken) !== session.refreshTokenHash) {
+      await session.deleteOne();
+
+      logger.warn("Refresh token reuse detected, session revoked", {
+        user: session.user.toString(),
+        session: session._id.toString(),
+        tokenId: decodedToken.jti,
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+      });
+
+      throw new ApiError(401, "Refresh token has already been used");
     }
 
     // Configure cookie options
@@ -381,13 +693,18 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
       secure: true,
     };
 
-    // Generate new access and refresh tokens
+    // ROTATION
+    // Generate new access and refresh tokens inside the same session
+    // The incoming refresh token stops being valid as soon as the session is saved
     const { accessToken, refreshToken: newRefreshToken } =
-      await generateAccessAndRefreshTokens(user._id);
+      await generateAccessAndRefreshTokens(session.user, req, session);
 
-    // Save the new refresh token in the database
-    user.refreshToken = newRefreshToken;
-    await user.save();
+    await recordAuditEvent(req, {
+      action: AuditActionEnum.TOKEN_REFRESH,
+      actor: session.user,
+      targetUser: session.user,
+      metadata: { session: session._id },
+    });
 
     // SUCCESS RESPONSE WITH NEW COOKIES AND TOKENS
     return res
@@ -402,8 +719,20 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
         ),
       );
   } catch (error) {
-    // If token verification fails
-    throw new ApiError(401, "Invalid refresh token");
+    // If token verification fails (invalid signature, revoked session, reuse...)
+    // VersionError: another request with the same token rotated the session first
+    // (optimisticConcurrency on the Session model), the token is spent but the session stays valid
+    const message =
+      error instanceof mongoose.Error.VersionError
+        ? "Refresh token already used"
+        : error?.message || "Invalid refresh token";
+
+    await recordAuditFailure(req, {
+      action: AuditActionEnum.TOKEN_REFRESH,
+      targetUser: decodedToken?._id,
+      reason: message,
+    });
+    throw new ApiError(401, message);
   }
 });
 
@@ -420,6 +749,11 @@ const forgotPasswordRequest = asyncHandler(async (req, res) => {
 
   // If user is not found, throw an error
   if (!user) {
+    await recordAuditFailure(req, {
+      action: AuditActionEnum.PASSWORD_RESET_REQUEST,
+      targetEmail: email,
+      reason: "User does not exist",
+    });
     throw new ApiError(404, "User does not exist", []);
   }
 
@@ -437,12 +771,19 @@ const forgotPasswordRequest = asyncHandler(async (req, res) => {
   // Send password reset email
   await sendEmail({
     email: user?.email,  // Recipient's email address
-    subject: "Password reset request",  // Email subject
-    mailgenContent: forgotPasswordMailgenContent(
-      user.username,  // Username to personalize the email
+    template: "forgotPassword",  // Template of the registry (subject and content)
+    language: user.preferredLanguage,  // Email rendered in the user's language
+    data: {
+      username: user.username,  // Username to personalize the email
       // Build password reset URL
-      `${process.env.FORGOT_PASSWORD_REDIRECT_URL}/${unHashedToken}`,
-    ),
+      passwordResetUrl: `${config.urls.forgotPasswordRedirect}/${unHashedToken}`,
+    },
+  });
+
+  await recordAuditEvent(req, {
+    action: AuditActionEnum.PASSWORD_RESET_REQUEST,
+    targetUser: user._id,
+    targetEmail: user.email,
   });
 
   // SUCCESS RESPONSE
@@ -480,6 +821,10 @@ const resetForgotPassword = asyncHandler(async (req, res) => {
 
   // If no user is found, the token is invalid or expired
   if (!user) {
+    await recordAuditFailure(req, {
+      action: AuditActionEnum.PASSWORD_RESET,
+      reason: "Token is invalid or expired",
+    });
     throw new ApiError(489, "Token is invalid or expired");
   }
 
@@ -493,6 +838,15 @@ const resetForgotPassword = asyncHandler(async (req, res) => {
   // Save changes disabling validation
   await user.save({ validateBeforeSave: false });
 
+  // Log out every device: a stolen refresh token must stop working once the password is reset
+  await Session.deleteMany({ user: user._id });
+
+  await recordAuditEvent(req, {
+    action: AuditActionEnum.PASSWORD_RESET,
+    actor: user._id,
+    targetUser: user._id,
+  });
+
   // SUCCESS RESPONSE
   return res
     .status(200)
@@ -510,19 +864,40 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
   // Find user by ID (extracted from JWT token)
   const user = await User.findById(req.user?._id);
 
+  // ACCOUNT LOCKOUT - same protection as login: a stolen access token must not allow guessing the password
+  await ensureAccountNotLocked(user, req, res, AuditActionEnum.PASSWORD_CHANGE);
+
   // Verify that the old password is correct
   const isPasswordValid = await user.isPasswordCorrect(oldPassword);
 
-  // If old password is not valid, throw an error
+  // If old password is not valid, throw an error (counts as failed login, may lock the account)
   if (!isPasswordValid) {
+    await user.registerFailedLogin();
+    await recordAuditFailure(req, {
+      action: AuditActionEnum.PASSWORD_CHANGE,
+      targetUser: user._id,
+      reason: "Invalid old password",
+    });
     throw new ApiError(400, "Invalid old Password");
   }
 
   // Set the new password (will be automatically hashed by the pre-save middleware)
   user.password = newPassword;
   
-  // Save changes disabling validation
+  // Save changes disabling validation, then forget previous failures
   await user.save({ validateBeforeSave: false });
+  await user.resetFailedLogins();
+
+  // Log out every other device (the session of this request stays open)
+  await Session.deleteMany({
+    user: user._id,
+    _id: { $ne: req.auth.sessionId },
+  });
+
+  await recordAuditEvent(req, {
+    action: AuditActionEnum.PASSWORD_CHANGE,
+    targetUser: user._id,
+  });
 
   // SUCCESS RESPONSE
   return res
@@ -530,6 +905,338 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, {}, "Password changed successfully"));
 });
 
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO LIST ACTIVE SESSIONS
+// Returns every active session of the current user, marking the one making the request
+//-----------------------------------------------------------------------------------------------------------
+const getSessions = asyncHandler(async (req, res) => {
+  // Find the session of this device to flag it in the response
+  const currentSession = await findCurrentSession(req);
+
+  // Find all sessions of the user that have not expired yet (TTL cleanup is not instantaneous)
+  const sessions = await Session.find({
+    user: req.user._id,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("-refreshTokenHash")  // Never expose the token hash
+    .sort({ lastUsedAt: -1 });  // Most recently used first
+
+  // Add the isCurrent flag to every session
+  const data = sessions.map((session) => ({
+    ...session.toObject(),
+    isCurrent: currentSession?._id.equals(session._id) || false,
+  }));
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, data, "Sessions fetched successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO REVOKE ONE SESSION
+// Closes a single session of the current user (ex: a lost phone)
+//-----------------------------------------------------------------------------------------------------------
+const revokeSession = asyncHandler(async (req, res) => {
+  // Extract the session ID from URL parameters
+  const { sessionId } = req.params;
+
+  // Delete the session only if it belongs to the current user
+  const session = await Session.findOneAndDelete({
+    _id: sessionId,
+    user: req.user._id,
+  });
+
+  // If the session does not exist, throw an error
+  if (!session) {
+    throw new ApiError(404, "Session not found");
+  }
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Session revoked successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO REVOKE ALL OTHER SESSIONS
+// Closes every session of the current user except the one making the request
+//-----------------------------------------------------------------------------------------------------------
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+  // Find the session of this device: it is the only one that must survive
+  const currentSession = await findCurrentSession(req);
+
+  // Without the current session we would log out the caller too
+  if (!currentSession) {
+    throw new ApiError(400, "Current session could not be identified");
+  }
+
+  // Delete every other session of the user
+  const { deletedCount } = await Session.deleteMany({
+    user: req.user._id,
+    _id: { $ne: currentSession._id },
+  });
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { revokedSessions: deletedCount },
+        "Other sessions revoked successfully",
+      ),
+    );
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO START 2FA ENROLMENT
+// Generates a new TOTP secret and recovery codes (2FA stays off until confirmed with a code)
+//-----------------------------------------------------------------------------------------------------------
+const enrollTwoFactor = asyncHandler(async (req, res) => {
+  // Find the user (ID extracted from JWT token)
+  const user = await User.findById(req.user?._id);
+
+  // Enrolling again would silently replace the secret of the authenticator app
+  if (user.twoFactorEnabled) {
+    throw new ApiError(409, "Two-factor authentication is already enabled");
+  }
+
+  // Generate a new secret and new recovery codes (only their hashes are stored)
+  const secret = generateTotpSecret();
+  user.twoFactorSecret = secret;
+  user.twoFactorLastUsedStep = undefined;
+  const recoveryCodes = user.generateTwoFactorRecoveryCodes();
+
+  // Save changes disabling validation
+  await user.save({ validateBeforeSave: false });
+
+  // Build the URI imported by authenticator apps (usually shown as QR code)
+  const otpauthUri = buildOtpauthUri({
+    secret,
+    accountName: user.email,
+    issuer: config.auth.twoFactorIssuer,
+  });
+
+  // SUCCESS RESPONSE
+  // Recovery codes are shown only now: the user must store them in a safe place
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      { otpauthUri, secret, recoveryCodes },
+      "Scan the code with your authenticator app and confirm it with a code",
+    ),
+  );
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO CONFIRM 2FA ENROLMENT
+// Enables 2FA once the user proves the authenticator app generates valid codes
+//-----------------------------------------------------------------------------------------------------------
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+  // Extract the code from the request body
+  const { code } = req.body;
+
+  // Find the user together with the TOTP secret
+  const user = await User.findById(req.user?._id).select(
+    "+twoFactorSecret +twoFactorLastUsedStep",
+  );
+
+  // Verify that 2FA is not already on
+  if (user.twoFactorEnabled) {
+    throw new ApiError(409, "Two-factor authentication is already enabled");
+  }
+
+  // Verify that the enrolment has been started
+  if (!user.twoFactorSecret) {
+    throw new ApiError(400, "Two-factor enrolment has not been started");
+  }
+
+  // Only TOTP codes are accepted here: the goal is to test the authenticator app
+  const step = verifyTotp(user.twoFactorSecret, code);
+  if (step === null) {
+    throw new ApiError(400, "Invalid two-factor code");
+  }
+
+  // Enable 2FA and remember the used step so the same code can't be used to log in
+  user.twoFactorEnabled = true;
+  user.twoFactorLastUsedStep = step;
+
+  // Save changes disabling validation
+  await user.save({ validateBeforeSave: false });
+
+  await recordAuditEvent(req, {
+    action: AuditActionEnum.TWO_FACTOR_ENABLE,
+    targetUser: user._id,
+  });
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { twoFactorEnabled: true },
+        "Two-factor authentication enabled",
+      ),
+    );
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO DISABLE 2FA
+// Requires the current password and a valid TOTP or recovery code
+//-----------------------------------------------------------------------------------------------------------
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  // Extract password and code from the request body
+  const { password, code } = req.body;
+
+  // Find the user together with the 2FA secret fields
+  const user = await User.findById(req.user?._id).select(
+    "+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep",
+  );
+
+  // Verify that 2FA is on
+  if (!user.twoFactorEnabled) {
+    throw new ApiError(400, "Two-factor authentication is not enabled");
+  }
+
+  // ACCOUNT LOCKOUT - same protection as login: a stolen access token must not allow guessing the password
+  await ensureAccountNotLocked(user, req, res, AuditActionEnum.TWO_FACTOR_DISABLE);
+
+  // Verify the password: a stolen access token alone must not be enough
+  // A wrong password counts as failed login (may lock the account)
+  const isPasswordValid = await user.isPasswordCorrect(password);
+  if (!isPasswordValid) {
+    await user.registerFailedLogin();
+    await recordAuditFailure(req, {
+      action: AuditActionEnum.TWO_FACTOR_DISABLE,
+      targetUser: user._id,
+      reason: "Invalid credentials",
+    });
+    throw new ApiError(400, "Invalid credentials");
+  }
+
+  // Verify the second factor (a wrong code counts as failed login too)
+  if (!verifyTwoFactorCode(user, code)) {
+    await user.registerFailedLogin();
+    await recordAuditFailure(req, {
+      action: AuditActionEnum.TWO_FACTOR_DISABLE,
+      targetUser: user._id,
+      reason: "Invalid two-factor code",
+    });
+    throw new ApiError(400, "Invalid two-factor code");
+  }
+
+  // Remove every 2FA data
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorRecoveryCodes = undefined;
+  user.twoFactorLastUsedStep = undefined;
+
+  // Save changes disabling validation, then forget previous failures
+  await user.save({ validateBeforeSave: false });
+  await user.resetFailedLogins();
+
+  await recordAuditEvent(req, {
+    action: AuditActionEnum.TWO_FACTOR_DISABLE,
+    targetUser: user._id,
+  });
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { twoFactorEnabled: false },
+        "Two-factor authentication disabled",
+      ),
+    );
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO UPDATE THE USER AVATAR
+// Validates the uploaded image, creates square variants and replaces the previous avatar files
+//-----------------------------------------------------------------------------------------------------------
+const AVATAR_SIZES = [64, 128, 256];  // Side in pixels of the generated variants
+
+const updateUserAvatar = asyncHandler(async (req, res) => {
+  // The file is saved in public/images by the upload middleware
+  const avatarFile = req.file;
+
+  // Verify that a file has been sent
+  if (!avatarFile) {
+    throw new ApiError(400, "Avatar file is required");
+  }
+
+  let variants;
+  try {
+    // Check the real format with the magic bytes: extension and MIME type are chosen by the client
+    const imageType = await detectImageType(avatarFile.path);
+    if (!imageType) {
+      throw new ApiError(
+        415,  // Status code 415 - Unsupported Media Type
+        "Avatar must be a JPEG, PNG, GIF or WebP image",
+      );
+    }
+
+    // Generate the square variants in public/images/avatars
+    variants = await createSquareVariants(avatarFile.path, {
+      sizes: AVATAR_SIZES,
+      outputDir: "./public/images/avatars",
+      baseName: `${req.user._id}-${crypto.randomBytes(6).toString("hex")}`,
+    });
+  } catch (error) {
+    // sharp fails on corrupted images that have a valid signature
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(415, "Avatar image could not be processed");
+  } finally {
+    // The original upload is never served: only the re-encoded variants are kept
+    removeLocalFile(avatarFile.path);
+  }
+
+  // Build the public URLs of the variants (public folder is served statically)
+  const baseUrl = `${req.protocol}://${req.get("host")}/images/avatars`;
+  const avatarVariants = variants.map(({ size, fileName, localPath }) => ({
+    size,
+    url: `${baseUrl}/${fileName}`,
+    localPath,
+  }));
+
+  // The largest variant is the main avatar
+  const mainVariant = avatarVariants[avatarVariants.length - 1];
+
+  // Find the user to read the previous avatar files
+  const user = await User.findById(req.user?._id);
+  const previousAvatar = user.avatar;
+
+  // Set both avatar fields and the variants
+  user.avatar = {
+    url: mainVariant.url,
+    localPath: mainVariant.localPath,
+    variants: avatarVariants,
+  };
+
+  // Save changes disabling validation
+  await user.save({ validateBeforeSave: false });
+
+  // Delete the previous avatar files (the default placeholder has no local file)
+  removeLocalFile(previousAvatar?.localPath);
+  previousAvatar?.variants?.forEach((variant) =>
+    removeLocalFile(variant.localPath),
+  );
+
+  // Retrieve user data without sensitive information
+  const updatedUser = await User.findById(user._id).select(
+    USER_SENSITIVE_FIELDS,
+  );
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, updatedUser, "Avatar updated successfully"));
+});
+
 //-----------------------------------------------------------------------------------------------------------
 // EXPORT ALL CONTROLLERS
 //-----------------------------------------------------------------------------------------------------------
@@ -538,10 +1245,19 @@ export {
   login,
   logoutUser,
   getCurrentUser,
+  updateCurrentUser,
   verifyEmail,
   resendEmailVerification,
   refreshAccessToken,
   forgotPasswordRequest,
   changeCurrentPassword,
   resetForgotPassword,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  loginTwoFactor,
+  enrollTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  updateUserAvatar,
 };
\ No newline at end of file
@@ -0,0 +1,295 @@
+// Import the Comment model to interact with the comments collection in the database
+import { Comment } from "../models/comment.models.js";
+
+// Import the Task model to verify that the task belongs to the project
+import { Task } from "../models/task.models.js";
+
+// Import the Project model to show the project name in the mention emails
+import { Project } from "../models/project.models.js";
+
+// Import the ProjectMember model to resolve mentions against the members of the project
+import { ProjectMember } from "../models/projectmember.models.js";
+
+// Import the User model to find the mentioned usernames
+import { User } from "../models/user.models.js";
+
+// Import the activity feed helper and types (changes are shown in the project feed)
+import { ActivityTypeEnum } from "../models/activity.models.js";
+import { recordActivity } from "../utils/activity.js";
+
+// Import the ApiResponse class to send standardized and consistent API responses
+import { ApiResponse } from "../utils/api-response.js";
+
+// Import the ApiError class to handle standardized API errors
+import { ApiError } from "../utils/api-error.js";
+
+// Import the asyncHandler wrapper to automatically handle errors in asynchronous functions
+import { asyncHandler } from "../utils/async-handler.js";
+
+// Import available user role constants
+import { UserRolesEnum } from "../utils/constants.js";
+
+// Import the email sending function
+import { sendEmail } from "../utils/mail.js";
+
+// Import the mention parser
+import { extractMentions } from "../utils/mentions.js";
+
+// Import mongoose to use Types.ObjectId in queries
+import mongoose from "mongoose";
+
+// Roles allowed to delete the comments of other members (moderation)
+const COMMENT_MODERATOR_ROLES = [UserRolesEnum.ADMIN, UserRolesEnum.PROJECT_ADMIN];
+
+// Length of the comment excerpt quoted in the mention emails
+const MENTION_EXCERPT_LENGTH = 300;
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO FIND A TASK OF THE PROJECT
+// Comments can only be read and written on tasks of the project in the URL
+//-----------------------------------------------------------------------------------------------------------
+const findProjectTask = async (projectId, taskId) => {
+  const task = await Task.findOne({
+    _id: new mongoose.Types.ObjectId(taskId),
+    project: new mongoose.Types.ObjectId(projectId),
+  });
+
+  if (!task) {
+    throw new ApiError(404, "Task not found");
+  }
+
+  return task;
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO FIND A COMMENT OF A TASK
+//-----------------------------------------------------------------------------------------------------------
+const findTaskComment = async (projectId, taskId, commentId) => {
+  const comment = await Comment.findOne({
+    _id: new mongoose.Types.ObjectId(commentId),
+    task: new mongoose.Types.ObjectId(taskId),
+    project: new mongoose.Types.ObjectId(projectId),
+  });
+
+  if (!comment) {
+    throw new ApiError(404, "Comment not found");
+  }
+
+  return comment;
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO RESOLVE THE MENTIONS OF A TEXT
+// Returns the users whose @username appears in the text AND who are members of the project
+// (a mention of somebody outside the project stays plain text and notifies nobody)
+//-----------------------------------------------------------------------------------------------------------
+const resolveMentions = async (projectId, content) => {
+  const usernames = extractMentions(content);
+
+  if (usernames.length === 0) {
+    return [];
+  }
+
+  // Users with the mentioned usernames
+  const users = await User.find({ username: { $in: usernames } }).select(
+    "username fullName email preferredLanguage",
+  );
+
+  // Keep only the members of the project
+  const members = await ProjectMember.find({
+    project: new mongoose.Types.ObjectId(projectId),
+    user: { $in: users.map((user) => user._id) },
+  }).select("user");
+
+  const memberIds = new Set(members.map((member) => member.user.toString()));
+
+  return users.filter((user) => memberIds.has(user._id.toString()));
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO EMAIL THE MENTIONED USERS
+// Authors are never notified of their own mentions
+//-----------------------------------------------------------------------------------------------------------
+const notifyMentionedUsers = async (req, { users, comment, task }) => {
+  const recipients = users.filter((user) => !user._id.equals(req.user._id));
+
+  if (recipients.length === 0) {
+    return;
+  }
+
+  const project = await Project.findById(task.project).select("name");
+
+  const excerpt =
+    comment.content.length > MENTION_EXCERPT_LENGTH
+      ? `${comment.content.slice(0, MENTION_EXCERPT_LENGTH)}…`
+      : comment.content;
+
+  await Promise.all(
+    recipients.map((user) =>
+      sendEmail({
+        email: user.email,  // Recipient's email address
+        template: "commentMention",  // Template of the registry (subject and content)
+        language: user.preferredLanguage,  // Email rendered in the language of the mentioned user
+        data: {
+          username: user.username,
+          authorName: req.user.fullName || req.user.username,
+          projectName: project?.name,
+          taskTitle: task.title,
+          excerpt,
+          taskUrl: `${req.protocol}://${req.get("host")}/api/v1/tasks/${task.project}/t/${task._id}`,
+        },
+      }),
+    ),
+  );
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO LIST THE COMMENTS OF A TASK
+// Returns the thread in chronological order with authors and mentioned users
+//-----------------------------------------------------------------------------------------------------------
+const getComments = asyncHandler(async (req, res) => {
+  // Extract project and task IDs from URL parameters
+  const { projectId, taskId } = req.params;
+
+  // Verify that the task belongs to the project
+  await findProjectTask(projectId, taskId);
+
+  // Find the comments of the task, oldest first
+  const comments = await Comment.find({
+    task: new mongoose.Types.ObjectId(taskId),
+  })
+    .populate("author", "username fullName avatar")
+    .populate("mentions", "username fullName avatar")
+    .sort({ createdAt: 1 });
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, comments, "Comments fetched successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO CREATE A COMMENT
+// Any member can comment, mentioned members receive an email
+//-----------------------------------------------------------------------------------------------------------
+const createComment = asyncHandler(async (req, res) => {
+  // Extract project and task IDs from URL parameters and content from the body
+  const { projectId, taskId } = req.params;
+  const { content } = req.body;
+
+  // Verify that the task belongs to the project
+  const task = await findProjectTask(projectId, taskId);
+
+  // Resolve the @username mentions against the members of the project
+  const mentionedUsers = await resolveMentions(projectId, content);
+
+  // Create the comment
+  const comment = await Comment.create({
+    task: task._id,
+    project: task.project,
+    author: req.user._id,  // Author is the authenticated user
+    content,
+    mentions: mentionedUsers.map((user) => user._id),
+  });
+
+  // Notify the mentioned members
+  await notifyMentionedUsers(req, { users: mentionedUsers, comment, task });
+
+  await recordActivity(req, {
+    project: task.project,
+    type: ActivityTypeEnum.TASK_COMMENTED,
+    targetModel: "Task",
+    target: task._id,
+    data: { title: task.title, comment: comment._id },
+  });
+
+  // Populate author and mentions to return the same shape as the list endpoint
+  await comment.populate([
+    { path: "author", select: "username fullName avatar" },
+    { path: "mentions", select: "username fullName avatar" },
+  ]);
+
+  // SUCCESS RESPONSE
+  return res
+    .status(201)
+    .json(new ApiResponse(201, comment, "Comment created successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO EDIT A COMMENT
+// Only the author can edit a comment, only newly mentioned members receive an email
+//-----------------------------------------------------------------------------------------------------------
+const updateComment = asyncHandler(async (req, res) => {
+  // Extract IDs from URL parameters and the new content from the body
+  const { projectId, taskId, commentId } = req.params;
+  const { content } = req.body;
+
+  // Find the comment of the task
+  const task = await findProjectTask(projectId, taskId);
+  const comment = await findTaskComment(projectId, taskId, commentId);
+
+  // Nobody can put words in the mouth of another member, not even an admin
+  if (!comment.author.equals(req.user._id)) {
+    throw new ApiError(403, "Only the author can edit this comment");
+  }
+
+  // Resolve the mentions of the new content and find the ones that were not there before
+  const mentionedUsers = await resolveMentions(projectId, content);
+  const previousMentions = new Set(comment.mentions.map((id) => id.toString()));
+  const newlyMentionedUsers = mentionedUsers.filter(
+    (user) => !previousMentions.has(user._id.toString()),
+  );
+
+  // Update the comment
+  comment.content = content;
+  comment.mentions = mentionedUsers.map((user) => user._id);
+  comment.editedAt = new Date();
+  await comment.save();
+
+  // Notify only the members mentioned by this edit
+  await notifyMentionedUsers(req, { users: newlyMentionedUsers, comment, task });
+
+  // Populate author and mentions to return the same shape as the list endpoint
+  await comment.populate([
+    { path: "author", select: "username fullName avatar" },
+    { path: "mentions", select: "username fullName avatar" },
+  ]);
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, comment, "Comment updated successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO DELETE A COMMENT
+// The author or a project admin (moderation) can delete a comment
+//-----------------------------------------------------------------------------------------------------------
+const deleteComment = asyncHandler(async (req, res) => {
+  // Extract IDs from URL parameters
+  const { projectId, taskId, commentId } = req.params;
+
+  // Find the comment of the task
+  const comment = await findTaskComment(projectId, taskId, commentId);
+
+  // req.user.role is the role in the project, set by validateProjectPermission
+  const isAuthor = comment.author.equals(req.user._id);
+  const isModerator = COMMENT_MODERATOR_ROLES.includes(req.user.role);
+
+  if (!isAuthor && !isModerator) {
+    throw new ApiError(403, "Only the author or a project admin can delete this comment");
+  }
+
+  // Delete the comment
+  await comment.deleteOne();
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, comment, "Comment deleted successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// EXPORT ALL CONTROLLERS
+//-----------------------------------------------------------------------------------------------------------
+export { getComments, createComment, updateComment, deleteComment };
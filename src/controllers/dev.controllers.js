@@ -0,0 +1,48 @@
+// Import the EmailOutbox model and its statuses
+import {
+  AvailableEmailOutboxStatuses,
+  EmailOutbox,
+} from "../models/emailoutbox.models.js";
+
+// Import the ApiResponse class to send standardized and consistent API responses
+import { ApiResponse } from "../utils/api-response.js";
+
+// Import the ApiError class to handle standardized API errors
+import { ApiError } from "../utils/api-error.js";
+
+// Import the asyncHandler wrapper to automatically handle errors in asynchronous functions
+import { asyncHandler } from "../utils/async-handler.js";
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO LIST RECENT OUTBOX ENTRIES (DEV_OUTBOX_ENABLED only, authenticated)
+// Newest first, optional filters: ?status=pending|sending|sent|failed&limit=1..100 (20 by default)
+// The text version is returned so that verification and reset links can be read without a mail client
+//-----------------------------------------------------------------------------------------------------------
+const getOutboxEntries = asyncHandler(async (req, res) => {
+  // Extract the filters from the query string
+  const { status } = req.query;
+  const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+
+  // Reject unknown statuses instead of silently returning nothing
+  if (status !== undefined && !AvailableEmailOutboxStatuses.includes(status)) {
+    throw new ApiError(400, "Invalid status", [
+      {
+        status: `Status must be one of: ${AvailableEmailOutboxStatuses.join(", ")}`,
+      },
+    ]);
+  }
+
+  // Find the most recent entries (the HTML version is heavy and not needed here)
+  const entries = await EmailOutbox.find(status ? { status } : {})
+    .select("-html")
+    .sort({ createdAt: -1 })
+    .limit(limit);
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, entries, "Outbox entries fetched successfully"));
+});
+
+// Export the development controllers
+export { getOutboxEntries };
@@ -0,0 +1,54 @@
+// Import the OpenAPI document generator
+import { buildOpenApiDocument } from "../utils/openapi.js";
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO SERVE THE OPENAPI DOCUMENT
+// Plain JSON (not wrapped in ApiResponse): tools like Swagger UI, Postman or code generators read it directly
+//-----------------------------------------------------------------------------------------------------------
+const getOpenApiDocument = (req, res) => {
+  const { document } = buildOpenApiDocument();
+  return res.status(200).json(document);
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO SERVE THE INTERACTIVE DOCUMENTATION PAGE
+// Swagger UI is served from the swagger-ui-dist package (see docs.routes.js), no CDN is needed
+//-----------------------------------------------------------------------------------------------------------
+const getDocsPage = (req, res) => {
+  // Paths relative to /api/v1/docs/ so the page works behind any prefix
+  const html = `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>API documentation</title>
+    <link rel="stylesheet" href="assets/swagger-ui.css" />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="assets/swagger-ui-bundle.js"></script>
+    <script src="ui.js"></script>
+  </body>
+</html>`;
+
+  return res.status(200).type("html").send(html);
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO SERVE THE SCRIPT THAT STARTS SWAGGER UI
+// Kept in a separate file instead of an inline script so the page works with a strict Content-Security-Policy
+//-----------------------------------------------------------------------------------------------------------
+const getDocsScript = (req, res) => {
+  const script = `window.ui = SwaggerUIBundle({
+  url: "openapi.json",
+  dom_id: "#swagger-ui",
+  deepLinking: true,
+  withCredentials: true,
+});
+`;
+
+  return res.status(200).type("application/javascript").send(script);
+};
+
+// Export the documentation controllers
+export { getOpenApiDocument, getDocsPage, getDocsScript };
@@ -7,6 +7,18 @@ import { ApiResponse } from "../utils/api-response.js";
 // Eliminates the need to write repetitive try-catch blocks in every controller
 import { asyncHandler } from "../utils/async-handler.js";
 
+// Import mongoose to read the connection state and ping the database
+import mongoose from "mongoose";
+
+// Import Node.js fs module to read the free disk space
+import fs from "fs";
+
+// Import the shared mail transport to verify it
+import { getMailTransport } from "../utils/mail-outbox.js";
+
+// Import the validated application configuration
+import { config } from "../config/index.js";
+
 
 // COMMENTED VERSION of healthCheck controller with manual error handling:
 // This approach requires an explicit try-catch block for each async function
@@ -38,6 +50,158 @@ const healthCheck = asyncHandler(async (req, res) => {  // asyncHandler automati
     .json(new ApiResponse(200, { message: "Server is Running" }));  // Returns a standardized response with ApiResponse
 });
 
-// Export the healthCheck function to be used in application routes
-// This allows importing and mounting the controller in routing files
-export { healthCheck };
\ No newline at end of file
+//-----------------------------------------------------------------------------------------------------------
+// LIVENESS AND READINESS PROBES
+// - live:  the process is up and the event loop answers → the orchestrator must not restart it
+// - ready: the dependencies work → the orchestrator can route traffic to this instance
+//-----------------------------------------------------------------------------------------------------------
+
+// Human readable names of mongoose.connection.readyState
+const MONGO_STATES = ["disconnected", "connected", "connecting", "disconnecting"];
+
+// Maximum time given to every dependency probe
+const PROBE_TIMEOUT_MS = 2000;
+
+// Folder where uploads are saved (its disk must have free space)
+const UPLOADS_DIR = "./public/images";
+
+// Verifying SMTP opens a connection: the result is reused for a minute so frequent probes don't hammer the server
+const MAIL_CHECK_CACHE_MS = 60 * 1000;
+let mailCheckCache = null;
+
+// FUNCTION TO LIMIT THE DURATION OF A PROBE
+// Rejects if the promise doesn't settle in time (a hanging dependency is a failing dependency)
+const withTimeout = (promise, ms = PROBE_TIMEOUT_MS) => {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// MONGODB PROBE (critical: without the database no request can be served)
+const checkMongo = async () => {
+    const state = MONGO_STATES[mongoose.connection.readyState] || "unknown";
+
+    if (mongoose.connection.readyState !== 1) {
+        return { status: "fail", critical: true, state };
+    }
+
+    try {
+        const start = process.hrtime.bigint();
+        await withTimeout(mongoose.connection.db.admin().ping());
+        const latencyMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+        return { status: "ok", critical: true, state, latencyMs: Math.round(latencyMs * 100) / 100 };
+    } catch (error) {
+        return { status: "fail", critical: true, state, error: error.message };
+    }
+};
+
+// MAIL TRANSPORT PROBE (not critical: emails wait in the outbox until the transport works again)
+const checkMail = async () => {
+    if (mailCheckCache && mailCheckCache.expiresAt > Date.now()) {
+        return mailCheckCache.result;
+    }
+
+    const transport = getMailTransport();
+    let result;
+
+    try {
+        await withTimeout(transport.verify());
+        result = { status: "ok", critical: false, transport: transport.name, checkedAt: new Date() };
+    } catch (error) {
+        result = { status: "fail", critical: false, transport: transport.name, checkedAt: new Date(), error: error.message };
+    }
+
+    mailCheckCache = { result, expiresAt: Date.now() + MAIL_CHECK_CACHE_MS };
+    return result;
+};
+
+// DISK PROBE (not critical: only uploads need space)
+// Fails below HEALTH_MIN_FREE_DISK_MB megabytes (100 by default)
+const checkDisk = async () => {
+    const minFreeBytes = config.health.minFreeDiskMb * 1024 * 1024;
+
+    try {
+        const stats = await withTimeout(fs.promises.statfs(UPLOADS_DIR));
+        const freeBytes = stats.bavail * stats.bsize;  // Space available to the process (not root)
+        const totalBytes = stats.blocks * stats.bsize;
+
+        return {
+            status: freeBytes >= minFreeBytes ? "ok" : "fail",
+            critical: false,
+            path: UPLOADS_DIR,
+            freeBytes,
+            totalBytes,
+            minFreeBytes,
+        };
+    } catch (error) {
+        return { status: "fail", critical: false, path: UPLOADS_DIR, error: error.message };
+    }
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER FOR THE LIVENESS PROBE
+// No dependency is checked: restarting the process would not fix a database outage
+//-----------------------------------------------------------------------------------------------------------
+const liveness = (req, res) => {
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { status: "ok", uptimeSeconds: Math.round(process.uptime()) }, "Server is alive"));
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER FOR THE READINESS PROBE
+// 200 when every critical dependency works ("ok", or "degraded" if a non critical one fails)
+// 503 when a critical dependency is down, so the orchestrator stops sending traffic here
+// Version, memory and the details of the checks are only sent with HEALTH_DETAILS_ENABLED
+//-----------------------------------------------------------------------------------------------------------
+const readiness = asyncHandler(async (req, res) => {
+    // Run the probes in parallel: the slowest one sets the response time
+    const [mongo, mail, disk] = await Promise.all([checkMongo(), checkMail(), checkDisk()]);
+    const checks = { mongo, mail, disk };
+
+    const failed = Object.values(checks).filter((check) => check.status !== "ok");
+    const isCriticalDown = failed.some((check) => check.critical);
+
+    const status = isCriticalDown ? "fail" : failed.length ? "degraded" : "ok";
+    const statusCode = isCriticalDown ? 503 : 200;  // 503 - Service Unavailable
+
+    const message = isCriticalDown ? "Server is not ready" : "Server is ready";
+
+    // Details disabled (production by default): only the status of every check
+    if (!config.health.detailsEnabled) {
+        const statuses = Object.fromEntries(
+            Object.entries(checks).map(([name, check]) => [name, { status: check.status }]),
+        );
+
+        return res
+            .status(statusCode)
+            .json(new ApiResponse(statusCode, { status, checks: statuses }, message));
+    }
+
+    const memory = process.memoryUsage();
+
+    return res.status(statusCode).json(
+        new ApiResponse(
+            statusCode,
+            {
+                status,
+                version: config.version,  // Version from package.json
+                uptimeSeconds: Math.round(process.uptime()),
+                memory: {
+                    rssBytes: memory.rss,  // Total memory of the process
+                    heapUsedBytes: memory.heapUsed,  // JavaScript objects in use
+                    heapTotalBytes: memory.heapTotal,  // Memory reserved for JavaScript objects
+                },
+                checks,
+            },
+            message
+        )
+    );
+});
+
+// Export the health check functions to be used in application routes
+// This allows importing and mounting the controllers in routing files
+export { healthCheck, liveness, readiness };
\ No newline at end of file
@@ -0,0 +1,415 @@
+// Import the Invitation model and its statuses
+import {
+  Invitation,
+  InvitationStatusEnum,
+} from "../models/invitation.models.js";
+
+// Import the Project model to read the project name shown in the invitation
+import { Project } from "../models/project.models.js";
+
+// Import the ProjectMember model to add the invited user to the project
+import { ProjectMember } from "../models/projectmember.models.js";
+
+// Import the User model to check if the invited email already has an account
+import { User } from "../models/user.models.js";
+
+// Import the audit log helper and actions (accepted invitations add a member)
+import { AuditActionEnum } from "../models/auditevent.models.js";
+import { recordAuditEvent } from "../utils/audit.js";
+
+// Import the activity feed helper and types (changes are shown in the project feed)
+import { ActivityTypeEnum } from "../models/activity.models.js";
+import { recordActivity } from "../utils/activity.js";
+
+// Import the ApiResponse class to send standardized and consistent API responses
+import { ApiResponse } from "../utils/api-response.js";
+
+// Import the ApiError class to handle standardized API errors
+import { ApiError } from "../utils/api-error.js";
+
+// Import the asyncHandler wrapper to automatically handle errors in asynchronous functions
+import { asyncHandler } from "../utils/async-handler.js";
+
+// Import the email sending function
+import { sendEmail } from "../utils/mail.js";
+
+// Import the validated application configuration
+import { config } from "../config/index.js";
+
+// Import mongoose to use Types.ObjectId in queries
+import mongoose from "mongoose";
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO SEND THE INVITATION EMAIL
+// The link points to INVITATION_REDIRECT_URL (front end page) or, if not configured,
+// to the API endpoint that shows the invitation details
+//-----------------------------------------------------------------------------------------------------------
+const sendInvitationEmail = async (req, invitation, token, project) => {
+  // The email is written in the language of the invited user if they already have an account,
+  // otherwise in the language of the admin who sent it (usually the same team)
+  const invitedUser = await User.findOne({ email: invitation.email });
+
+  const invitationUrl = config.urls.invitationRedirect
+    ? `${config.urls.invitationRedirect}/${token}`
+    : `${req.protocol}://${req.get("host")}/api/v1/invitations/token/${token}`;
+
+  await sendEmail({
+    email: invitation.email,  // Recipient's email address
+    template: "projectInvitation",  // Template of the registry (subject and content)
+    language: invitedUser?.preferredLanguage || req.user.preferredLanguage,
+    data: {
+      email: invitation.email,
+      inviterName: req.user.fullName || req.user.username,
+      projectName: project.name,
+      role: invitation.role,
+      invitationUrl,
+    },
+  });
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO FIND A PENDING INVITATION OF A PROJECT
+// Used by the admin endpoints (resend, revoke)
+//-----------------------------------------------------------------------------------------------------------
+const findPendingProjectInvitation = async (projectId, invitationId) => {
+  const invitation = await Invitation.findOne({
+    _id: new mongoose.Types.ObjectId(invitationId),
+    project: new mongoose.Types.ObjectId(projectId),
+    status: InvitationStatusEnum.PENDING,
+  });
+
+  if (!invitation) {
+    throw new ApiError(404, "Invitation not found");
+  }
+
+  return invitation;
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO FIND AN INVITATION ADDRESSED TO THE CURRENT USER
+// Only the owner of the invited email address, once verified, can answer the invitation
+//-----------------------------------------------------------------------------------------------------------
+const findInvitationForCurrentUser = async (req) => {
+  const invitation = await Invitation.findOne({
+    _id: new mongoose.Types.ObjectId(req.params.invitationId),
+    status: InvitationStatusEnum.PENDING,
+  });
+
+  // Same answer for missing invitations and invitations of other people
+  if (!invitation || invitation.email !== req.user.email) {
+    throw new ApiError(404, "Invitation not found");
+  }
+
+  // Without verification anybody could register with the invited address and join the project
+  if (!req.user.isEmailVerified) {
+    throw new ApiError(403, "Verify your email before answering invitations");
+  }
+
+  if (invitation.isExpired()) {
+    throw new ApiError(410, "Invitation has expired, ask a project admin to resend it");
+  }
+
+  return invitation;
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO LIST THE INVITATIONS OF A PROJECT (admin)
+// Returns the pending invitations, newest first, flagging the expired ones
+//-----------------------------------------------------------------------------------------------------------
+const getProjectInvitations = asyncHandler(async (req, res) => {
+  // Extract the project ID from the URL parameters
+  const { projectId } = req.params;
+
+  // Find the pending invitations of the project (the token hash is never sent back)
+  const invitations = await Invitation.find({
+    project: new mongoose.Types.ObjectId(projectId),
+    status: InvitationStatusEnum.PENDING,
+  })
+    .select("-tokenHash")
+    .populate("invitedBy", "username fullName avatar")
+    .sort({ createdAt: -1 });
+
+  // Add the isExpired flag so the client can offer to resend them
+  const data = invitations.map((invitation) => ({
+    ...invitation.toObject(),
+    isExpired: invitation.isExpired(),
+  }));
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, data, "Invitations fetched successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO INVITE SOMEONE BY EMAIL (admin)
+// Works whether or not the email already belongs to a registered user
+//-----------------------------------------------------------------------------------------------------------
+const createInvitation = asyncHandler(async (req, res) => {
+  // Extract invitation data from the request body and project ID from URL parameters
+  const { email, role } = req.body;
+  const { projectId } = req.params;
+  const normalizedEmail = email.toLowerCase();
+
+  // Find the project to show its name in the email
+  const project = await Project.findById(projectId);
+
+  if (!project) {
+    throw new ApiError(404, "Project not found");
+  }
+
+  // A registered user who is already a member doesn't need an invitation
+  const invitedUser = await User.findOne({ email: normalizedEmail });
+
+  if (invitedUser) {
+    const existingMember = await ProjectMember.findOne({
+      user: invitedUser._id,
+      project: project._id,
+    });
+
+    if (existingMember) {
+      throw new ApiError(409, "User is already a member of this project");
+    }
+  }
+
+  // Only one pending invitation per email: an expired one is reused, a valid one must be resent instead
+  let invitation = await Invitation.findOne({
+    project: project._id,
+    email: normalizedEmail,
+    status: InvitationStatusEnum.PENDING,
+  });
+
+  if (invitation && !invitation.isExpired()) {
+    throw new ApiError(409, "An invitation is already pending for this email");
+  }
+
+  if (!invitation) {
+    invitation = new Invitation({
+      project: project._id,
+      email: normalizedEmail,
+    });
+  }
+
+  invitation.role = role;
+  invitation.invitedBy = req.user._id;
+
+  // Generate the token (hash and expiration date are stored in the invitation)
+  const token = invitation.generateToken();
+  await invitation.save();
+
+  // Send the invitation email
+  await sendInvitationEmail(req, invitation, token, project);
+
+  await recordActivity(req, {
+    project: project._id,
+    type: ActivityTypeEnum.INVITATION_SENT,
+    targetModel: "Invitation",
+    target: invitation._id,
+    data: { email: invitation.email, role: invitation.role },
+  });
+
+  // SUCCESS RESPONSE (without the token hash)
+  const data = invitation.toObject();
+  delete data.tokenHash;
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, data, "Invitation sent successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO RESEND AN INVITATION (admin)
+// Generates a new link with a new expiration date: the link of the previous email stops working
+//-----------------------------------------------------------------------------------------------------------
+const resendInvitation = asyncHandler(async (req, res) => {
+  // Extract project and invitation IDs from URL parameters
+  const { projectId, invitationId } = req.params;
+
+  // Find the pending invitation and its project
+  const invitation = await findPendingProjectInvitation(projectId, invitationId);
+  const project = await Project.findById(projectId);
+
+  // Generate a new token and send the email again (the admin who resends becomes the inviter)
+  invitation.invitedBy = req.user._id;
+  const token = invitation.generateToken();
+  await invitation.save();
+
+  await sendInvitationEmail(req, invitation, token, project);
+
+  await recordActivity(req, {
+    project: project._id,
+    type: ActivityTypeEnum.INVITATION_SENT,
+    targetModel: "Invitation",
+    target: invitation._id,
+    data: { email: invitation.email, role: invitation.role, resent: true },
+  });
+
+  // SUCCESS RESPONSE (without the token hash)
+  const data = invitation.toObject();
+  delete data.tokenHash;
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, data, "Invitation resent successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO REVOKE AN INVITATION (admin)
+// The invitation is kept as history but can no longer be accepted
+//-----------------------------------------------------------------------------------------------------------
+const revokeInvitation = asyncHandler(async (req, res) => {
+  // Extract project and invitation IDs from URL parameters
+  const { projectId, invitationId } = req.params;
+
+  // Find the pending invitation
+  const invitation = await findPendingProjectInvitation(projectId, invitationId);
+
+  // Mark it as revoked
+  invitation.status = InvitationStatusEnum.REVOKED;
+  invitation.respondedAt = new Date();
+  await invitation.save();
+
+  await recordActivity(req, {
+    project: invitation.project,
+    type: ActivityTypeEnum.INVITATION_REVOKED,
+    targetModel: "Invitation",
+    target: invitation._id,
+    data: { email: invitation.email },
+  });
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Invitation revoked successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO READ AN INVITATION FROM ITS EMAIL LINK (public)
+// Lets the front end show who invited whom before the person logs in or registers
+//-----------------------------------------------------------------------------------------------------------
+const getInvitationByToken = asyncHandler(async (req, res) => {
+  // Extract the token from the URL parameters
+  const { token } = req.params;
+
+  // Find the pending invitation matching the hash of the token
+  const invitation = await Invitation.findOne({
+    tokenHash: Invitation.hashToken(token),
+    status: InvitationStatusEnum.PENDING,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("-tokenHash")
+    .populate("project", "name description")
+    .populate("invitedBy", "username fullName avatar");
+
+  // Invalid, expired, answered or revoked: the link doesn't work anymore
+  if (!invitation) {
+    throw new ApiError(404, "Invitation is invalid or expired");
+  }
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, invitation, "Invitation fetched successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO LIST THE INVITATIONS OF THE CURRENT USER
+// Open invitations sent to the email address of the user (shown after email verification)
+//-----------------------------------------------------------------------------------------------------------
+const getMyInvitations = asyncHandler(async (req, res) => {
+  // Invitations are addressed to an email: only its verified owner can see them
+  if (!req.user.isEmailVerified) {
+    throw new ApiError(403, "Verify your email to see your invitations");
+  }
+
+  const invitations = await Invitation.findOpenForEmail(req.user.email);
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, invitations, "Invitations fetched successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO ACCEPT AN INVITATION
+// Adds the current user to the project with the role chosen by the admin
+//-----------------------------------------------------------------------------------------------------------
+const acceptInvitation = asyncHandler(async (req, res) => {
+  // Find the invitation addressed to the current user
+  const invitation = await findInvitationForCurrentUser(req);
+
+  // The project may have been deleted after the invitation was sent
+  const project = await Project.findById(invitation.project);
+
+  if (!project) {
+    throw new ApiError(404, "Project not found");
+  }
+
+  // Create the membership (if the user was added in the meantime their current role is kept)
+  const projectMember = await ProjectMember.findOneAndUpdate(
+    { user: req.user._id, project: project._id },
+    { $setOnInsert: { role: invitation.role } },
+    { upsert: true, new: true },
+  );
+
+  // Mark the invitation as accepted
+  invitation.status = InvitationStatusEnum.ACCEPTED;
+  invitation.respondedBy = req.user._id;
+  invitation.respondedAt = new Date();
+  await invitation.save();
+
+  await recordAuditEvent(req, {
+    action: AuditActionEnum.MEMBER_ADD,
+    targetUser: req.user._id,
+    project: project._id,
+    metadata: {
+      role: projectMember.role,
+      invitation: invitation._id,
+      invitedBy: invitation.invitedBy,
+    },
+  });
+
+  await recordActivity(req, {
+    project: project._id,
+    type: ActivityTypeEnum.MEMBER_ADDED,
+    targetModel: "User",
+    target: req.user._id,
+    data: { role: projectMember.role, invitation: invitation._id },
+  });
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, projectMember, "Invitation accepted successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO DECLINE AN INVITATION
+//-----------------------------------------------------------------------------------------------------------
+const declineInvitation = asyncHandler(async (req, res) => {
+  // Find the invitation addressed to the current user
+  const invitation = await findInvitationForCurrentUser(req);
+
+  // Mark the invitation as declined
+  invitation.status = InvitationStatusEnum.DECLINED;
+  invitation.respondedBy = req.user._id;
+  invitation.respondedAt = new Date();
+  await invitation.save();
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Invitation declined successfully"));
+});
+
+// Export all controllers to be used in the routes
+export {
+  getProjectInvitations,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  getInvitationByToken,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+};
@@ -0,0 +1,163 @@
+// Import the Label model and the collation of label names
+import { Label, LABEL_NAME_COLLATION } from "../models/label.models.js";
+
+// Import the Task model to detach a deleted label from the tasks
+import { Task } from "../models/task.models.js";
+
+// Import the ApiResponse class to send standardized and consistent API responses
+import { ApiResponse } from "../utils/api-response.js";
+
+// Import the ApiError class to handle standardized API errors
+import { ApiError } from "../utils/api-error.js";
+
+// Import the asyncHandler wrapper to automatically handle errors in asynchronous functions
+import { asyncHandler } from "../utils/async-handler.js";
+
+// Import mongoose to use Types.ObjectId in queries
+import mongoose from "mongoose";
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO FIND A LABEL OF THE PROJECT
+//-----------------------------------------------------------------------------------------------------------
+const findProjectLabel = async (projectId, labelId) => {
+  const label = await Label.findOne({
+    _id: new mongoose.Types.ObjectId(labelId),
+    project: new mongoose.Types.ObjectId(projectId),
+  });
+
+  if (!label) {
+    throw new ApiError(404, "Label not found");
+  }
+
+  return label;
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO CHECK THAT A NAME IS FREE IN THE CATALOGUE
+// Names are compared without case ("Bug" = "bug"), excludeId skips the label being renamed
+//-----------------------------------------------------------------------------------------------------------
+const ensureLabelNameIsFree = async (projectId, name, excludeId) => {
+  const existing = await Label.findOne({
+    project: new mongoose.Types.ObjectId(projectId),
+    name,
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  }).collation(LABEL_NAME_COLLATION);
+
+  if (existing) {
+    throw new ApiError(409, "A label with this name already exists in this project", [
+      { name: "Already exists" },
+    ]);
+  }
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO LIST THE LABEL CATALOGUE OF A PROJECT (any member)
+// Sorted by name, with the number of tasks using each label
+//-----------------------------------------------------------------------------------------------------------
+const getLabels = asyncHandler(async (req, res) => {
+  // Extract the project ID from the URL parameters
+  const { projectId } = req.params;
+
+  const [labels, usage] = await Promise.all([
+    Label.find({ project: new mongoose.Types.ObjectId(projectId) })
+      .sort({ name: 1 })
+      .collation(LABEL_NAME_COLLATION),
+    Task.aggregate([
+      { $match: { project: new mongoose.Types.ObjectId(projectId) } },
+      { $unwind: "$labels" },
+      { $group: { _id: "$labels", count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const countsById = new Map(usage.map(({ _id, count }) => [_id.toString(), count]));
+
+  // SUCCESS RESPONSE
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      labels.map((label) => ({
+        ...label.toObject(),
+        taskCount: countsById.get(label._id.toString()) || 0,
+      })),
+      "Labels fetched successfully",
+    ),
+  );
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO ADD A LABEL TO THE CATALOGUE (admin / project admin)
+//-----------------------------------------------------------------------------------------------------------
+const createLabel = asyncHandler(async (req, res) => {
+  // Extract the project ID from the URL parameters and the label from the body
+  const { projectId } = req.params;
+  const { name, color, description } = req.body;
+
+  await ensureLabelNameIsFree(projectId, name);
+
+  const label = await Label.create({
+    project: new mongoose.Types.ObjectId(projectId),
+    name,
+    color,
+    description,
+    createdBy: req.user._id,
+  });
+
+  // SUCCESS RESPONSE
+  return res
+    .status(201)
+    .json(new ApiResponse(201, label, "Label created successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO EDIT A LABEL (admin / project admin)
+// Every field is optional, tasks show the new name and color right away
+//-----------------------------------------------------------------------------------------------------------
+const updateLabel = asyncHandler(async (req, res) => {
+  // Extract IDs from URL parameters and new data from the body
+  // (Express 5 leaves req.body undefined when the request has no body: nothing to change then)
+  const { projectId, labelId } = req.params;
+  const { name, color, description } = req.body ?? {};
+
+  const label = await findProjectLabel(projectId, labelId);
+
+  if (name !== undefined) {
+    await ensureLabelNameIsFree(projectId, name, label._id);
+    label.name = name;
+  }
+  if (color !== undefined) label.color = color;
+  if (description !== undefined) label.description = description;
+
+  await label.save();
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, label, "Label updated successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO DELETE A LABEL (admin / project admin)
+// The label is removed from every task that had it
+//-----------------------------------------------------------------------------------------------------------
+const deleteLabel = asyncHandler(async (req, res) => {
+  // Extract IDs from URL parameters
+  const { projectId, labelId } = req.params;
+
+  const label = await findProjectLabel(projectId, labelId);
+
+  await label.deleteOne();
+  await Task.updateMany(
+    { project: label.project, labels: label._id },
+    { $pull: { labels: label._id } },
+  );
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, label, "Label deleted successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// EXPORT ALL CONTROLLERS
+//-----------------------------------------------------------------------------------------------------------
+export { getLabels, createLabel, updateLabel, deleteLabel };
@@ -0,0 +1,170 @@
+// Import the ProjectNote model to interact with the projectnotes collection in the database
+import { ProjectNote } from "../models/note.models.js";
+
+// Import the activity feed helper and types (changes are shown in the project feed)
+import { ActivityTypeEnum } from "../models/activity.models.js";
+import { recordActivity } from "../utils/activity.js";
+
+// Import the ApiResponse class to send standardized and consistent API responses
+import { ApiResponse } from "../utils/api-response.js";
+
+// Import the ApiError class to handle standardized API errors
+import { ApiError } from "../utils/api-error.js";
+
+// Import the asyncHandler wrapper to automatically handle errors in asynchronous functions
+import { asyncHandler } from "../utils/async-handler.js";
+
+// Import mongoose to use Types.ObjectId in queries
+import mongoose from "mongoose";
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO LIST PROJECT NOTES
+// Returns all notes of a project with their author, newest first
+//-----------------------------------------------------------------------------------------------------------
+const getNotes = asyncHandler(async (req, res) => {
+  // Extract the project ID from the URL parameters
+  const { projectId } = req.params;
+
+  // Find all notes of the project and populate the public fields of the author
+  const notes = await ProjectNote.find({
+    project: new mongoose.Types.ObjectId(projectId),
+  })
+    .populate("createdBy", "username fullName avatar")
+    .sort({ createdAt: -1 });
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, notes, "Notes fetched successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO GET NOTE DETAILS
+// Returns a single note of the project
+//-----------------------------------------------------------------------------------------------------------
+const getNoteById = asyncHandler(async (req, res) => {
+  // Extract project and note IDs from URL parameters
+  const { projectId, noteId } = req.params;
+
+  // Find the note making sure it belongs to the project in the URL
+  const note = await ProjectNote.findOne({
+    _id: new mongoose.Types.ObjectId(noteId),
+    project: new mongoose.Types.ObjectId(projectId),
+  }).populate("createdBy", "username fullName avatar");
+
+  // If the note does not exist, throw an error
+  if (!note) {
+    throw new ApiError(404, "Note not found");
+  }
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, note, "Note fetched successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO CREATE A NOTE
+// Creates a new note in the project (admin only)
+//-----------------------------------------------------------------------------------------------------------
+const createNote = asyncHandler(async (req, res) => {
+  // Extract project ID from URL parameters and content from the body
+  const { projectId } = req.params;
+  const { content } = req.body;
+
+  // Create the note document
+  const note = await ProjectNote.create({
+    project: new mongoose.Types.ObjectId(projectId),
+    content,
+    createdBy: new mongoose.Types.ObjectId(req.user._id),  // Author is the authenticated user
+  });
+
+  // Populate the author to return the same shape as the read endpoints
+  await note.populate("createdBy", "username fullName avatar");
+
+  await recordActivity(req, {
+    project: note.project,
+    type: ActivityTypeEnum.NOTE_CREATED,
+    targetModel: "ProjectNote",
+    target: note._id,
+  });
+
+  // SUCCESS RESPONSE
+  return res
+    .status(201)
+    .json(new ApiResponse(201, note, "Note created successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO UPDATE A NOTE
+// Replaces the content of a note (admin only)
+//-----------------------------------------------------------------------------------------------------------
+const updateNote = asyncHandler(async (req, res) => {
+  // Extract project and note IDs from URL parameters and new content from the body
+  const { projectId, noteId } = req.params;
+  const { content } = req.body;
+
+  // Update the note making sure it belongs to the project in the URL
+  const note = await ProjectNote.findOneAndUpdate(
+    {
+      _id: new mongoose.Types.ObjectId(noteId),
+      project: new mongoose.Types.ObjectId(projectId),
+    },
+    { content },
+    { new: true },  // Return the updated document
+  ).populate("createdBy", "username fullName avatar");
+
+  // If the note does not exist, throw an error
+  if (!note) {
+    throw new ApiError(404, "Note not found");
+  }
+
+  await recordActivity(req, {
+    project: note.project,
+    type: ActivityTypeEnum.NOTE_UPDATED,
+    targetModel: "ProjectNote",
+    target: note._id,
+  });
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, note, "Note updated successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO DELETE A NOTE
+// Deletes a note of the project (admin only)
+//-----------------------------------------------------------------------------------------------------------
+const deleteNote = asyncHandler(async (req, res) => {
+  // Extract project and note IDs from URL parameters
+  const { projectId, noteId } = req.params;
+
+  // Delete the note making sure it belongs to the project in the URL
+  const note = await ProjectNote.findOneAndDelete({
+    _id: new mongoose.Types.ObjectId(noteId),
+    project: new mongoose.Types.ObjectId(projectId),
+  });
+
+  // If the note does not exist, throw an error
+  if (!note) {
+    throw new ApiError(404, "Note not found");
+  }
+
+  await recordActivity(req, {
+    project: note.project,
+    type: ActivityTypeEnum.NOTE_DELETED,
+    targetModel: "ProjectNote",
+    target: note._id,
+  });
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, note, "Note deleted successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// EXPORT ALL CONTROLLERS
+//-----------------------------------------------------------------------------------------------------------
+export { getNotes, getNoteById, createNote, updateNote, deleteNote };
@@ -0,0 +1,545 @@
+// Import the Project model to interact with the projects collection in the database
+import { Project } from "../models/project.models.js";
+
+// Import the ProjectMember model to manage project members and their roles
+import { ProjectMember } from "../models/projectmember.models.js";
+
+// Import the User model to find users to add as project members
+import { User } from "../models/user.models.js";
+
+// Import the Task and SubTask models to delete the tasks of a deleted project
+import { Task } from "../models/task.models.js";
+import { SubTask } from "../models/subtask.models.js";
+
+// Import the Comment model to delete the task comments of a deleted project
+import { Comment } from "../models/comment.models.js";
+
+// Import the ProjectNote model to delete the notes of a deleted project
+import { ProjectNote } from "../models/note.models.js";
+
+// Import the Invitation model to delete the invitations of a deleted project
+import { Invitation } from "../models/invitation.models.js";
+
+// Import the Label model to delete the label catalogue of a deleted project
+import { Label } from "../models/label.models.js";
+
+// Import the Webhook and WebhookDelivery models to delete the webhooks of a deleted project
+import { Webhook } from "../models/webhook.models.js";
+import { WebhookDelivery } from "../models/webhookdelivery.models.js";
+
+// Import the audit log helper and actions (membership changes are recorded)
+import { AuditActionEnum } from "../models/auditevent.models.js";
+import { recordAuditEvent } from "../utils/audit.js";
+
+// Import the activity feed helper and types (changes are shown in the project feed)
+import { Activity, ActivityTypeEnum } from "../models/activity.models.js";
+import { recordActivity } from "../utils/activity.js";
+
+// Import the real-time publisher to close the event streams of a deleted project
+import { publishProjectDeleted } from "../utils/realtime.js";
+
+// Import the ApiResponse class to send standardized and consistent API responses
+import { ApiResponse } from "../utils/api-response.js";
+
+// Import the ApiError class to handle standardized API errors
+import { ApiError } from "../utils/api-error.js";
+
+// Import the asyncHandler wrapper to automatically handle errors in asynchronous functions
+import { asyncHandler } from "../utils/async-handler.js";
+
+// Import available user role constants
+import { UserRolesEnum } from "../utils/constants.js";
+
+// Import the helper that removes uploaded files from disk
+import { removeLocalFile } from "../utils/file.js";
+
+// Import mongoose to use Types.ObjectId in aggregation pipelines
+import mongoose from "mongoose";
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO LIST USER PROJECTS
+// Returns every project the current user is a member of, together with the member count
+//-----------------------------------------------------------------------------------------------------------
+const getProjects = asyncHandler(async (req, res) => {
+  // Start from the memberships of the current user so only accessible projects are returned
+  const projects = await ProjectMember.aggregate([
+    {
+      // Keep only the memberships that belong to the current user
+      $match: {
+        user: new mongoose.Types.ObjectId(req.user._id),
+      },
+    },
+    {
+      // Join the project document referenced by each membership
+      $lookup: {
+        from: "projects",  // Collection name of the Project model
+        localField: "project",  // Field of ProjectMember
+        foreignField: "_id",  // Field of Project
+        as: "project",
+        pipeline: [
+          {
+            // Join all memberships of the project to be able to count them
+            $lookup: {
+              from: "projectmembers",
+              localField: "_id",
+              foreignField: "project",
+              as: "projectmembers",
+            },
+          },
+          {
+            // Replace the joined array with its size
+            $addFields: {
+              members: { $size: "$projectmembers" },
+            },
+          },
+        ],
+      },
+    },
+    {
+      // $lookup always returns an array: flatten it to a single object
+      $unwind: "$project",
+    },
+    {
+      // Shape the response: project data plus the role of the current user in it
+      $project: {
+        project: {
+          _id: 1,
+          name: 1,
+          description: 1,
+          members: 1,
+          createdAt: 1,
+          createdBy: 1,
+        },
+        role: 1,
+        _id: 0,
+      },
+    },
+  ]);
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, projects, "Projects fetched successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO GET PROJECT DETAILS
+// Returns a single project (access already checked by validateProjectPermission)
+//-----------------------------------------------------------------------------------------------------------
+const getProjectById = asyncHandler(async (req, res) => {
+  // Extract the project ID from the URL parameters
+  const { projectId } = req.params;
+
+  // Find the project in the database
+  const project = await Project.findById(projectId);
+
+  // If the project does not exist, throw an error
+  if (!project) {
+    throw new ApiError(404, "Project not found");
+  }
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, project, "Project fetched successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO CREATE A PROJECT
+// Creates a new project and makes the creator its first admin member
+//-----------------------------------------------------------------------------------------------------------
+const createProject = asyncHandler(async (req, res) => {
+  // Extract project data from the request body
+  const { name, description } = req.body;
+
+  // Create the project document
+  const project = await Project.create({
+    name,
+    description,
+    createdBy: new mongoose.Types.ObjectId(req.user._id),  // Creator is the authenticated user
+  });
+
+  // Register the creator as admin of the new project
+  // Without this membership nobody could manage the project
+  await ProjectMember.create({
+    user: new mongoose.Types.ObjectId(req.user._id),
+    project: new mongoose.Types.ObjectId(project._id),
+    role: UserRolesEnum.ADMIN,
+  });
+
+  await recordActivity(req, {
+    project: project._id,
+    type: ActivityTypeEnum.PROJECT_CREATED,
+    targetModel: "Project",
+    target: project._id,
+    data: { name: project.name },
+  });
+
+  // SUCCESS RESPONSE
+  return res
+    .status(201)
+    .json(new ApiResponse(201, project, "Project created successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO UPDATE A PROJECT
+// Updates name and description of a project (admin only)
+//-----------------------------------------------------------------------------------------------------------
+const updateProject = asyncHandler(async (req, res) => {
+  // Extract new project data from the request body and project ID from URL parameters
+  const { name, description } = req.body;
+  const { projectId } = req.params;
+
+  // Update the project and return the new version of the document
+  const project = await Project.findByIdAndUpdate(
+    projectId,
+    {
+      name,
+      description,
+    },
+    { new: true },  // Return the updated document
+  );
+
+  // If the project does not exist, throw an error
+  if (!project) {
+    throw new ApiError(404, "Project not found");
+  }
+
+  await recordActivity(req, {
+    project: project._id,
+    type: ActivityTypeEnum.PROJECT_UPDATED,
+    targetModel: "Project",
+    target: project._id,
+    data: { name: project.name },
+  });
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, project, "Project updated successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO DELETE A PROJECT
+// Deletes a project together with all its memberships, tasks and notes (admin only)
+//-----------------------------------------------------------------------------------------------------------
+const deleteProject = asyncHandler(async (req, res) => {
+  // Extract the project ID from the URL parameters
+  const { projectId } = req.params;
+
+  // Delete the project document
+  const project = await Project.findByIdAndDelete(projectId);
+
+  // If the project does not exist, throw an error
+  if (!project) {
+    throw new ApiError(404, "Project not found");
+  }
+
+  // CASCADE DELETE
+  // Remove every membership of the deleted project so no orphan members remain
+  await ProjectMember.deleteMany({
+    project: new mongoose.Types.ObjectId(projectId),
+  });
+
+  // Remove the tasks of the project together with their attachment files, subtasks and comments
+  const tasks = await Task.find({
+    project: new mongoose.Types.ObjectId(projectId),
+  });
+  tasks.forEach((task) =>
+    task.attachments.forEach((attachment) => removeLocalFile(attachment.localPath)),
+  );
+  await SubTask.deleteMany({ task: { $in: tasks.map((task) => task._id) } });
+  await Task.deleteMany({ project: new mongoose.Types.ObjectId(projectId) });
+  await Comment.deleteMany({ project: new mongoose.Types.ObjectId(projectId) });
+
+  // Remove the label catalogue of the project
+  await Label.deleteMany({
+    project: new mongoose.Types.ObjectId(projectId),
+  });
+
+  // Remove the notes of the project
+  await ProjectNote.deleteMany({
+    project: new mongoose.Types.ObjectId(projectId),
+  });
+
+  // Remove the invitations of the project (their links stop working)
+  await Invitation.deleteMany({
+    project: new mongoose.Types.ObjectId(projectId),
+  });
+
+  // Remove the activity feed of the project (the security audit log is kept)
+  await Activity.deleteMany({
+    project: new mongoose.Types.ObjectId(projectId),
+  });
+
+  // Remove the webhooks of the project and their deliveries (queued events are dropped)
+  await Webhook.deleteMany({ project: new mongoose.Types.ObjectId(projectId) });
+  await WebhookDelivery.deleteMany({
+    project: new mongoose.Types.ObjectId(projectId),
+  });
+
+  // Close the real-time subscriptions of the project
+  await publishProjectDeleted(projectId);
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, project, "Project deleted successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO TAKE THE ADMIN ROLE AWAY FROM A MEMBER (last admin rule)
+// A project must always keep at least one admin, otherwise nobody could manage it anymore
+// Counting the admins before the update would race: two admins demoted at the same time would both
+// see another admin. The role is changed first, then the change is undone if no admin is left
+//-----------------------------------------------------------------------------------------------------------
+const releaseAdminRole = async (member, newRole) => {
+  // Only admins are concerned by this rule
+  if (member.role !== UserRolesEnum.ADMIN) {
+    return;
+  }
+
+  // Change the role only if the member is still an admin
+  const released = await ProjectMember.updateOne(
+    { _id: member._id, role: UserRolesEnum.ADMIN },
+    { $set: { role: newRole } },
+  );
+  if (released.modifiedCount === 0) {
+    return;
+  }
+
+  // Count the admins left in the project the member belongs to
+  const adminCount = await ProjectMember.countDocuments({
+    project: member.project,
+    role: UserRolesEnum.ADMIN,
+  });
+
+  // If the member was the only admin left, give the role back and refuse the operation
+  if (adminCount === 0) {
+    await ProjectMember.updateOne(
+      { _id: member._id },
+      { $set: { role: UserRolesEnum.ADMIN } },
+    );
+
+    throw new ApiError(
+      409,  // Status code 409 - Conflict with the current state of the project
+      "A project must have at least one admin",
+    );
+  }
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO LIST PROJECT MEMBERS
+// Returns all members of a project with their public user data
+//-----------------------------------------------------------------------------------------------------------
+const getProjectMembers = asyncHandler(async (req, res) => {
+  // Extract the project ID from the URL parameters
+  const { projectId } = req.params;
+
+  // Find all memberships of the project and populate the public user fields
+  const projectMembers = await ProjectMember.find({
+    project: new mongoose.Types.ObjectId(projectId),
+  })
+    .populate("user", "username fullName avatar")  // Only public fields of the User model
+    .select("user role createdAt updatedAt");
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, projectMembers, "Project members fetched successfully"),
+    );
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO ADD A MEMBER TO A PROJECT
+// Adds an existing user (found by email) to the project with the given role
+//-----------------------------------------------------------------------------------------------------------
+const addMembersToProject = asyncHandler(async (req, res) => {
+  // Extract member data from the request body and project ID from URL parameters
+  const { email, role } = req.body;
+  const { projectId } = req.params;
+
+  // Find the user to add by email
+  const user = await User.findOne({ email });
+
+  // If user is not found, throw an error (people without an account can be invited instead)
+  if (!user) {
+    throw new ApiError(
+      404,
+      "User does not exist, send an invitation to add people without an account",
+    );
+  }
+
+  // Verify that the user is not already a member of the project
+  const existingMember = await ProjectMember.findOne({
+    user: new mongoose.Types.ObjectId(user._id),
+    project: new mongoose.Types.ObjectId(projectId),
+  });
+
+  // If the user is already a member, throw an error
+  if (existingMember) {
+    throw new ApiError(409, "User is already a member of this project");
+  }
+
+  // Create the new membership
+  const projectMember = await ProjectMember.create({
+    user: new mongoose.Types.ObjectId(user._id),
+    project: new mongoose.Types.ObjectId(projectId),
+    role,
+  });
+
+  await recordAuditEvent(req, {
+    action: AuditActionEnum.MEMBER_ADD,
+    targetUser: user._id,
+    project: projectId,
+    metadata: { role },
+  });
+
+  await recordActivity(req, {
+    project: projectId,
+    type: ActivityTypeEnum.MEMBER_ADDED,
+    targetModel: "User",
+    target: user._id,
+    data: { role },
+  });
+
+  // SUCCESS RESPONSE
+  return res
+    .status(201)
+    .json(new ApiResponse(201, projectMember, "Project member added successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO UPDATE A MEMBER ROLE
+// Changes the role of a project member (the last admin cannot be demoted)
+//-----------------------------------------------------------------------------------------------------------
+const updateMemberRole = asyncHandler(async (req, res) => {
+  // Extract project and user IDs from URL parameters and the new role from the body
+  const { projectId, userId } = req.params;
+  const { newRole } = req.body;
+
+  // Find the membership to update
+  const projectMember = await ProjectMember.findOne({
+    project: new mongoose.Types.ObjectId(projectId),
+    user: new mongoose.Types.ObjectId(userId),
+  });
+
+  // If the user is not a member of the project, throw an error
+  if (!projectMember) {
+    throw new ApiError(404, "Project member not found");
+  }
+
+  // Demoting an admin is allowed only if another admin remains
+  if (newRole !== UserRolesEnum.ADMIN) {
+    await releaseAdminRole(projectMember, newRole);
+  }
+
+  // Set the new role and save the membership
+  const previousRole = projectMember.role;
+  projectMember.role = newRole;
+  await projectMember.save();
+
+  await recordAuditEvent(req, {
+    action: AuditActionEnum.MEMBER_ROLE_CHANGE,
+    targetUser: projectMember.user,
+    project: projectId,
+    metadata: { previousRole, role: newRole },
+  });
+
+  await recordActivity(req, {
+    project: projectId,
+    type: ActivityTypeEnum.MEMBER_ROLE_CHANGED,
+    targetModel: "User",
+    target: projectMember.user,
+    data: { from: previousRole, to: newRole },
+  });
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, projectMember, "Project member role updated successfully"),
+    );
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO REMOVE A MEMBER FROM A PROJECT
+// Deletes a membership (the last admin cannot be removed)
+//-----------------------------------------------------------------------------------------------------------
+const deleteMember = asyncHandler(async (req, res) => {
+  // Extract project and user IDs from URL parameters
+  const { projectId, userId } = req.params;
+
+  // Find the membership to delete
+  const projectMember = await ProjectMember.findOne({
+    project: new mongoose.Types.ObjectId(projectId),
+    user: new mongoose.Types.ObjectId(userId),
+  });
+
+  // If the user is not a member of the project, throw an error
+  if (!projectMember) {
+    throw new ApiError(404, "Project member not found");
+  }
+
+  // Removing an admin is allowed only if another admin remains (the membership is demoted first)
+  await releaseAdminRole(projectMember, UserRolesEnum.MEMBER);
+
+  // Delete the membership
+  try {
+    await projectMember.deleteOne();
+  } catch (error) {
+    // The membership is still there: give its role back (projectMember still holds the previous one)
+    await ProjectMember.updateOne(
+      { _id: projectMember._id },
+      { $set: { role: projectMember.role } },
+    );
+    throw error;
+  }
+
+  await recordAuditEvent(req, {
+    action: AuditActionEnum.MEMBER_REMOVE,
+    targetUser: projectMember.user,
+    project: projectId,
+    metadata: { role: projectMember.role },
+  });
+
+  await recordActivity(req, {
+    project: projectId,
+    type: ActivityTypeEnum.MEMBER_REMOVED,
+    targetModel: "User",
+    target: projectMember.user,
+    data: { role: projectMember.role },
+  });
+
+  // Unassign the tasks of the removed user: assignees must be current project members
+  await Task.updateMany(
+    {
+      project: new mongoose.Types.ObjectId(projectId),
+      assignedTo: new mongoose.Types.ObjectId(userId),
+    },
+    { $unset: { assignedTo: "" } },
+  );
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, projectMember, "Project member deleted successfully"),
+    );
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// EXPORT ALL CONTROLLERS
+//-----------------------------------------------------------------------------------------------------------
+export {
+  getProjects,
+  getProjectById,
+  createProject,
+  updateProject,
+  deleteProject,
+  getProjectMembers,
+  addMembersToProject,
+  updateMemberRole,
+  deleteMember,
+};
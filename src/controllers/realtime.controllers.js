@@ -0,0 +1,99 @@
+// Import the ProjectMember model to subscribe only to the projects of the user
+import { ProjectMember } from "../models/projectmember.models.js";
+
+// Import the Activity model to replay the events missed while disconnected
+import { Activity } from "../models/activity.models.js";
+
+// Import the ApiError class to handle standardized API errors
+import { ApiError } from "../utils/api-error.js";
+
+// Import the asyncHandler wrapper to automatically handle errors in asynchronous functions
+import { asyncHandler } from "../utils/async-handler.js";
+
+// Import the event stream helper
+import { openEventStream } from "../utils/realtime.js";
+
+// Import mongoose to use Types.ObjectId in queries
+import mongoose from "mongoose";
+
+// Maximum number of missed events replayed after a reconnection (older ones are in the activity feed)
+const MAX_REPLAYED_EVENTS = 100;
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO FIND THE EVENTS MISSED SINCE THE LAST RECEIVED ONE
+// EventSource sends the ID of the last received event in the Last-Event-ID header when it reconnects
+//-----------------------------------------------------------------------------------------------------------
+const findMissedEvents = async (lastEventId, memberships) => {
+  if (!lastEventId || !mongoose.isValidObjectId(lastEventId)) {
+    return [];
+  }
+
+  const roles = new Map(
+    memberships.map((member) => [member.project.toString(), member.role]),
+  );
+
+  const activities = await Activity.find({
+    project: { $in: memberships.map((member) => member.project) },
+    _id: { $gt: new mongoose.Types.ObjectId(lastEventId) },
+  })
+    .sort({ _id: 1 })
+    .limit(MAX_REPLAYED_EVENTS)
+    .lean();
+
+  // Same visibility rules as the live events
+  return activities
+    .filter((activity) => activity.visibleTo.includes(roles.get(activity.project.toString())))
+    .map(({ visibleTo, ...activity }) => activity);
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO OPEN THE REAL-TIME EVENT STREAM
+// ?projects=<id>,<id> subscribes to those projects (every project of the user if omitted)
+// The user must be a member of every requested project
+//-----------------------------------------------------------------------------------------------------------
+const streamEvents = asyncHandler(async (req, res) => {
+  // Extract the requested projects from the query string
+  const requestedProjects = req.query.projects
+    ? [...new Set(String(req.query.projects).split(",").map((id) => id.trim()))]
+    : null;
+
+  if (requestedProjects?.some((id) => !mongoose.isValidObjectId(id))) {
+    throw new ApiError(400, "Invalid project ID", [{ projects: "Projects must be project IDs" }]);
+  }
+
+  // Find the memberships of the user (in the requested projects, or all of them)
+  const memberships = await ProjectMember.find({
+    user: req.user._id,
+    ...(requestedProjects && {
+      project: { $in: requestedProjects.map((id) => new mongoose.Types.ObjectId(id)) },
+    }),
+  }).select("project role");
+
+  // Same answer as validateProjectPermission for projects the user is not a member of
+  if (requestedProjects && memberships.length !== requestedProjects.length) {
+    const memberOf = new Set(memberships.map((member) => member.project.toString()));
+    throw new ApiError(
+      403,
+      "You are not a member of every requested project",
+      requestedProjects
+        .filter((id) => !memberOf.has(id))
+        .map((id) => ({ projects: `Not a member of project ${id}` })),
+    );
+  }
+
+  if (memberships.length === 0) {
+    throw new ApiError(400, "No project to subscribe to");
+  }
+
+  // Events missed since the previous connection (header sent by EventSource, query for other clients)
+  const missedEvents = await findMissedEvents(
+    req.get("Last-Event-ID") || req.query.lastEventId,
+    memberships,
+  );
+
+  // Open the stream: the response stays open until the client or the server closes it
+  await openEventStream(req, res, { memberships, missedEvents });
+});
+
+// Export the real-time controllers
+export { streamEvents };
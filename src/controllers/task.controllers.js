@@ -0,0 +1,546 @@
+// Import the Task model to interact with the tasks collection in the database
+import { Task } from "../models/task.models.js";
+
+// Import the SubTask model to manage the checklist items of a task
+import { SubTask } from "../models/subtask.models.js";
+
+// Import the Comment model to delete the discussion of a deleted task
+import { Comment } from "../models/comment.models.js";
+
+// Import the ProjectMember model to verify that assignees belong to the project
+import { ProjectMember } from "../models/projectmember.models.js";
+
+// Import the activity feed helper and types (changes are shown in the project feed)
+import { ActivityTypeEnum } from "../models/activity.models.js";
+import { recordActivity } from "../utils/activity.js";
+
+// Import the ApiResponse class to send standardized and consistent API responses
+import { ApiResponse } from "../utils/api-response.js";
+
+// Import the ApiError class to handle standardized API errors
+import { ApiError } from "../utils/api-error.js";
+
+// Import the asyncHandler wrapper to automatically handle errors in asynchronous functions
+import { asyncHandler } from "../utils/async-handler.js";
+
+// Import task status and user role constants
+import { TaskStatusEnum, UserRolesEnum } from "../utils/constants.js";
+
+// Import mongoose to use Types.ObjectId in queries
+import mongoose from "mongoose";
+
+// Import matchedData to read the query string checked and converted by the validators
+import { matchedData } from "express-validator";
+
+// Import the helper that removes uploaded files from disk
+import { removeLocalFile } from "../utils/file.js";
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO VERIFY THE ASSIGNEE
+// A task can only be assigned to a user who is currently a member of the project
+//-----------------------------------------------------------------------------------------------------------
+const ensureAssigneeIsMember = async (projectId, assignedTo) => {
+  // Find the membership of the assignee in the project
+  const member = await ProjectMember.findOne({
+    project: new mongoose.Types.ObjectId(projectId),
+    user: new mongoose.Types.ObjectId(assignedTo),
+  });
+
+  // If the assignee is not a member of the project, throw an error
+  if (!member) {
+    throw new ApiError(400, "Assignee is not a member of this project");
+  }
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO BUILD THE TASK LIST FILTERS
+// Reads the query string checked by taskFiltersQueryValidator: { label?, priority?, overdue?, assignee? }
+//-----------------------------------------------------------------------------------------------------------
+const buildTaskFilters = (req) => {
+  const { label: labels = [], priority: priorities = [], overdue, assignee } = matchedData(req, {
+    locations: ["query"],
+  });
+
+  const filters = {};
+
+  if (labels.length) {
+    filters.labels = { $all: labels.map((id) => new mongoose.Types.ObjectId(id)) };
+  }
+  if (priorities.length) {
+    filters.priority = { $in: priorities };
+  }
+
+  // Overdue: the due date is passed and the task is not done yet
+  const now = new Date();
+  if (overdue === true) {
+    filters.dueDate = { $lt: now };
+    filters.status = { $ne: TaskStatusEnum.DONE };
+  } else if (overdue === false) {
+    filters.$or = [
+      { dueDate: null },  // Also matches tasks without due date
+      { dueDate: { $gte: now } },
+      { status: TaskStatusEnum.DONE },
+    ];
+  }
+
+  if (assignee === "me") {
+    filters.assignedTo = req.user._id;
+  } else if (assignee === "none") {
+    filters.assignedTo = null;  // Also matches tasks without assignee
+  } else if (assignee) {
+    filters.assignedTo = new mongoose.Types.ObjectId(assignee);
+  }
+
+  return filters;
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO LIST PROJECT TASKS
+// Returns the tasks of a project with assignee and label data, optionally filtered (see buildTaskFilters)
+//-----------------------------------------------------------------------------------------------------------
+const getTasks = asyncHandler(async (req, res) => {
+  // Extract the project ID from the URL parameters and the filters from the query string
+  const { projectId } = req.params;
+  const filters = buildTaskFilters(req);
+
+  // Find the tasks of the project and populate the public fields of the assignee and the labels
+  const tasks = await Task.find({
+    project: new mongoose.Types.ObjectId(projectId),
+    ...filters,
+  })
+    .populate("assignedTo", "username fullName avatar")
+    .populate("labels", "name color");
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, tasks, "Tasks fetched successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO GET TASK DETAILS
+// Returns a single task of the project
+//-----------------------------------------------------------------------------------------------------------
+const getTaskById = asyncHandler(async (req, res) => {
+  // Extract project and task IDs from URL parameters
+  const { projectId, taskId } = req.params;
+
+  // Find the task making sure it belongs to the project in the URL
+  const task = await Task.findOne({
+    _id: new mongoose.Types.ObjectId(taskId),
+    project: new mongoose.Types.ObjectId(projectId),
+  })
+    .populate("assignedTo", "username fullName avatar")
+    .populate("assignedBy", "username fullName avatar")
+    .populate("labels", "name color");
+
+  // If the task does not exist, throw an error
+  if (!task) {
+    throw new ApiError(404, "Task not found");
+  }
+
+  // Find the subtasks of the task, oldest first (checklist order)
+  const subTasks = await SubTask.find({
+    task: new mongoose.Types.ObjectId(taskId),
+  })
+    .populate("createdBy", "username fullName avatar")
+    .sort({ createdAt: 1 });
+
+  // Count how many subtasks have already been completed
+  const completedSubTasks = subTasks.filter(
+    (subTask) => subTask.isCompleted,
+  ).length;
+
+  // SUCCESS RESPONSE
+  // The task is returned together with its subtasks and completion counts
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        ...task.toObject(),
+        subTasks,
+        subTaskCount: {
+          total: subTasks.length,
+          completed: completedSubTasks,
+        },
+      },
+      "Task fetched successfully",
+    ),
+  );
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO CREATE A TASK
+// Creates a new task with optional assignee and file attachments
+//-----------------------------------------------------------------------------------------------------------
+const createTask = asyncHandler(async (req, res) => {
+  // Extract task data from the request body and project ID from URL parameters
+  // (labels were checked against the catalogue of the project by the validator)
+  const { title, description, assignedTo, status, priority, startDate, dueDate, labels } = req.body;
+  const { projectId } = req.params;
+
+  // Build the attachment list from the files saved by the upload middleware
+  const files = req.files || [];
+  const attachments = files.map((file) => ({
+    url: `${req.protocol}://${req.get("host")}/images/${file.filename}`,  // Public URL (public folder is served statically)
+    localPath: file.path,  // Path of the file on disk
+    mimetype: file.mimetype,
+    size: file.size,
+  }));
+
+  // If an assignee is provided, verify that they are a member of the project
+  // (if anything fails, discardUploadsOnError removes the uploaded files, see task.routes.js)
+  if (assignedTo) {
+    await ensureAssigneeIsMember(projectId, assignedTo);
+  }
+
+  // Create the task document
+  const task = await Task.create({
+    title,
+    description,
+    project: new mongoose.Types.ObjectId(projectId),
+    assignedTo: assignedTo
+      ? new mongoose.Types.ObjectId(assignedTo)
+      : undefined,
+    assignedBy: new mongoose.Types.ObjectId(req.user._id),  // Author is the authenticated user
+    status,
+    priority,
+    startDate,
+    dueDate,
+    labels,
+    attachments,
+  });
+
+  await recordActivity(req, {
+    project: task.project,
+    type: ActivityTypeEnum.TASK_CREATED,
+    targetModel: "Task",
+    target: task._id,
+    data: {
+      title: task.title,
+      status: task.status,
+      priority: task.priority,
+      dueDate: task.dueDate,
+      assignedTo: task.assignedTo,
+    },
+  });
+
+  // SUCCESS RESPONSE
+  return res
+    .status(201)
+    .json(new ApiResponse(201, task, "Task created successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO UPDATE A TASK
+// Updates title, description, status, assignee, priority, dates and labels of a task
+//-----------------------------------------------------------------------------------------------------------
+const updateTask = asyncHandler(async (req, res) => {
+  // Extract project and task IDs from URL parameters and new data from the body
+  // (labels were checked against the catalogue of the project by the validator,
+  // Express 5 leaves req.body undefined when the request has no body: nothing to change then)
+  const { projectId, taskId } = req.params;
+  const { title, description, assignedTo, status, priority, startDate, dueDate, labels } = req.body ?? {};
+
+  // Find the task making sure it belongs to the project in the URL
+  const task = await Task.findOne({
+    _id: new mongoose.Types.ObjectId(taskId),
+    project: new mongoose.Types.ObjectId(projectId),
+  });
+
+  // If the task does not exist, throw an error
+  if (!task) {
+    throw new ApiError(404, "Task not found");
+  }
+
+  // Values before the update, to describe the change in the activity feed
+  const previous = {
+    title: task.title,
+    description: task.description,
+    status: task.status,
+    assignedTo: task.assignedTo,
+    priority: task.priority,
+    startDate: task.startDate,
+    dueDate: task.dueDate,
+    labels: [...task.labels],
+  };
+
+  // If the assignee changes, verify that the new one is a member of the project
+  // assignedTo: null unassigns the task
+  if (assignedTo === null) {
+    task.assignedTo = undefined;
+  } else if (assignedTo) {
+    await ensureAssigneeIsMember(projectId, assignedTo);
+    task.assignedTo = new mongoose.Types.ObjectId(assignedTo);
+  }
+
+  // Update only the fields that were provided
+  if (title !== undefined) task.title = title;
+  if (description !== undefined) task.description = description;
+  if (status !== undefined) task.status = status;
+  if (priority !== undefined) task.priority = priority;
+  if (startDate !== undefined) task.startDate = startDate;  // null removes the date
+  if (dueDate !== undefined) task.dueDate = dueDate;
+  if (labels !== undefined) task.labels = labels;
+
+  // Save the task (schema validation checks the enums and the order of the dates)
+  await task.save();
+
+  // ACTIVITY FEED
+  // One activity per kind of change: a status move and a new assignee are shown separately
+  const activity = { project: task.project, targetModel: "Task", target: task._id };
+
+  if (task.status !== previous.status) {
+    await recordActivity(req, {
+      ...activity,
+      type: ActivityTypeEnum.TASK_STATUS_CHANGED,
+      data: { title: task.title, from: previous.status, to: task.status },
+    });
+  }
+
+  if (String(task.assignedTo) !== String(previous.assignedTo)) {
+    await recordActivity(req, {
+      ...activity,
+      type: ActivityTypeEnum.TASK_ASSIGNED,
+      data: { title: task.title, from: previous.assignedTo, to: task.assignedTo },
+    });
+  }
+
+  // Dates and label lists are compared as strings, a missing value and null are the same
+  const changedFields = [
+    "title",
+    "description",
+    "priority",
+    "startDate",
+    "dueDate",
+    "labels",
+  ].filter((field) => String(task[field] ?? "") !== String(previous[field] ?? ""));
+
+  if (changedFields.length > 0) {
+    await recordActivity(req, {
+      ...activity,
+      type: ActivityTypeEnum.TASK_UPDATED,
+      data: { title: task.title, previousTitle: previous.title, fields: changedFields },
+    });
+  }
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, task, "Task updated successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO DELETE A TASK
+// Deletes a task with its subtasks and attachment files
+//-----------------------------------------------------------------------------------------------------------
+const deleteTask = asyncHandler(async (req, res) => {
+  // Extract project and task IDs from URL parameters
+  const { projectId, taskId } = req.params;
+
+  // Delete the task making sure it belongs to the project in the URL
+  const task = await Task.findOneAndDelete({
+    _id: new mongoose.Types.ObjectId(taskId),
+    project: new mongoose.Types.ObjectId(projectId),
+  });
+
+  // If the task does not exist, throw an error
+  if (!task) {
+    throw new ApiError(404, "Task not found");
+  }
+
+  // Remove the attachment files from disk
+  task.attachments.forEach((attachment) => removeLocalFile(attachment.localPath));
+
+  // CASCADE DELETE
+  // Remove every subtask of the deleted task
+  await SubTask.deleteMany({ task: task._id });
+
+  // Remove the comments of the deleted task
+  await Comment.deleteMany({ task: task._id });
+
+  await recordActivity(req, {
+    project: task.project,
+    type: ActivityTypeEnum.TASK_DELETED,
+    targetModel: "Task",
+    target: task._id,
+    data: { title: task.title },
+  });
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, task, "Task deleted successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO FIND A SUBTASK OF A PROJECT
+// Returns the subtask only if its parent task belongs to the project in the URL
+//-----------------------------------------------------------------------------------------------------------
+const findProjectSubTask = async (projectId, subTaskId) => {
+  // Find the subtask and populate the parent task to read its project
+  const subTask = await SubTask.findById(subTaskId).populate("task", "project");
+
+  // The subtask must exist and belong to a task of the project
+  if (!subTask || subTask.task?.project?.toString() !== projectId) {
+    throw new ApiError(404, "Subtask not found");
+  }
+
+  return subTask;
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO CREATE A SUBTASK
+// Adds a subtask to an existing task (admin / project admin)
+//-----------------------------------------------------------------------------------------------------------
+const createSubTask = asyncHandler(async (req, res) => {
+  // Extract project and task IDs from URL parameters and title from the body
+  const { projectId, taskId } = req.params;
+  const { title } = req.body;
+
+  // Verify that the parent task exists in the project
+  const task = await Task.findOne({
+    _id: new mongoose.Types.ObjectId(taskId),
+    project: new mongoose.Types.ObjectId(projectId),
+  });
+
+  // If the task does not exist, throw an error
+  if (!task) {
+    throw new ApiError(404, "Task not found");
+  }
+
+  // Create the subtask document
+  const subTask = await SubTask.create({
+    title,
+    task: new mongoose.Types.ObjectId(taskId),
+    createdBy: new mongoose.Types.ObjectId(req.user._id),  // Creator is the authenticated user
+  });
+
+  await recordActivity(req, {
+    project: task.project,
+    type: ActivityTypeEnum.SUBTASK_CREATED,
+    targetModel: "SubTask",
+    target: subTask._id,
+    data: { title: subTask.title, task: task._id, taskTitle: task.title },
+  });
+
+  // SUCCESS RESPONSE
+  return res
+    .status(201)
+    .json(new ApiResponse(201, subTask, "Subtask created successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO UPDATE A SUBTASK
+// Admins and project admins can change any field, members can only toggle isCompleted
+//-----------------------------------------------------------------------------------------------------------
+const updateSubTask = asyncHandler(async (req, res) => {
+  // Extract project and subtask IDs from URL parameters and new data from the body
+  // (Express 5 leaves req.body undefined when the request has no body: nothing to change then)
+  const { projectId, subTaskId } = req.params;
+  const body = req.body ?? {};
+  const { title, isCompleted } = body;
+
+  // MEMBER RESTRICTION
+  // req.user.role is set by validateProjectPermission
+  // A plain member sending anything other than isCompleted is rejected instead of being silently ignored
+  if (req.user.role === UserRolesEnum.MEMBER) {
+    const forbiddenFields = Object.keys(body).filter(
+      (field) => field !== "isCompleted",
+    );
+
+    if (forbiddenFields.length > 0) {
+      throw new ApiError(
+        403,  // Status code 403 - Forbidden
+        "Members can only update the completion status of a subtask",
+        forbiddenFields.map((field) => ({ [field]: "Field not allowed for members" })),
+      );
+    }
+  }
+
+  // Find the subtask making sure it belongs to the project in the URL
+  const subTask = await findProjectSubTask(projectId, subTaskId);
+
+  // Values before the update, to describe the change in the activity feed
+  const previousTitle = subTask.title;
+  const wasCompleted = subTask.isCompleted;
+
+  // Update only the fields that were provided
+  if (title !== undefined) subTask.title = title;
+  if (isCompleted !== undefined) subTask.isCompleted = isCompleted;
+
+  // Save the subtask
+  await subTask.save();
+
+  // ACTIVITY FEED
+  const activity = {
+    project: subTask.task.project,
+    targetModel: "SubTask",
+    target: subTask._id,
+    data: { title: subTask.title, task: subTask.task._id },
+  };
+
+  if (subTask.isCompleted !== wasCompleted) {
+    await recordActivity(req, {
+      ...activity,
+      type: subTask.isCompleted
+        ? ActivityTypeEnum.SUBTASK_COMPLETED
+        : ActivityTypeEnum.SUBTASK_REOPENED,
+    });
+  }
+
+  if (subTask.title !== previousTitle) {
+    await recordActivity(req, {
+      ...activity,
+      type: ActivityTypeEnum.SUBTASK_UPDATED,
+      data: { ...activity.data, previousTitle },
+    });
+  }
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, subTask, "Subtask updated successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO DELETE A SUBTASK
+// Deletes a subtask (admin / project admin)
+//-----------------------------------------------------------------------------------------------------------
+const deleteSubTask = asyncHandler(async (req, res) => {
+  // Extract project and subtask IDs from URL parameters
+  const { projectId, subTaskId } = req.params;
+
+  // Find the subtask making sure it belongs to the project in the URL
+  const subTask = await findProjectSubTask(projectId, subTaskId);
+
+  // Delete the subtask
+  await subTask.deleteOne();
+
+  await recordActivity(req, {
+    project: subTask.task.project,
+    type: ActivityTypeEnum.SUBTASK_DELETED,
+    targetModel: "SubTask",
+    target: subTask._id,
+    data: { title: subTask.title, task: subTask.task._id },
+  });
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, subTask, "Subtask deleted successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// EXPORT ALL CONTROLLERS
+//-----------------------------------------------------------------------------------------------------------
+export {
+  getTasks,
+  getTaskById,
+  createTask,
+  updateTask,
+  deleteTask,
+  createSubTask,
+  updateSubTask,
+  deleteSubTask,
+};
@@ -0,0 +1,278 @@
+// Import the Webhook model
+import { Webhook } from "../models/webhook.models.js";
+
+// Import the WebhookDelivery model and its statuses
+import {
+  WebhookDelivery,
+  WebhookDeliveryStatusEnum,
+} from "../models/webhookdelivery.models.js";
+
+// Import the audit log helper and actions (webhook changes are security events: they decide where data goes)
+import { AuditActionEnum } from "../models/auditevent.models.js";
+import { recordAuditEvent } from "../utils/audit.js";
+
+// Import the test ping sender
+import { sendWebhookPing } from "../utils/webhooks.js";
+
+// Import matchedData to read the query string checked and converted by the validators
+import { matchedData } from "express-validator";
+
+// Import the ApiResponse class to send standardized and consistent API responses
+import { ApiResponse } from "../utils/api-response.js";
+
+// Import the ApiError class to handle standardized API errors
+import { ApiError } from "../utils/api-error.js";
+
+// Import the asyncHandler wrapper to automatically handle errors in asynchronous functions
+import { asyncHandler } from "../utils/async-handler.js";
+
+// Import mongoose to use Types.ObjectId in queries
+import mongoose from "mongoose";
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO FIND A WEBHOOK OF THE PROJECT
+// select: extra fields to load (ex: "+secret" before a rotation)
+//-----------------------------------------------------------------------------------------------------------
+const findProjectWebhook = async (projectId, webhookId, select = "") => {
+  const webhook = await Webhook.findOne({
+    _id: new mongoose.Types.ObjectId(webhookId),
+    project: new mongoose.Types.ObjectId(projectId),
+  }).select(select);
+
+  if (!webhook) {
+    throw new ApiError(404, "Webhook not found");
+  }
+
+  return webhook;
+};
+
+// Public fields of a webhook: the secrets are never sent back, except right after they are generated
+const toPublicWebhook = (webhook) => {
+  const { secret, previousSecret, ...fields } = webhook.toObject();
+  return fields;
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO LIST THE WEBHOOKS OF A PROJECT (admin)
+//-----------------------------------------------------------------------------------------------------------
+const getWebhooks = asyncHandler(async (req, res) => {
+  // Extract the project ID from the URL parameters
+  const { projectId } = req.params;
+
+  const webhooks = await Webhook.find({
+    project: new mongoose.Types.ObjectId(projectId),
+  }).sort({ createdAt: 1 });
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, webhooks, "Webhooks fetched successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO REGISTER A WEBHOOK (admin)
+// The response contains the signing secret: it is the only time it is shown
+//-----------------------------------------------------------------------------------------------------------
+const createWebhook = asyncHandler(async (req, res) => {
+  // Extract the project ID from the URL parameters and the settings from the body
+  const { projectId } = req.params;
+  const { url, events, description, active } = req.body;
+
+  const webhook = new Webhook({
+    project: new mongoose.Types.ObjectId(projectId),
+    url,
+    events: [...new Set(events)],  // Ignore duplicated events
+    description,
+    active,
+    createdBy: req.user._id,
+  });
+  const secret = webhook.generateSecret();
+  await webhook.save();
+
+  await recordAuditEvent(req, {
+    action: AuditActionEnum.WEBHOOK_CREATE,
+    project: projectId,
+    metadata: { webhook: webhook._id, url: webhook.url, events: webhook.events },
+  });
+
+  // SUCCESS RESPONSE
+  return res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        { ...toPublicWebhook(webhook), secret },
+        "Webhook created successfully, store the secret now: it won't be shown again",
+      ),
+    );
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO UPDATE A WEBHOOK (admin)
+// Every field is optional: url, events, description, active (a paused webhook queues nothing)
+//-----------------------------------------------------------------------------------------------------------
+const updateWebhook = asyncHandler(async (req, res) => {
+  // Extract IDs from URL parameters and the settings from the body
+  // (Express 5 leaves req.body undefined when the request has no body: nothing to change then)
+  const { projectId, webhookId } = req.params;
+  const { url, events, description, active } = req.body ?? {};
+
+  const webhook = await findProjectWebhook(projectId, webhookId);
+
+  // Apply only the provided fields
+  if (url !== undefined) webhook.url = url;
+  if (events !== undefined) webhook.events = [...new Set(events)];
+  if (description !== undefined) webhook.description = description;
+  if (active !== undefined) webhook.active = active;
+
+  // Paths really changed by this request (for the audit log)
+  const changes = webhook.modifiedPaths();
+  await webhook.save();
+
+  if (changes.length) {
+    await recordAuditEvent(req, {
+      action: AuditActionEnum.WEBHOOK_UPDATE,
+      project: projectId,
+      metadata: { webhook: webhook._id, changes, url: webhook.url, events: webhook.events },
+    });
+  }
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, webhook, "Webhook updated successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO DELETE A WEBHOOK AND ITS DELIVERY LOG (admin)
+// Queued deliveries are dropped with it
+//-----------------------------------------------------------------------------------------------------------
+const deleteWebhook = asyncHandler(async (req, res) => {
+  // Extract IDs from URL parameters
+  const { projectId, webhookId } = req.params;
+
+  const webhook = await findProjectWebhook(projectId, webhookId);
+
+  await webhook.deleteOne();
+  await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+  await recordAuditEvent(req, {
+    action: AuditActionEnum.WEBHOOK_DELETE,
+    project: projectId,
+    metadata: { webhook: webhook._id, url: webhook.url },
+  });
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(new ApiResponse(200, webhook, "Webhook deleted successfully"));
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO ROTATE THE SIGNING SECRET OF A WEBHOOK (admin)
+// The new secret is returned once. The previous one keeps signing deliveries until previousSecretExpiresAt
+// (both signatures are sent), so the receiver can be updated without rejecting anything
+//-----------------------------------------------------------------------------------------------------------
+const rotateWebhookSecret = asyncHandler(async (req, res) => {
+  // Extract IDs from URL parameters
+  const { projectId, webhookId } = req.params;
+
+  const webhook = await findProjectWebhook(projectId, webhookId, "+secret +previousSecret");
+
+  const secret = webhook.generateSecret();
+  await webhook.save();
+
+  await recordAuditEvent(req, {
+    action: AuditActionEnum.WEBHOOK_SECRET_ROTATE,
+    project: projectId,
+    metadata: { webhook: webhook._id },
+  });
+
+  // SUCCESS RESPONSE
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { ...toPublicWebhook(webhook), secret },
+        "Webhook secret rotated successfully, store the new secret now: it won't be shown again",
+      ),
+    );
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO SEND A TEST PING (admin)
+// Works on paused webhooks too. The response contains the delivery and its log (status code, body, error)
+//-----------------------------------------------------------------------------------------------------------
+const pingWebhook = asyncHandler(async (req, res) => {
+  // Extract IDs from URL parameters
+  const { projectId, webhookId } = req.params;
+
+  const webhook = await findProjectWebhook(projectId, webhookId);
+
+  const delivery = await sendWebhookPing(webhook);
+  const delivered = delivery.status === WebhookDeliveryStatusEnum.DELIVERED;
+
+  // SUCCESS RESPONSE (the request itself succeeded, the delivery tells whether the endpoint accepted the ping)
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        delivery,
+        delivered ? "Ping delivered successfully" : "Ping could not be delivered",
+      ),
+    );
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// CONTROLLER TO READ THE DELIVERY LOG OF A WEBHOOK (admin)
+// Newest first: ?page=1..  &limit=1..100 (20 by default)  &status=pending|sending|delivered|failed
+//-----------------------------------------------------------------------------------------------------------
+const getWebhookDeliveries = asyncHandler(async (req, res) => {
+  // Extract IDs from URL parameters and the paging from the query string
+  // (checked by webhookDeliveriesQueryValidator)
+  const { projectId, webhookId } = req.params;
+  const { page, limit, status } = matchedData(req, { locations: ["query"] });
+
+  const webhook = await findProjectWebhook(projectId, webhookId);
+
+  const match = { webhook: webhook._id, ...(status && { status }) };
+  const [deliveries, total] = await Promise.all([
+    WebhookDelivery.find(match)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    WebhookDelivery.countDocuments(match),
+  ]);
+
+  // SUCCESS RESPONSE
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        deliveries,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+      "Webhook deliveries fetched successfully",
+    ),
+  );
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// EXPORT ALL CONTROLLERS
+//-----------------------------------------------------------------------------------------------------------
+export {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  pingWebhook,
+  getWebhookDeliveries,
+};
@@ -2,24 +2,30 @@
 // Mongoose provides a schema-based solution for modeling application data
 import mongoose from "mongoose";
 
+// Import the validated application configuration
+import { config } from "../config/index.js";
+
+// Import the structured logger
+import { logger } from "../utils/logger.js";
+
 // Async function to establish connection with MongoDB database
 // This function is exported to be used in the main application file
 const connectDB = async () => {
     try {
         // Attempt to establish connection with MongoDB database using URI from environment variables
-        // process.env.MONGO_URI contains the connection string (ex: mongodb://localhost:27017/databaseName)
+        // config.mongo.uri contains the connection string from MONGO_URI (ex: mongodb://localhost:27017/databaseName)
         // await suspends execution until the async connection operation completes
-        await mongoose.connect(process.env.MONGO_URI);
+        await mongoose.connect(config.mongo.uri);
 
-        // If connection succeeds, print success message in console with checkmark icon
+        // If connection succeeds, log a success message
         // This visually confirms that the database is ready to receive operations
-        console.log(" ✔ MongoDB Connected");
+        logger.info("MongoDB connected");
         
 
     } catch (error) {
         // If connection fails, the catch block captures the error
-        // Print error message in console with cross icon and error details
-        console.error(" ❌ MongoDB connection error", error);
+        // Log the error message with the error details
+        logger.error("MongoDB connection error", { error });
         
         // Terminate Node.js process with exit code 1 (indicating error)
         // This is important because without connected database, the application cannot function properly
@@ -3,42 +3,119 @@
 // -----------------------------------------------------------------------------------------------
 // MAIN APPLICATION FILE (index.js or server.js)
 
-import dotenv from "dotenv";  // Imports dotenv package to manage environment variables
+import { config, configErrors } from "./config/index.js";  // Imports the validated configuration (loads the .env file)
+
+import { logger } from "./utils/logger.js";  // Imports the structured logger (JSON lines on stdout)
+
+import mongoose from "mongoose";  // Imports mongoose to close the database connection on shutdown
 
 import app from "./app.js";  // Imports configured Express application from app.js file
 
 import connectDB from "./db/index.js";  // Imports database connection function for MongoDB
 
+import { startOutboxWorker, stopOutboxWorker } from "./utils/mail-outbox.js";  // Imports the background worker that delivers queued emails
+
+import { startWebhookWorker, stopWebhookWorker } from "./utils/webhook-outbox.js";  // Imports the background worker that sends queued webhook deliveries
+
+import { buildOpenApiDocument } from "./utils/openapi.js";  // Imports the OpenAPI generator used for the startup self-check
+
+import { closeEventStreams } from "./utils/realtime.js";  // Imports the function that ends the open real-time streams
+
 // -----------------------------------------------------------------------------------------------
 // -----------------------------------------------------------------------------------------------
 
-dotenv.config({  // Configures dotenv to load environment variables into Node.js process
-    path: "./.env"  // Specifies path of .env file to load variables from (in project root)
-});
+// FAIL FAST ON INVALID CONFIGURATION
+// Every missing or malformed setting is reported at once, before connecting to anything
+if (configErrors.length) {
+    logger.error("Invalid configuration, check your .env file", { env: config.env, errors: configErrors });
+    process.exit(1);  // Terminates Node.js process with error code 1
+}
 
+// ------------------------------------------------------------------------------------------------
 // -----------------------------------------------------------------------------------------------
-// -----------------------------------------------------------------------------------------------
 
-// Defines server port: takes from .env or uses default 3000
-// process.env.PORT comes from environment variables loaded by dotenv
-const PORT = process.env.PORT || 3000;  // Uses port from .env if defined, otherwise uses 3000
+// HTTP server instance (set when the server starts listening)
+let server = null;
+
+// Flag to ignore a second signal while the shutdown is in progress
+let isShuttingDown = false;
+
+// GRACEFUL SHUTDOWN
+// Called on SIGTERM (orchestrator, docker stop) and SIGINT (Ctrl+C):
+// 1. stop accepting new connections, end the real-time event streams and wait for in-flight requests to finish
+// 2. stop the outbox and webhook workers after the email / delivery they are sending
+// 3. close the MongoDB connection and exit
+// If draining takes longer than SHUTDOWN_TIMEOUT_MS the process exits anyway
+const shutdown = async (signal) => {
+    if (isShuttingDown) return;
+    isShuttingDown = true;
+
+    logger.info("Shutting down gracefully", { signal });
+
+    // Safety net: never hang forever on a stuck request
+    setTimeout(() => {
+        logger.error("Shutdown timed out, forcing exit", { timeoutMs: config.shutdownTimeoutMs });
+        process.exit(1);
+    }, config.shutdownTimeoutMs).unref();
+
+    try {
+        // server.close() stops accepting connections, closes the idle keep-alive ones
+        // and calls back when every in-flight request has been answered
+        const serverClosed = server
+            ? new Promise((resolve, reject) =>
+                server.close((error) => (error ? reject(error) : resolve()))
+            )
+            : Promise.resolve();
+
+        // Event streams are in-flight requests that never end: end them (clients are told why and reconnect)
+        await closeEventStreams();
+        await serverClosed;
+
+        await stopOutboxWorker();  // Waits for the email currently being sent (if any)
+        await stopWebhookWorker();  // Waits for the webhook delivery currently being sent (if any)
+
+        // Closes the MongoDB connection (a connection still being opened has nothing to flush)
+        if (mongoose.connection.readyState === 1) {
+            await mongoose.connection.close();
+        }
+
+        logger.info("Shutdown complete");
+        process.exit(0);
+    } catch (error) {
+        logger.error("Error during shutdown", { error });
+        process.exit(1);
+    }
+};
 
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
 
 // ------------------------------------------------------------------------------------------------
 // -----------------------------------------------------------------------------------------------
 
 // Callback function when server goes online
-// Starts server on specified port only after database is connected
+// Starts server on the configured port only after database is connected
 connectDB()  // Calls MongoDB database connection function
     .then(() => {  // If database connection succeeds
-        // Starts Express server on specified port
-        app.listen(PORT, () => console.log(` ✔ Server started on port ${PORT} Link => http://localhost:${PORT}`)); 
+        // A signal arrived while connecting: don't start anything
+        if (isShuttingDown) return;
+
+        // Starts delivering the emails waiting in the outbox
+        startOutboxWorker();
+
+        // Starts sending the webhook deliveries waiting in the queue
+        startWebhookWorker();
+
+        // OpenAPI self-check: warns about routes whose request body is not described by a validator
+        const { warnings } = buildOpenApiDocument();
+        warnings.forEach((warning) => logger.warn("OpenAPI self-check", { warning }));
+
+        // Starts Express server on the configured port (PORT, 3000 by default)
+        server = app.listen(config.port, () => logger.info("Server started", { port: config.port, url: `http://localhost:${config.port}` }));
     })
     .catch((err) => {  // If database connection fails
-        // Prints MongoDB connection error in console
-        console.error("MongoDB connection error", err);
+        // Logs the MongoDB connection error
+        logger.error("MongoDB connection error", { error: err });
         // Terminates Node.js process with error code 1
         process.exit(1);
     });
-
-// Makes server listen on specified port and logs access URL
\ No newline at end of file
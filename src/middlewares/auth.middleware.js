@@ -1,9 +1,12 @@
 // Import the User model to interact with the users collection in the database
-import { User } from "../models/user.models.js";
+import { User, USER_SENSITIVE_FIELDS } from "../models/user.models.js";
 
 // Import the ProjectMember model to manage project members and their roles
 import { ProjectMember } from "../models/projectmember.models.js";
 
+// Import the Session model to reject access tokens of revoked sessions
+import { Session } from "../models/session.models.js";
+
 // Import the ApiError class to handle standardized API errors
 import { ApiError } from "../utils/api-error.js";
 
@@ -16,6 +19,13 @@ import jwt from "jsonwebtoken";
 // Import mongoose to use Types.ObjectId in queries
 import mongoose from "mongoose";
 
+// Import the validated application configuration
+import { config } from "../config/index.js";
+
+// Import the audit log helper and actions (denied accesses are recorded)
+import { AuditActionEnum } from "../models/auditevent.models.js";
+import { recordAuditFailure } from "../utils/audit.js";
+
 // MIDDLEWARE TO VERIFY JWT TOKEN
 // This middleware authenticates the user by verifying the validity of the JWT token
 export const verifyJWT = asyncHandler(async (req, res, next) => {
@@ -33,12 +43,24 @@ export const verifyJWT = asyncHandler(async (req, res, next) => {
 
   try {
     // Verify and decode the token using the ACCESS_TOKEN_SECRET secret key
-    const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+    const decodedToken = jwt.verify(token, config.auth.accessTokenSecret);
+
+    // Verify that the session of the token is still active
+    // Logout, session revocation and refresh token reuse delete the session,
+    // so its access tokens are rejected immediately instead of at their expiration
+    const sessionIsActive = await Session.exists({
+      _id: decodedToken?.sid,
+      user: decodedToken?._id,
+    });
+
+    if (!sessionIsActive) {
+      throw new ApiError(401, "Session has been revoked");
+    }
     
     // Find the user in the database using the ID extracted from the token
     // .select() excludes sensitive fields from the response
     const user = await User.findById(decodedToken?._id).select(
-      "-password -refreshToken -emailVerificationToken -emailVerificationExpiry",
+      USER_SENSITIVE_FIELDS,
     );
 
     // If user is not found, the token is valid but the user no longer exists
@@ -48,6 +70,12 @@ export const verifyJWT = asyncHandler(async (req, res, next) => {
     
     // Add the user object to the request to make it available to subsequent middleware
     req.user = user;
+
+    // Session and expiration of the token: long-lived connections (event streams) must end with them
+    req.auth = {
+      sessionId: decodedToken.sid,
+      expiresAt: new Date(decodedToken.exp * 1000),
+    };
     
     // Proceed to the next middleware or controller
     next();
@@ -61,7 +89,7 @@ export const verifyJWT = asyncHandler(async (req, res, next) => {
 // This middleware verifies that the user has the necessary permissions to access a specific project
 export const validateProjectPermission = (roles = []) => {
   // Returns a custom middleware that accepts allowed roles as parameter
-  return asyncHandler(async (req, res, next) => {
+  const middleware = asyncHandler(async (req, res, next) => {
     // Extract the project ID from the request parameters
     const { projectId } = req.params;
 
@@ -76,8 +104,21 @@ export const validateProjectPermission = (roles = []) => {
       user: new mongoose.Types.ObjectId(req.user._id),  // Convert string to MongoDB ObjectId
     });
 
+    // Details of the attempt, recorded in the audit log if the access is denied
+    const attempt = {
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      allowedRoles: roles,
+    };
+
     // If no project is found, the user is not a member of this project
     if (!project) {
+      await recordAuditFailure(req, {
+        action: AuditActionEnum.PERMISSION_DENIED,
+        project: projectId,
+        reason: "Not a project member",
+        metadata: attempt,
+      });
       throw new ApiError(400, "project not found");
     }
 
@@ -89,6 +130,12 @@ export const validateProjectPermission = (roles = []) => {
 
     // Verify if the user's role is included among the allowed roles for this operation
     if (!roles.includes(givenRole)) {
+      await recordAuditFailure(req, {
+        action: AuditActionEnum.PERMISSION_DENIED,
+        project: projectId,
+        reason: "Role not allowed",
+        metadata: { ...attempt, role: givenRole },
+      });
       throw new ApiError(
         403,  // Status code 403 - Forbidden
         "You do not have permission to perform this action",  // Clear error message
@@ -98,4 +145,9 @@ export const validateProjectPermission = (roles = []) => {
     // If all checks pass, proceed to the next middleware
     next();
   });
+
+  // Allowed roles are exposed so the OpenAPI document can list them (see utils/openapi.js)
+  middleware.allowedRoles = roles;
+
+  return middleware;
 };
\ No newline at end of file
@@ -0,0 +1,148 @@
+// Import mongoose to recognize its validation, cast and BSON errors
+import mongoose from "mongoose";
+
+// Import the jsonwebtoken library to recognize token verification errors
+import jwt from "jsonwebtoken";
+
+// Import multer to recognize file upload errors
+import multer from "multer";
+
+// Import the ApiError class to handle standardized API errors
+import { ApiError } from "../utils/api-error.js";
+
+// Import the validated application configuration
+import { config } from "../config/index.js";
+
+// Import the structured logger
+import { logger } from "../utils/logger.js";
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO CONVERT ANY ERROR INTO AN ApiError
+// Known library errors are mapped to the proper HTTP status, everything else becomes a 500
+//-----------------------------------------------------------------------------------------------------------
+const normalizeError = (err) => {
+  // Errors thrown by our code are already in the right format
+  if (err instanceof ApiError) {
+    return err;
+  }
+
+  // MONGOOSE VALIDATION ERROR - a document does not respect its schema
+  if (err instanceof mongoose.Error.ValidationError) {
+    const errors = Object.values(err.errors).map((error) => ({
+      [error.path]: error.message,
+    }));
+    return new ApiError(400, "Received data is not valid", errors, err.stack);
+  }
+
+  // MONGOOSE CAST ERROR - a value cannot be converted to the schema type (ex: malformed ObjectId)
+  if (err instanceof mongoose.Error.CastError) {
+    return new ApiError(
+      400,
+      `Invalid ${err.path}: ${err.value}`,
+      [{ [err.path]: `Invalid value ${err.value}` }],
+      err.stack,
+    );
+  }
+
+  // BSON ERROR - new mongoose.Types.ObjectId() called with a malformed ID from the URL
+  if (err instanceof mongoose.mongo.BSON.BSONError) {
+    return new ApiError(400, "Invalid id", [], err.stack);
+  }
+
+  // DUPLICATE KEY ERROR - a unique index has been violated
+  if (err?.code === 11000) {
+    const fields = Object.keys(err.keyValue || {});
+    return new ApiError(
+      409,  // Status code 409 - Conflict
+      `Duplicate value for ${fields.join(", ") || "a unique field"}`,
+      fields.map((field) => ({ [field]: "Already exists" })),
+      err.stack,
+    );
+  }
+
+  // JWT ERRORS - invalid signature, malformed or expired token
+  if (err instanceof jwt.TokenExpiredError) {
+    return new ApiError(401, "Token has expired", [], err.stack);
+  }
+  if (err instanceof jwt.JsonWebTokenError) {
+    return new ApiError(401, "Invalid token", [], err.stack);
+  }
+
+  // BODY PARSER ERRORS - raised by express.json() and express.urlencoded()
+  if (err?.type === "entity.too.large") {
+    return new ApiError(413, "Request body is too large", [], err.stack);
+  }
+  if (err?.type === "entity.parse.failed") {
+    return new ApiError(400, "Request body is not valid JSON", [], err.stack);
+  }
+
+  // MULTER ERRORS - file too large, too many files, unexpected field...
+  if (err instanceof multer.MulterError) {
+    const statusCode = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+    return new ApiError(
+      statusCode,
+      err.message,
+      err.field ? [{ [err.field]: err.message }] : [],
+      err.stack,
+    );
+  }
+
+  // UNKNOWN ERROR - keep the status if the library set one, otherwise 500
+  return new ApiError(
+    err?.statusCode || err?.status || 500,
+    err?.message || "Something went wrong",
+    [],
+    err?.stack,
+  );
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// MIDDLEWARE FOR UNKNOWN ROUTES
+// Registered after every router: if no route matched, answer with a JSON 404
+//-----------------------------------------------------------------------------------------------------------
+const notFoundHandler = (req, res, next) => {
+  next(new ApiError(404, `Route ${req.method} ${req.originalUrl} not found`));
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// CENTRAL ERROR HANDLING MIDDLEWARE
+// Express recognizes error middlewares by their 4 parameters (err, req, res, next)
+// Every error passed to next(err) (ex: by asyncHandler) ends up here
+//-----------------------------------------------------------------------------------------------------------
+const errorHandler = (err, req, res, next) => {
+  // If the response has already started, Express must close the connection itself
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  // Convert the error into the standard ApiError shape
+  const error = normalizeError(err);
+
+  // Log server errors: they are bugs or infrastructure problems, not client mistakes
+  // (every request, including client errors, is already logged by the request logger)
+  if (error.statusCode >= 500) {
+    logger.error("Unhandled error", { error: err });
+  }
+
+  // Build the response body with the same structure of ApiResponse (success: false)
+  const body = {
+    statusCode: error.statusCode,
+    message:
+      error.statusCode >= 500 && config.isProduction
+        ? "Internal server error"  // Don't leak internal messages in production
+        : error.message,
+    errors: error.errors,
+    success: false,
+    requestId: req.id,  // Same value of the X-Request-Id header: lets support find the logs of the request
+  };
+
+  // Stack traces are useful while developing but must never reach production clients
+  if (!config.isProduction) {
+    body.stack = error.stack;
+  }
+
+  return res.status(error.statusCode).json(body);
+};
+
+// Export the middlewares to be registered at the end of app.js
+export { errorHandler, notFoundHandler };
@@ -2,6 +2,13 @@
 // Multer is a middleware for Express that facilitates file uploads via form-data
 import multer from "multer";
 
+// Import the helper that deletes uploaded files
+import { removeLocalFile } from "../utils/file.js";
+
+// Import Node.js crypto and path modules to build safe file names
+import crypto from "crypto";
+import path from "path";
+
 // Configure storage for file uploads using multer.diskStorage
 // diskStorage allows defining where to save files and how to rename them
 const storage = multer.diskStorage({
@@ -13,11 +20,20 @@ const storage = multer.diskStorage({
   },
   // filename function: determines how to rename uploaded files
   filename: function (req, file, cb) {
+    // The original name chosen by the client is never used as is:
+    // it may contain path separators ("../"), spaces, unicode tricks or overwrite another file
+    // Keep only the extension, and only if it is short and alphanumeric
+    const extension = path.extname(file.originalname).toLowerCase();
+    const safeExtension = /^\.[a-z0-9]{1,10}$/.test(extension) ? extension : "";
+
     // Create a unique filename using:
-    // - Date.now(): current timestamp in milliseconds (ensures uniqueness)
-    // - file.originalname: original filename maintaining the extension
-    // Format: timestamp-originalname.extension (ex: 1635781234567-photo.jpg)
-    cb(null, `${Date.now()}-${file.originalname}`);
+    // - Date.now(): current timestamp in milliseconds
+    // - 16 random hexadecimal characters (names can't be guessed or collide)
+    // Format: timestamp-random.extension (ex: 1635781234567-9f86d081884c7d65.jpg)
+    cb(
+      null,
+      `${Date.now()}-${crypto.randomBytes(8).toString("hex")}${safeExtension}`,
+    );
   },
 });
 
@@ -30,4 +46,18 @@ export const upload = multer({
     // 1 * 1000 * 1000 = 1,000,000 bytes = 1 Megabyte
     // If a file exceeds this limit, multer will generate an error
   },
-});
\ No newline at end of file
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// MIDDLEWARE TO REMOVE THE UPLOADED FILES WHEN THE REQUEST FAILS
+// Files are written to disk before the body is validated: if the validation or the controller throw,
+// nothing references them anymore. Place it after the controller of a route that uploads files:
+// it only runs on errors, deletes the files and hands the error to the error handler
+//-----------------------------------------------------------------------------------------------------------
+export const discardUploadsOnError = (err, req, res, next) => {
+  // req.file for upload.single(), req.files for upload.array()
+  const files = [req.file, ...(Array.isArray(req.files) ? req.files : [])];
+  files.forEach((file) => removeLocalFile(file?.path));
+
+  next(err);
+};
@@ -0,0 +1,102 @@
+// Import the ApiError class to handle standardized API errors
+import { ApiError } from "../utils/api-error.js";
+
+// Import the asyncHandler wrapper to automatically handle errors in asynchronous functions
+import { asyncHandler } from "../utils/async-handler.js";
+
+// Import the factory that creates the configured rate limit store (memory or mongo)
+import { createRateLimitStore } from "../utils/rate-limit-store.js";
+
+// Shared store used by every limiter that doesn't receive its own
+// Created on first use, so that importing the routes doesn't start the cleanup timer of the memory store
+let defaultStore = null;
+
+const getDefaultStore = () => {
+  if (!defaultStore) {
+    defaultStore = createRateLimitStore();
+  }
+  return defaultStore;
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// RATE LIMIT MIDDLEWARE FACTORY
+// Returns a middleware that allows at most `limit` requests per key in every `windowMs` window
+// - prefix:       namespace of the counters (different limiters never share a counter)
+// - keyGenerator: what is limited (IP by default, can be an email or a user ID for per-account limits)
+//                 if it returns nothing the request is not counted
+// - store:        where counters live (see utils/rate-limit-store.js)
+// Standard RateLimit-* headers are always sent, Retry-After only when the request is rejected
+//-----------------------------------------------------------------------------------------------------------
+const rateLimit = ({
+  windowMs,
+  limit,
+  prefix,
+  keyGenerator = (req) => req.ip,
+  store,
+  message = "Too many requests, please try again later",
+}) => {
+  const middleware = asyncHandler(async (req, res, next) => {
+    // Compute the key of the request
+    const key = keyGenerator(req);
+
+    // Nothing to limit (ex: per-account limiter without email in the body)
+    if (!key) {
+      return next();
+    }
+
+    // Count the hit in the store
+    const { count, resetAt } = await (store || getDefaultStore()).increment(
+      `${prefix}:${key}`,
+      windowMs,
+    );
+
+    // Seconds left before the window is over
+    const resetSeconds = Math.max(
+      0,
+      Math.ceil((resetAt.getTime() - Date.now()) / 1000),
+    );
+
+    // STANDARD RATE LIMIT HEADERS
+    res.set({
+      "RateLimit-Limit": String(limit),  // Maximum number of requests in the window
+      "RateLimit-Remaining": String(Math.max(0, limit - count)),  // Requests left
+      "RateLimit-Reset": String(resetSeconds),  // Seconds before the counter resets
+    });
+
+    // Limit exceeded: tell the client when it can retry and reject the request
+    if (count > limit) {
+      res.set("Retry-After", String(resetSeconds));
+      throw new ApiError(429, message);  // Status code 429 - Too Many Requests
+    }
+
+    next();
+  });
+
+  // Limit settings are exposed so the OpenAPI document can describe them (see utils/openapi.js)
+  middleware.rateLimit = { limit, windowMs };
+
+  return middleware;
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// KEY GENERATORS FOR PER-ACCOUNT LIMITS
+//-----------------------------------------------------------------------------------------------------------
+
+// Account identified by the email in the body (login, forgot password)
+// The limiter runs before body validation: an email that is not a string (number, array, object) is counted
+// against the IP instead, so malformed bodies can neither crash the limiter nor skip it
+// (no email at all, ex: login with a username, is not counted by this limiter)
+const emailKey = (req) => {
+  const email = req.body?.email;
+
+  if (email === undefined || email === null) return undefined;
+  if (typeof email !== "string") return `ip:${req.ip}`;
+
+  return email.trim().toLowerCase() || undefined;
+};
+
+// Account identified by the authenticated user (requires verifyJWT before the limiter)
+const userKey = (req) => req.user?._id?.toString();
+
+// Export the factory and the key generators
+export { rateLimit, emailKey, userKey };
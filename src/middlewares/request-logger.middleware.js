@@ -0,0 +1,85 @@
+// Import Node.js crypto module to generate request IDs
+import crypto from "crypto";
+
+// Import the logger and the request context
+import { logger, requestContext } from "../utils/logger.js";
+
+// Incoming IDs are accepted only if they are short and harmless (they are echoed and logged)
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Path segments longer than an ObjectId (24 characters) are treated as secrets: verification, reset and
+// invitation tokens travel in the URL. Only used for requests that matched no route (404), the others
+// are logged with their route pattern (ex: /api/v1/auth/reset-password/:resetToken)
+const maskPath = (url) =>
+  url
+    .split("?")[0]  // Without query string (it may contain tokens)
+    .split("/")
+    .map((segment) => (segment.length > 24 ? ":redacted" : segment))
+    .join("/");
+
+//-----------------------------------------------------------------------------------------------------------
+// REQUEST LOGGING MIDDLEWARE
+// Registered first in app.js:
+// - gives every request an ID: the X-Request-Id header sent by the client / proxy, or a new UUID
+// - echoes it in the X-Request-Id response header (and in error bodies, see error.middleware.js)
+// - runs the rest of the request inside the request context, so every log carries the ID
+// - logs one line when the response is sent: method, route pattern, status, duration, user
+//-----------------------------------------------------------------------------------------------------------
+const requestLogger = (req, res, next) => {
+  const incomingId = req.get("X-Request-Id");
+  req.id = VALID_REQUEST_ID.test(incomingId || "")
+    ? incomingId
+    : crypto.randomUUID();
+
+  res.setHeader("X-Request-Id", req.id);
+
+  const start = process.hrtime.bigint();
+
+  // Route pattern (ex: /api/v1/projects/:projectId) groups requests better than the real URL.
+  // Captured when the router sets req.route: when an error leaves the router, Express restores
+  // req.baseUrl and the mount path would be lost by the time the response is sent
+  let matchedRoute;
+  let routePattern;
+  Object.defineProperty(req, "route", {
+    configurable: true,
+    enumerable: true,
+    get: () => matchedRoute,
+    set: (route) => {
+      matchedRoute = route;
+      routePattern = route ? `${req.baseUrl}${route.path}` : undefined;
+    },
+  });
+
+  res.on("finish", () => {
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+    const level =
+      res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : "info";
+
+    // The "finish" event is emitted outside the request context: ID and user are added explicitly
+    const fields = {
+      requestId: req.id,
+      ...(req.user?._id && { userId: String(req.user._id) }),
+      method: req.method,
+      // The real URL is never logged when a route matched: its parameters may be single-use tokens
+      ...(routePattern ? { route: routePattern } : { path: maskPath(req.originalUrl) }),
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 100) / 100,
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+    };
+
+    // Headers and body only at debug level (secrets are redacted by the logger)
+    if (logger.isLevelEnabled("debug")) {
+      fields.headers = req.headers;
+      fields.body = req.body;
+    }
+
+    logger[level]("Request completed", fields);
+  });
+
+  requestContext.run({ requestId: req.id, req }, next);
+};
+
+// Export the middleware to be registered in app.js
+export { requestLogger };
@@ -0,0 +1,126 @@
+// Import Mongoose and Schema module from mongoose library
+// Mongoose is an ODM (Object Document Mapper) that provides a schema-based solution for modeling application data
+import mongoose, { Schema } from "mongoose";
+
+// Import available user role constants from constants.js file
+import { AvailableUserRole, UserRolesEnum } from "../utils/constants.js";
+
+// Types of the events shown in the activity feed of a project
+export const ActivityTypeEnum = {
+  // Project
+  PROJECT_CREATED: "project_created",
+  PROJECT_UPDATED: "project_updated",
+
+  // Tasks
+  TASK_CREATED: "task_created",
+  TASK_UPDATED: "task_updated",  // Title, description, priority, dates or labels (data: { fields })
+  TASK_STATUS_CHANGED: "task_status_changed",  // data: { from, to }
+  TASK_ASSIGNED: "task_assigned",  // data: { from, to } (user IDs)
+  TASK_DELETED: "task_deleted",
+  TASK_COMMENTED: "task_commented",
+
+  // Subtasks
+  SUBTASK_CREATED: "subtask_created",
+  SUBTASK_UPDATED: "subtask_updated",  // Title
+  SUBTASK_COMPLETED: "subtask_completed",
+  SUBTASK_REOPENED: "subtask_reopened",
+  SUBTASK_DELETED: "subtask_deleted",
+
+  // Notes
+  NOTE_CREATED: "note_created",
+  NOTE_UPDATED: "note_updated",
+  NOTE_DELETED: "note_deleted",
+
+  // Members
+  MEMBER_ADDED: "member_added",  // data: { role, invitation? }
+  MEMBER_ROLE_CHANGED: "member_role_changed",  // data: { from, to }
+  MEMBER_REMOVED: "member_removed",
+  INVITATION_SENT: "invitation_sent",  // data: { email, role }
+  INVITATION_REVOKED: "invitation_revoked",  // data: { email }
+};
+
+export const AvailableActivityTypes = Object.values(ActivityTypeEnum);
+
+// VISIBILITY
+// Roles that can see each type in the feed: by default every member of the project.
+// Invitations contain email addresses of people outside the project, they are listed to admins only
+// (same rule as the invitation endpoints)
+export const ACTIVITY_VISIBILITY = Object.fromEntries(
+  AvailableActivityTypes.map((type) => [type, AvailableUserRole]),
+);
+ACTIVITY_VISIBILITY[ActivityTypeEnum.INVITATION_SENT] = [UserRolesEnum.ADMIN];
+ACTIVITY_VISIBILITY[ActivityTypeEnum.INVITATION_REVOKED] = [UserRolesEnum.ADMIN];
+
+// Models the target of an activity can be
+export const ActivityTargetModels = [
+  "Project",
+  "Task",
+  "SubTask",
+  "ProjectNote",
+  "User",
+  "Invitation",
+  "Comment",
+];
+
+// Define the schema for project activities
+// Every mutation of a project (tasks, subtasks, notes, members...) adds one activity to its feed
+const activitySchema = new Schema(
+  {
+    // project field: project whose feed shows the activity
+    project: {
+      type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the project ID
+      ref: "Project",  // Reference to the Project model
+      required: true,  // Required field
+    },
+
+    // actor field: member who made the change
+    actor: {
+      type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the user ID
+      ref: "User",  // Reference to the User model to populate actor data
+      required: true,  // Required field
+    },
+
+    // type field: what happened (see ActivityTypeEnum)
+    type: {
+      type: String,  // String type for the activity type
+      enum: AvailableActivityTypes,  // Only types defined above are accepted
+      required: true,  // Required field
+    },
+
+    // target fields: document the activity is about (the task, the note, the member...)
+    // The target is not populated by the feed (it may have been deleted since): data holds what is displayed
+    targetModel: {
+      type: String,  // Name of the model of the target
+      enum: ActivityTargetModels,  // Only models defined above are accepted
+    },
+    target: {
+      type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the target ID
+    },
+
+    // data field: snapshot of the details needed to display the activity
+    // Ex: the task title (still readable after the task is deleted), previous and new status
+    data: {
+      type: Schema.Types.Mixed,  // Free-form object
+      default: {},
+    },
+
+    // visibleTo field: project roles that can see the activity (see ACTIVITY_VISIBILITY)
+    visibleTo: {
+      type: [String],  // Array of roles
+      enum: AvailableUserRole,  // Only available roles are accepted
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },  // Activities are never updated: only createdAt
+  },
+);
+
+// INDEXES
+// The feed is read newest first (_id order) with optional filters on type and actor
+activitySchema.index({ project: 1, _id: -1 });
+activitySchema.index({ project: 1, type: 1, _id: -1 });
+activitySchema.index({ project: 1, actor: 1, _id: -1 });
+
+// Create and export the Activity model based on the defined schema
+// 'Activity' is the model name that Mongoose will use for the 'activities' collection (automatically pluralizes)
+export const Activity = mongoose.model("Activity", activitySchema);
@@ -0,0 +1,147 @@
+// Import Mongoose and Schema module from mongoose library
+// Mongoose is an ODM (Object Document Mapper) that provides a schema-based solution for modeling application data
+import mongoose, { Schema } from "mongoose";
+
+// Security relevant actions recorded in the audit log
+// Account events concern a user, project events concern a project (and usually a member of it)
+export const AuditActionEnum = {
+  // Account
+  LOGIN: "login",
+  LOGOUT: "logout",
+  TOKEN_REFRESH: "token_refresh",
+  PASSWORD_CHANGE: "password_change",
+  PASSWORD_RESET_REQUEST: "password_reset_request",
+  PASSWORD_RESET: "password_reset",
+  EMAIL_VERIFICATION: "email_verification",
+  TWO_FACTOR_ENABLE: "two_factor_enable",
+  TWO_FACTOR_DISABLE: "two_factor_disable",
+
+  // Project
+  MEMBER_ADD: "member_add",
+  MEMBER_ROLE_CHANGE: "member_role_change",
+  MEMBER_REMOVE: "member_remove",
+  PERMISSION_DENIED: "permission_denied",
+  WEBHOOK_CREATE: "webhook_create",
+  WEBHOOK_UPDATE: "webhook_update",
+  WEBHOOK_SECRET_ROTATE: "webhook_secret_rotate",
+  WEBHOOK_DELETE: "webhook_delete",
+};
+
+export const AvailableAuditActions = Object.values(AuditActionEnum);
+
+// Result of the recorded action
+export const AuditOutcomeEnum = {
+  SUCCESS: "success",
+  FAILURE: "failure",
+};
+
+export const AvailableAuditOutcomes = Object.values(AuditOutcomeEnum);
+
+// Define the schema for audit events
+// The audit log is append-only: events are created and read, never modified or deleted (see hooks below)
+const auditEventSchema = new Schema(
+  {
+    // action field: what happened
+    action: {
+      type: String,  // String type for the action
+      enum: AvailableAuditActions,  // Only actions defined above are accepted
+      required: true,  // Required field
+    },
+
+    // outcome field: whether the action succeeded or was rejected
+    outcome: {
+      type: String,  // String type for the outcome
+      enum: AvailableAuditOutcomes,  // Only outcomes defined above are accepted
+      required: true,  // Required field
+    },
+
+    // actor field: user who performed the action
+    // Empty when nobody could be identified (ex: login with an unknown email, invalid reset token)
+    actor: {
+      type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the user ID
+      ref: "User",  // Reference to the User model
+    },
+
+    // targetUser field: user affected by the action
+    // Ex: the account of a failed login, the member whose role was changed
+    targetUser: {
+      type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the user ID
+      ref: "User",  // Reference to the User model
+    },
+
+    // targetEmail field: email address the action was attempted on, kept when no user matches it
+    targetEmail: {
+      type: String,  // String type for email address
+      lowercase: true,  // Same normalization used by the User model
+      trim: true,  // Removes whitespace from beginning and end of value
+    },
+
+    // project field: project the action happened in (project events only)
+    project: {
+      type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the project ID
+      ref: "Project",  // Reference to the Project model
+    },
+
+    // reason field: why the action failed (ex: "Invalid credentials")
+    reason: {
+      type: String,  // String type for the reason
+    },
+
+    // metadata field: details specific to the action (ex: previous and new role)
+    // Never contains secrets: passwords, tokens and codes are not recorded
+    metadata: {
+      type: Schema.Types.Mixed,  // Free-form object
+    },
+
+    // Request information: where the action came from
+    ip: {
+      type: String,  // IP address of the client
+    },
+    userAgent: {
+      type: String,  // User-Agent header of the client (browser, app...)
+    },
+    requestId: {
+      type: String,  // ID of the request (X-Request-Id), to find the matching logs
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },  // Events are never updated: only createdAt
+  },
+);
+
+// INDEXES
+// Paging through the events of a project and the activity of an account, newest first
+auditEventSchema.index({ project: 1, createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ targetUser: 1, createdAt: -1 });
+
+// APPEND-ONLY
+// Updates and deletes are rejected at model level: an attacker (or a bug) using the API
+// cannot rewrite the history of what happened
+const rejectChange = function () {
+  throw new Error("Audit events are append-only");
+};
+
+auditEventSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectChange,
+);
+
+auditEventSchema.pre("save", function () {
+  if (!this.isNew) {
+    rejectChange();
+  }
+});
+
+// Create and export the AuditEvent model based on the defined schema
+// 'AuditEvent' is the model name that Mongoose will use for the 'auditevents' collection (automatically pluralizes)
+export const AuditEvent = mongoose.model("AuditEvent", auditEventSchema);
@@ -0,0 +1,66 @@
+// Import Mongoose and Schema module from mongoose library
+// Mongoose is an ODM (Object Document Mapper) that provides a schema-based solution for modeling application data
+import mongoose, { Schema } from "mongoose";
+
+// Maximum length of a comment (a discussion message, not a document: use notes for long texts)
+export const COMMENT_MAX_LENGTH = 5000;
+
+// Define the schema for task comments
+// Comments form the discussion thread of a task, visible to every member of the project
+const commentSchema = new Schema(
+  {
+    // task field: task the comment belongs to
+    task: {
+      type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the task ID
+      ref: "Task",  // Reference to the Task model
+      required: true,  // Required field - every comment belongs to a task
+    },
+
+    // project field: project of the task
+    // Stored on the comment too so comments can be checked and deleted by project without joining tasks
+    project: {
+      type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the project ID
+      ref: "Project",  // Reference to the Project model
+      required: true,  // Required field
+      index: true,  // Creates database index to delete the comments of a project quickly
+    },
+
+    // author field: user who wrote the comment
+    author: {
+      type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the user ID
+      ref: "User",  // Reference to the User model to populate author data
+      required: true,  // Required field
+    },
+
+    // content field: text of the comment, may contain @username mentions
+    content: {
+      type: String,  // String type for the comment text
+      required: true,  // Required field - an empty comment makes no sense
+      trim: true,  // Removes whitespace from beginning and end of value
+      maxlength: COMMENT_MAX_LENGTH,  // Same limit checked by the validator
+    },
+
+    // mentions field: project members mentioned in the content (@username)
+    // Only usernames matching a member of the project at writing time are kept
+    mentions: [
+      {
+        type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the user ID
+        ref: "User",  // Reference to the User model
+      },
+    ],
+
+    // editedAt field: date of the last edit (empty if the comment was never edited)
+    editedAt: {
+      type: Date,  // Date type
+    },
+  },
+  { timestamps: true },  // Schema options: automatically adds createdAt and updatedAt fields
+);
+
+// INDEX
+// The thread of a task is read in chronological order
+commentSchema.index({ task: 1, createdAt: 1 });
+
+// Create and export the Comment model based on the defined schema
+// 'Comment' is the model name that Mongoose will use for the 'comments' collection (automatically pluralizes)
+export const Comment = mongoose.model("Comment", commentSchema);
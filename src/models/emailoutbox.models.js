@@ -0,0 +1,123 @@
+// Import Mongoose and Schema module from mongoose library
+// Mongoose is an ODM (Object Document Mapper) that provides a schema-based solution for modeling application data
+import mongoose, { Schema } from "mongoose";
+
+// Possible states of an outbox entry
+// pending → sending → sent
+//              ↘ pending again (retry with backoff) → ... → failed (no attempts left)
+export const EmailOutboxStatusEnum = {
+  PENDING: "pending",
+  SENDING: "sending",
+  SENT: "sent",
+  FAILED: "failed",
+};
+
+export const AvailableEmailOutboxStatuses = Object.values(EmailOutboxStatusEnum);
+
+// Define the schema for the email outbox
+// Every email is first saved here (already rendered) and then sent by the outbox worker,
+// so a failing SMTP server never loses a message and every failure leaves a trace
+const emailOutboxSchema = new Schema(
+  {
+    // to field: recipient's email address
+    to: {
+      type: String,  // String type for the address
+      required: true,  // Required field - an email needs a recipient
+      trim: true,  // Removes whitespace from beginning and end
+    },
+
+    // subject field: email subject
+    subject: {
+      type: String,  // String type for the subject
+      required: true,  // Required field
+    },
+
+    // text field: plain text version of the email (rendered by Mailgen)
+    text: {
+      type: String,  // String type for the text body
+    },
+
+    // html field: HTML version of the email (rendered by Mailgen)
+    html: {
+      type: String,  // String type for the HTML body
+    },
+
+    // template field: name of the template used to render the email (ex: emailVerification)
+    template: {
+      type: String,  // String type for the template name
+    },
+
+    // language field: language the email was rendered in
+    language: {
+      type: String,  // String type for the language code
+    },
+
+    // requestId field: ID of the request that queued the email (X-Request-Id)
+    // Delivery logs carry it, so an email can be traced back to the request that caused it
+    requestId: {
+      type: String,  // String type for the request ID
+    },
+
+    // status field: where the email is in its lifecycle
+    status: {
+      type: String,  // String type for the status
+      enum: AvailableEmailOutboxStatuses,  // Only values defined above are accepted
+      default: EmailOutboxStatusEnum.PENDING,  // Every email starts waiting to be sent
+    },
+
+    // attempts field: number of delivery attempts already made
+    attempts: {
+      type: Number,  // Number type for the counter
+      default: 0,  // No attempts yet
+    },
+
+    // maxAttempts field: after this many failures the email is marked as failed
+    maxAttempts: {
+      type: Number,  // Number type
+      default: 5,  // 5 attempts with exponential backoff cover a couple of hours of downtime
+    },
+
+    // nextAttemptAt field: the worker doesn't pick the email before this date
+    nextAttemptAt: {
+      type: Date,  // Date type
+      default: Date.now,  // Send as soon as possible
+    },
+
+    // lockedUntil field: lease taken by the worker while sending
+    // If the process dies while sending, the email becomes available again when the lease expires
+    lockedUntil: {
+      type: Date,  // Date type
+    },
+
+    // lastError field: message of the last delivery error
+    lastError: {
+      type: String,  // String type for the error message
+    },
+
+    // transport field: name of the transport that delivered the email (smtp, file)
+    transport: {
+      type: String,  // String type
+    },
+
+    // messageId field: ID returned by the transport (useful to search the email in the provider logs)
+    messageId: {
+      type: String,  // String type
+    },
+
+    // sentAt field: delivery date
+    sentAt: {
+      type: Date,  // Date type
+    },
+  },
+  {
+    timestamps: true,  // Automatically adds createdAt and updatedAt fields
+  },
+);
+
+// INDEX USED BY THE WORKER
+// Finds quickly the next emails to send
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Create and export the EmailOutbox model based on the defined schema
+// 'EmailOutbox' is the model name that Mongoose will use for the 'emailoutboxes' collection (automatically pluralizes)
+export const EmailOutbox = mongoose.model("EmailOutbox", emailOutboxSchema);
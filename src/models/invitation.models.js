@@ -0,0 +1,146 @@
+// Import Mongoose and Schema module from mongoose library
+// Mongoose is an ODM (Object Document Mapper) that provides a schema-based solution for modeling application data
+import mongoose, { Schema } from "mongoose";
+
+// Import Node.js crypto module for generating and hashing invitation tokens
+import crypto from "crypto";
+
+// Import available user role constants from constants.js file
+import { AvailableUserRole, UserRolesEnum } from "../utils/constants.js";
+
+// Possible states of an invitation
+// pending → accepted | declined | revoked (an expired invitation stays pending until it is resent)
+export const InvitationStatusEnum = {
+  PENDING: "pending",
+  ACCEPTED: "accepted",
+  DECLINED: "declined",
+  REVOKED: "revoked",
+};
+
+export const AvailableInvitationStatuses = Object.values(InvitationStatusEnum);
+
+// Lifetime of an invitation link
+const INVITATION_EXPIRY_MS = 7 * 24 * 60 * 60 * 1000;  // 7 days
+
+// Define the schema for project invitations
+// An invitation lets a project admin add someone by email, even if that person has no account yet
+const invitationSchema = new Schema(
+  {
+    // project field: project the person is invited to
+    project: {
+      type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the project ID
+      ref: "Project",  // Reference to the Project model
+      required: true,  // Required field - every invitation belongs to a project
+    },
+
+    // email field: address the invitation was sent to
+    // Only the user owning (and having verified) this address can answer the invitation
+    email: {
+      type: String,  // String type for email address
+      required: true,  // Required field
+      lowercase: true,  // Same normalization used by the User model
+      trim: true,  // Removes whitespace from beginning and end of value
+      index: true,  // Creates database index to find the invitations of a user quickly
+    },
+
+    // role field: role the person will have in the project
+    role: {
+      type: String,  // String type to store the role
+      enum: AvailableUserRole,  // Limits possible values to the array of available roles
+      default: UserRolesEnum.MEMBER,  // Default value: MEMBER
+    },
+
+    // invitedBy field: admin who sent the invitation
+    invitedBy: {
+      type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the user ID
+      ref: "User",  // Reference to the User model
+      required: true,  // Required field
+    },
+
+    // tokenHash field: SHA-256 hash of the token sent by email
+    // The plain token is never stored: a database leak doesn't expose invitation links
+    tokenHash: {
+      type: String,  // String type to store the hexadecimal hash
+      required: true,  // Required field
+      index: true,  // Creates database index to find an invitation from its link
+    },
+
+    // status field: where the invitation is in its lifecycle
+    status: {
+      type: String,  // String type for the status
+      enum: AvailableInvitationStatuses,  // Only values defined above are accepted
+      default: InvitationStatusEnum.PENDING,  // Every invitation starts waiting for an answer
+    },
+
+    // expiresAt field: after this date the invitation can no longer be accepted (it can be resent)
+    expiresAt: {
+      type: Date,  // Date type
+      required: true,  // Required field
+    },
+
+    // respondedBy field: user who accepted or declined the invitation
+    respondedBy: {
+      type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the user ID
+      ref: "User",  // Reference to the User model
+    },
+
+    // respondedAt field: date of the answer (or of the revocation)
+    respondedAt: {
+      type: Date,  // Date type
+    },
+  },
+  {
+    timestamps: true,  // Automatically adds createdAt and updatedAt fields
+  },
+);
+
+// UNIQUE PARTIAL INDEX
+// At most one pending invitation per email in the same project (answered invitations are kept as history)
+invitationSchema.index(
+  { project: 1, email: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: InvitationStatusEnum.PENDING },
+  },
+);
+
+// STATIC METHOD TO HASH AN INVITATION TOKEN
+// Same SHA-256 hashing used for email verification and password reset tokens
+invitationSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// METHOD TO GENERATE A NEW INVITATION TOKEN
+// Stores the hash and a new expiration date, returns the plain token to put in the email
+// Generating a new token invalidates the link of a previous email (used when resending)
+invitationSchema.methods.generateToken = function () {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  this.tokenHash = this.constructor.hashToken(token);
+  this.expiresAt = new Date(Date.now() + INVITATION_EXPIRY_MS);
+
+  return token;
+};
+
+// METHOD TO CHECK IF THE INVITATION IS EXPIRED
+invitationSchema.methods.isExpired = function () {
+  return this.expiresAt.getTime() <= Date.now();
+};
+
+// STATIC METHOD TO FIND THE OPEN INVITATIONS OF AN EMAIL ADDRESS
+// Pending and not expired, with the project name and the public fields of the inviter
+invitationSchema.statics.findOpenForEmail = function (email) {
+  return this.find({
+    email: email.toLowerCase(),
+    status: InvitationStatusEnum.PENDING,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("-tokenHash")
+    .populate("project", "name description")
+    .populate("invitedBy", "username fullName avatar")
+    .sort({ createdAt: -1 });
+};
+
+// Create and export the Invitation model based on the defined schema
+// 'Invitation' is the model name that Mongoose will use for the 'invitations' collection (automatically pluralizes)
+export const Invitation = mongoose.model("Invitation", invitationSchema);
@@ -0,0 +1,70 @@
+// Import Mongoose and Schema module from mongoose library
+// Mongoose is an ODM (Object Document Mapper) that provides a schema-based solution for modeling application data
+import mongoose, { Schema } from "mongoose";
+
+// Maximum length of a label name (labels are short tags shown on task cards)
+export const LABEL_NAME_MAX_LENGTH = 50;
+
+// Colors are written #rrggbb
+export const LABEL_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Color of a label created without one (neutral grey)
+export const DEFAULT_LABEL_COLOR = "#6b7280";
+
+// Label names are unique in a project whatever their case: "Bug" and "bug" are the same label
+export const LABEL_NAME_COLLATION = { locale: "en", strength: 2 };
+
+// Define the schema for labels
+// Every project has its own catalogue of labels, managed by its admins and attached to its tasks
+const labelSchema = new Schema(
+  {
+    // project field: project whose catalogue contains the label
+    project: {
+      type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the project ID
+      ref: "Project",  // Reference to the Project model
+      required: true,  // Required field
+    },
+
+    // name field: text of the label (ex: bug, frontend, blocked)
+    name: {
+      type: String,  // String type for the name
+      required: true,  // Required field
+      trim: true,  // Removes whitespace from beginning and end
+      maxlength: LABEL_NAME_MAX_LENGTH,  // Short tag
+    },
+
+    // color field: background color of the label (#rrggbb)
+    color: {
+      type: String,  // String type for the color
+      match: LABEL_COLOR_PATTERN,  // Only #rrggbb colors are accepted
+      lowercase: true,  // #FF0000 and #ff0000 are the same color
+      default: DEFAULT_LABEL_COLOR,
+    },
+
+    // description field: when to use the label (optional)
+    description: {
+      type: String,  // String type for the description
+      trim: true,  // Removes whitespace from beginning and end
+    },
+
+    // createdBy field: member who added the label to the catalogue
+    createdBy: {
+      type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the user ID
+      ref: "User",  // Reference to the User model
+    },
+  },
+  {
+    timestamps: true,  // Automatically adds createdAt and updatedAt fields
+  },
+);
+
+// INDEX
+// One label per name in a project (case-insensitive), also used to list the catalogue by name
+labelSchema.index(
+  { project: 1, name: 1 },
+  { unique: true, collation: LABEL_NAME_COLLATION },
+);
+
+// Create and export the Label model based on the defined schema
+// 'Label' is the model name that Mongoose will use for the 'labels' collection (automatically pluralizes)
+export const Label = mongoose.model("Label", labelSchema);
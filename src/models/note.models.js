@@ -0,0 +1,35 @@
+// Import Mongoose and Schema module from mongoose library
+// Mongoose is an ODM (Object Document Mapper) that provides a schema-based solution for modeling application data
+import mongoose, { Schema } from "mongoose";
+
+// Define the schema for project notes
+// A note is a free text document shared with every member of a project
+const projectNoteSchema = new Schema(
+  {
+    // project field: reference to the project the note belongs to
+    project: {
+      type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the project ID
+      ref: "Project",  // Reference to the Project model to populate project data
+      required: true,  // Required field - every note must belong to a project
+    },
+
+    // createdBy field: reference to the author of the note
+    createdBy: {
+      type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the user ID
+      ref: "User",  // Reference to the User model to populate author data
+      required: true,  // Required field - every note must have an author
+    },
+
+    // content field: text of the note
+    content: {
+      type: String,  // String type for the note content
+      required: true,  // Required field - an empty note makes no sense
+      trim: true,  // Removes whitespace from beginning and end of value
+    },
+  },
+  { timestamps: true },  // Schema options: automatically adds createdAt and updatedAt fields
+);
+
+// Create and export the ProjectNote model based on the defined schema
+// 'ProjectNote' is the model name that Mongoose will use for the 'projectnotes' collection (automatically pluralizes)
+export const ProjectNote = mongoose.model("ProjectNote", projectNoteSchema);
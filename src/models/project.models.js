@@ -0,0 +1,35 @@
+// Import Mongoose and Schema module from mongoose library
+// Mongoose is an ODM (Object Document Mapper) that provides a schema-based solution for modeling application data
+import mongoose, { Schema } from "mongoose";
+
+// Define the schema for projects
+// A project is the main container that groups members, tasks and notes together
+const projectSchema = new Schema(
+  {
+    // name field: human readable name of the project
+    name: {
+      type: String,  // String type for the project name
+      required: true,  // Required field - every project must have a name
+      trim: true,  // Removes whitespace from beginning and end of value
+    },
+
+    // description field: optional longer explanation of the project goals
+    description: {
+      type: String,  // String type for the project description
+      trim: true,  // Removes whitespace from beginning and end of value
+    },
+
+    // createdBy field: reference to the user who created the project
+    createdBy: {
+      type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the user ID
+      ref: "User",  // Reference to the User model to populate creator data
+      required: true,  // Required field - every project must have a creator
+    },
+  },
+  { timestamps: true },  // Schema options: automatically adds createdAt and updatedAt fields
+);
+
+// Create and export the Project model based on the defined schema
+// 'Project' is the model name that Mongoose will use for the 'projects' collection (automatically pluralizes)
+// This is the same name already referenced by the ProjectMember model (ref: "Project")
+export const Project = mongoose.model("Project", projectSchema);
@@ -34,6 +34,11 @@ const projectMemberSchema = new Schema(
   { timestamps: true },  // Schema options: automatically adds createdAt and updatedAt fields
 );
 
+// UNIQUE COMPOUND INDEX
+// A user can be a member of the same project only once
+// MongoDB rejects any duplicate (user, project) pair with a duplicate key error (code 11000)
+projectMemberSchema.index({ user: 1, project: 1 }, { unique: true });
+
 // Create and export the ProjectMember model based on the defined schema
 // 'ProjectMember' is the model name that Mongoose will use for the 'projectmembers' collection (automatically pluralizes)
 export const ProjectMember = mongoose.model(
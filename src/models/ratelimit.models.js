@@ -0,0 +1,34 @@
+// Import Mongoose and Schema module from mongoose library
+// Mongoose is an ODM (Object Document Mapper) that provides a schema-based solution for modeling application data
+import mongoose, { Schema } from "mongoose";
+
+// Define the schema for rate limit counters
+// Used by the Mongo rate limit store so that several server instances share the same counters
+const rateLimitSchema = new Schema({
+  // key field: identifies what is being limited (ex: "login-ip:127.0.0.1")
+  key: {
+    type: String,  // String type for the counter key
+    required: true,  // Required field - a counter without key is useless
+    unique: true,  // One counter per key
+  },
+
+  // count field: number of hits in the current window
+  count: {
+    type: Number,  // Number type for the counter
+    default: 0,  // No hits by default
+  },
+
+  // resetAt field: end of the current window
+  resetAt: {
+    type: Date,  // Date type
+    required: true,  // Required field - every window ends
+  },
+});
+
+// TTL INDEX
+// MongoDB removes the counter as soon as its window is over
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create and export the RateLimit model based on the defined schema
+// 'RateLimit' is the model name that Mongoose will use for the 'ratelimits' collection (automatically pluralizes)
+export const RateLimit = mongoose.model("RateLimit", rateLimitSchema);
@@ -0,0 +1,73 @@
+// Import Mongoose and Schema module from mongoose library
+// Mongoose is an ODM (Object Document Mapper) that provides a schema-based solution for modeling application data
+import mongoose, { Schema } from "mongoose";
+
+// Import Node.js crypto module for hashing refresh tokens
+import crypto from "crypto";
+
+// Define the schema for login sessions
+// Every login (laptop, phone, ...) creates its own session with its own refresh token
+// so that logging in on one device doesn't invalidate the others
+// A session is also a refresh token family: every refresh rotates the token inside the same session,
+// and presenting an already rotated token revokes the whole session (reuse detection)
+const sessionSchema = new Schema(
+  {
+    // user field: reference to the owner of the session
+    user: {
+      type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the user ID
+      ref: "User",  // Reference to the User model
+      required: true,  // Required field - every session belongs to a user
+      index: true,  // Creates database index to list the sessions of a user quickly
+    },
+
+    // refreshTokenHash field: SHA-256 hash of the current refresh token of the session
+    // The plain token is never stored: a database leak doesn't give access to the accounts
+    refreshTokenHash: {
+      type: String,  // String type to store the hexadecimal hash
+      required: true,  // Required field - a session without token is useless
+    },
+
+    // userAgent field: User-Agent header of the device that opened the session
+    userAgent: {
+      type: String,  // String type for the user agent
+      default: "",  // Empty string if the client did not send it
+    },
+
+    // ip field: IP address of the device that opened the session
+    ip: {
+      type: String,  // String type for the IP address
+      default: "",  // Empty string if unknown
+    },
+
+    // lastUsedAt field: last time the refresh token of the session was used
+    lastUsedAt: {
+      type: Date,  // Date type
+      default: Date.now,  // Set to now when the session is created
+    },
+
+    // expiresAt field: expiration date of the refresh token
+    // A TTL index (see below) makes MongoDB delete expired sessions automatically
+    expiresAt: {
+      type: Date,  // Date type
+      required: true,  // Required field - every refresh token expires
+    },
+  },
+  {
+    timestamps: true,  // Automatically adds createdAt and updatedAt fields
+    optimisticConcurrency: true,  // save() fails if another request rotated the token in the meantime
+  },
+);
+
+// TTL INDEX
+// MongoDB removes the document as soon as expiresAt is in the past
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// STATIC METHOD TO HASH A REFRESH TOKEN
+// Same SHA-256 hashing used for email verification and password reset tokens
+sessionSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Create and export the Session model based on the defined schema
+// 'Session' is the model name that Mongoose will use for the 'sessions' collection (automatically pluralizes)
+export const Session = mongoose.model("Session", sessionSchema);
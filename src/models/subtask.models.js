@@ -0,0 +1,41 @@
+// Import Mongoose and Schema module from mongoose library
+// Mongoose is an ODM (Object Document Mapper) that provides a schema-based solution for modeling application data
+import mongoose, { Schema } from "mongoose";
+
+// Define the schema for subtasks
+// A subtask is a small checklist item that belongs to a task
+const subTaskSchema = new Schema(
+  {
+    // title field: short description of the step to complete
+    title: {
+      type: String,  // String type for the subtask title
+      required: true,  // Required field - every subtask must have a title
+      trim: true,  // Removes whitespace from beginning and end of value
+    },
+
+    // task field: reference to the parent task
+    task: {
+      type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the task ID
+      ref: "Task",  // Reference to the Task model to populate task data
+      required: true,  // Required field - every subtask must belong to a task
+    },
+
+    // isCompleted field: flag indicating whether the subtask has been done
+    isCompleted: {
+      type: Boolean,  // Boolean type (true/false)
+      default: false,  // Default value false - subtask is not completed upon creation
+    },
+
+    // createdBy field: reference to the user who created the subtask
+    createdBy: {
+      type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the user ID
+      ref: "User",  // Reference to the User model to populate creator data
+      required: true,  // Required field - every subtask must have a creator
+    },
+  },
+  { timestamps: true },  // Schema options: automatically adds createdAt and updatedAt fields
+);
+
+// Create and export the SubTask model based on the defined schema
+// 'SubTask' is the model name that Mongoose will use for the 'subtasks' collection (automatically pluralizes)
+export const SubTask = mongoose.model("SubTask", subTaskSchema);
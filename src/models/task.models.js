@@ -0,0 +1,118 @@
+// Import Mongoose and Schema module from mongoose library
+// Mongoose is an ODM (Object Document Mapper) that provides a schema-based solution for modeling application data
+import mongoose, { Schema } from "mongoose";
+
+// Import available task status and priority constants from constants.js file
+// AvailableTaskStatues contains the array of valid states, TaskStatusEnum contains constants for each state
+import {
+  AvailableTaskPriorities,
+  AvailableTaskStatues,
+  TaskPriorityEnum,
+  TaskStatusEnum,
+} from "../utils/constants.js";
+
+// Define the schema for tasks
+// A task is a unit of work that belongs to a project and can be assigned to one of its members
+const taskSchema = new Schema(
+  {
+    // title field: short summary of the work to do
+    title: {
+      type: String,  // String type for the task title
+      required: true,  // Required field - every task must have a title
+      trim: true,  // Removes whitespace from beginning and end of value
+    },
+
+    // description field: optional detailed explanation of the task
+    description: {
+      type: String,  // String type for the task description
+      trim: true,  // Removes whitespace from beginning and end of value
+    },
+
+    // project field: reference to the project the task belongs to
+    project: {
+      type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the project ID
+      ref: "Project",  // Reference to the Project model to populate project data
+      required: true,  // Required field - every task must belong to a project
+    },
+
+    // assignedTo field: reference to the project member responsible for the task (optional)
+    assignedTo: {
+      type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the user ID
+      ref: "User",  // Reference to the User model to populate assignee data
+    },
+
+    // assignedBy field: reference to the user who created/assigned the task
+    assignedBy: {
+      type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the user ID
+      ref: "User",  // Reference to the User model to populate assigner data
+      required: true,  // Required field - every task must have an author
+    },
+
+    // status field: current state of the task
+    status: {
+      type: String,  // String type to store the status
+      enum: AvailableTaskStatues,  // Limits possible values to the array of available states
+      default: TaskStatusEnum.TODO,  // Default value: TODO (task not started yet)
+    },
+
+    // priority field: how pressing the task is
+    priority: {
+      type: String,  // String type to store the priority
+      enum: AvailableTaskPriorities,  // Limits possible values to the array of available priorities
+      default: TaskPriorityEnum.MEDIUM,  // Default value: MEDIUM
+    },
+
+    // startDate field: when the work is planned to start (optional)
+    startDate: {
+      type: Date,  // Date type
+    },
+
+    // dueDate field: deadline of the task (optional), a task not done after it is overdue
+    dueDate: {
+      type: Date,  // Date type
+    },
+
+    // labels field: labels of the project catalogue attached to the task (see Label model)
+    labels: {
+      type: [
+        {
+          type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the label ID
+          ref: "Label",  // Reference to the Label model to populate name and color
+        },
+      ],
+      default: [],  // No labels by default
+    },
+
+    // attachments field: files uploaded together with the task
+    attachments: {
+      type: [
+        {
+          url: String,  // Public URL of the file (served from the public folder)
+          localPath: String,  // Local file path of the file on the server
+          mimetype: String,  // MIME type of the file (ex: image/png, application/pdf)
+          size: Number,  // Size of the file in bytes
+        },
+      ],
+      default: [],  // No attachments by default
+    },
+  },
+  { timestamps: true },  // Schema options: automatically adds createdAt and updatedAt fields
+);
+
+// DATE CONSISTENCY
+// A task can't be due before it starts (checked on create and on every update, whichever date changes)
+taskSchema.pre("validate", function (next) {
+  if (this.startDate && this.dueDate && this.startDate > this.dueDate) {
+    this.invalidate("dueDate", "Due date must be on or after the start date");
+  }
+  next();
+});
+
+// INDEXES
+// The task list of a project can be filtered by label and by due date (overdue tasks)
+taskSchema.index({ project: 1, labels: 1 });
+taskSchema.index({ project: 1, dueDate: 1 });
+
+// Create and export the Task model based on the defined schema
+// 'Task' is the model name that Mongoose will use for the 'tasks' collection (automatically pluralizes)
+export const Task = mongoose.model("Task", taskSchema);
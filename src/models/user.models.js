@@ -14,6 +14,12 @@ import jwt from "jsonwebtoken";
 // Crypto provides cryptographic functionalities for generating secure tokens
 import crypto from "crypto";
 
+// Import the supported languages
+import { AvailableLanguages, DEFAULT_LANGUAGE } from "../utils/constants.js";
+
+// Import the validated application configuration (token secrets and expirations)
+import { config } from "../config/index.js";
+
 //-----------------------------------------------------------------------------------------------------------
 //-----------------------------------------------------------------------------------------------------------
 
@@ -23,9 +29,17 @@ const userSchema = new Schema(
     {
         // avatar field: represents the user profile image with support for URL and local path
         avatar: {
-            type: {  // Defines a subdocument with two fields to manage the avatar
+            type: {  // Defines a subdocument to manage the avatar
                 url: String,  // Public URL of the avatar image (for externally hosted images)
                 localPath: String,  // Local file path of the avatar (for images uploaded to the server)
+                variants: [  // Resized square versions of an uploaded avatar (small to large)
+                    {
+                        _id: false,  // No ObjectId needed for the variants
+                        size: Number,  // Side of the square in pixels
+                        url: String,  // Public URL of the variant
+                        localPath: String  // Local file path of the variant
+                    }
+                ]
             },
             default: {  // Default values for avatar when not specified
                 url: `https://placehold.co/200x200`,  // Default placeholder image of 200x200 pixels
@@ -58,6 +72,13 @@ const userSchema = new Schema(
             trim: true  // Removes whitespace from beginning and end of value
         },
 
+        // preferredLanguage field: language used for the emails sent to the user
+        preferredLanguage: {
+            type: String,  // String type for the ISO 639-1 language code
+            enum: AvailableLanguages,  // Only supported languages are accepted
+            default: DEFAULT_LANGUAGE  // English unless the user chooses otherwise
+        },
+
         // password field: encrypted user password for authentication
         password: {
             type: String,  // String type for password (will be hashed before saving)
@@ -70,11 +91,6 @@ const userSchema = new Schema(
             default: false  // Default value false - email is not verified upon creation
         },
 
-        // refreshToken field: JWT token for authentication refresh
-        refreshToken: {
-            type: String  // String type to store the JWT refresh token
-        },
-
         // forgotPasswordToken field: temporary token for password reset
         forgotPasswordToken: {
             type: String  // String type to store the password reset token
@@ -93,6 +109,41 @@ const userSchema = new Schema(
         // emailVerificationExpiry field: expiration date of the email verification token
         emailVerificationExpiry: {
             type: Date  // Date type to store the verification token expiration
+        },
+
+        // failedLoginAttempts field: consecutive wrong passwords since the last successful login
+        failedLoginAttempts: {
+            type: Number,  // Number type for the counter
+            default: 0  // No failed attempts upon creation
+        },
+
+        // lockUntil field: date until which login is refused after too many wrong passwords
+        lockUntil: {
+            type: Date  // Date type to store the end of the lockout
+        },
+
+        // twoFactorEnabled field: flag indicating whether login requires a TOTP code
+        twoFactorEnabled: {
+            type: Boolean,  // Boolean type (true/false)
+            default: false  // 2FA is optional and disabled upon creation
+        },
+
+        // twoFactorSecret field: base32 TOTP secret shared with the authenticator app
+        twoFactorSecret: {
+            type: String,  // String type to store the base32 secret
+            select: false  // Never returned by queries unless explicitly requested with "+twoFactorSecret"
+        },
+
+        // twoFactorRecoveryCodes field: SHA-256 hashes of the one-time recovery codes
+        twoFactorRecoveryCodes: {
+            type: [String],  // Array of hexadecimal hashes
+            select: false  // Never returned by queries unless explicitly requested
+        },
+
+        // twoFactorLastUsedStep field: time step of the last accepted TOTP code (prevents code replay)
+        twoFactorLastUsedStep: {
+            type: Number,  // Number type for the TOTP time step
+            select: false  // Internal field, never returned by queries
         }
 
     }, {
@@ -141,37 +192,123 @@ userSchema.methods.isPasswordCorrect = async function(password) {  // Defines an
 //-----------------------------------------------------------------------------------------------------------
 //-----------------------------------------------------------------------------------------------------------
 
+// PROGRESSIVE ACCOUNT LOCKOUT SETTINGS
+// After MAX_FAILED_LOGIN_ATTEMPTS wrong passwords the account is locked for LOCK_BASE_MS,
+// every further wrong password doubles the lock duration up to LOCK_MAX_MS
+const MAX_FAILED_LOGIN_ATTEMPTS = 5;
+const LOCK_BASE_MS = 60 * 1000;  // 1 minute
+const LOCK_MAX_MS = 60 * 60 * 1000;  // 1 hour
+
+// METHOD TO CHECK IF THE ACCOUNT IS LOCKED
+// Returns the number of seconds before the lock ends (0 if the account is not locked)
+userSchema.methods.getLockRemainingSeconds = function(){
+    if (!this.lockUntil) return 0
+    return Math.max(0, Math.ceil((this.lockUntil.getTime() - Date.now()) / 1000))
+};
+
+// METHOD TO REGISTER A FAILED LOGIN
+// Increments the counter and locks the account when the threshold is reached
+// The counter is incremented atomically in the database: parallel wrong passwords are all counted
+// (a read-modify-write with save() would let concurrent requests overwrite each other and skip the lock)
+userSchema.methods.registerFailedLogin = async function(){
+    const { failedLoginAttempts } = await this.constructor.findOneAndUpdate(
+        { _id: this._id },
+        { $inc: { failedLoginAttempts: 1 } },
+        { new: true, projection: { failedLoginAttempts: 1 } }
+    )
+
+    // Lock the account once the threshold is reached, doubling the duration at every new failure
+    // ($max keeps the longest lock when several failures are registered at the same time)
+    if (failedLoginAttempts >= MAX_FAILED_LOGIN_ATTEMPTS) {
+        const exponent = failedLoginAttempts - MAX_FAILED_LOGIN_ATTEMPTS
+        const lockMs = Math.min(LOCK_BASE_MS * 2 ** exponent, LOCK_MAX_MS)
+        const lockUntil = new Date(Date.now() + lockMs)
+
+        await this.constructor.updateOne({ _id: this._id }, { $max: { lockUntil } })
+        this.lockUntil = lockUntil
+        this.unmarkModified("lockUntil")
+    }
+
+    // Keep the document in sync without marking the fields as modified:
+    // a later save() of this document must not write back a stale counter
+    this.failedLoginAttempts = failedLoginAttempts
+    this.unmarkModified("failedLoginAttempts")
+};
+
+// METHOD TO RESET THE FAILED LOGIN COUNTER
+// Called after a successful login
+userSchema.methods.resetFailedLogins = async function(){
+    // Avoid a useless write when there is nothing to reset
+    if (this.failedLoginAttempts === 0 && !this.lockUntil) return
+
+    await this.constructor.updateOne(
+        { _id: this._id },
+        { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } }
+    )
+
+    this.failedLoginAttempts = 0
+    this.lockUntil = undefined
+    this.unmarkModified("failedLoginAttempts")
+    this.unmarkModified("lockUntil")
+};
+
+//-----------------------------------------------------------------------------------------------------------
+//-----------------------------------------------------------------------------------------------------------
+
 // METHOD TO GENERATE JWT ACCESS TOKEN
 // This method generates a short-lived access token for authentication
-userSchema.methods.generateAccessToken = function(){
+// The session ID allows verifyJWT to reject access tokens of revoked sessions before they expire
+userSchema.methods.generateAccessToken = function(sessionId){
     // Create and return a signed JWT (JSON Web Token)
     return jwt.sign(
         // Token payload: data that will be included in the token
         {
             _id: this._id,           // Unique user ID from database
             email: this.email,        // User's email
-            username: this.username   // User's username
+            username: this.username,  // User's username
+            sid: sessionId            // ID of the session the token belongs to
         },
-        // Secret key to sign the token, taken from environment variables
-        process.env.ACCESS_TOKEN_SECRET,
-        // Token options: specifies token expiration
-        { expiresIn: process.env.ACCESS_TOKEN_EXPIRY }
+        // Secret key to sign the token, taken from the configuration
+        config.auth.accessTokenSecret,
+        // Token options: specifies token expiration and a unique token ID (jti claim)
+        { expiresIn: config.auth.accessTokenExpiry, jwtid: crypto.randomUUID() }
     )
 };
 
 // METHOD TO GENERATE JWT REFRESH TOKEN  
 // This method generates a long-lived refresh token to obtain new access tokens
-userSchema.methods.generateRefreshToken = function(){
+// Refresh tokens belong to a login session (see session.models.js), one per device
+userSchema.methods.generateRefreshToken = function(sessionId){
     // Create and return a JWT (JSON Web Token) for refresh
     return jwt.sign(
-        // Token payload: contains only user ID to minimize exposed data
+        // Token payload: contains only user ID and session ID to minimize exposed data
         {
-            _id: this._id,  // Only user ID is needed for refresh token
+            _id: this._id,  // User ID
+            sid: sessionId  // ID of the session the token belongs to
         },
-        // Secret key to sign the refresh token, taken from environment variables
-        process.env.REFRESH_TOKEN_SECRET,
-        // Token options: specifies refresh token expiration
-        { expiresIn: process.env.REFRESH_TOKEN_EXPIRY }
+        // Secret key to sign the refresh token, taken from the configuration
+        config.auth.refreshTokenSecret,
+        // Token options: specifies refresh token expiration and a unique token ID (jti claim)
+        // The jti guarantees that two tokens generated in the same second are different
+        { expiresIn: config.auth.refreshTokenExpiry, jwtid: crypto.randomUUID() }
+    )
+};
+
+// METHOD TO GENERATE THE TWO-FACTOR CHALLENGE TOKEN
+// When 2FA is enabled, login returns this short-lived token instead of access and refresh tokens
+// The client sends it back to /login/2fa together with the TOTP code
+userSchema.methods.generateTwoFactorChallengeToken = function(){
+    return jwt.sign(
+        // Token payload: user ID and the purpose of the token
+        // The purpose claim prevents using an access token as challenge token (and vice versa
+        // the missing session ID makes verifyJWT reject a challenge token used as access token)
+        {
+            _id: this._id,
+            purpose: "2fa-challenge"
+        },
+        config.auth.accessTokenSecret,
+        // Token options: 5 minutes are enough to open the authenticator app
+        { expiresIn: "5m", jwtid: crypto.randomUUID() }
     )
 };
 
@@ -186,7 +323,7 @@ userSchema.methods.generateTemporaryToken = function(){
 
     // Create a hashed version of the token for secure storage in database
     // SHA-256 is a secure cryptographic hashing algorithm
-    const HashedToken = crypto
+    const hashedToken = crypto
         .createHash("sha256")        // Create hash object using SHA-256 algorithm
         .update(unHashedToken)       // Input the unhashed token into the algorithm
         .digest("hex")               // Convert result to hexadecimal string
@@ -195,12 +332,59 @@ userSchema.methods.generateTemporaryToken = function(){
     const tokenExpiry = Date.now() + (20 * 60 * 1000) // 20 minutes in milliseconds
 
     // Return an object with all token information
-    return {unHashedToken, HashedToken, tokenExpiry}
+    return {unHashedToken, hashedToken, tokenExpiry}
+};
+
+//-----------------------------------------------------------------------------------------------------------
+//-----------------------------------------------------------------------------------------------------------
+
+// METHOD TO GENERATE TWO-FACTOR RECOVERY CODES
+// Recovery codes allow logging in when the phone with the authenticator app is lost
+// Only the SHA-256 hashes are stored (same hashing used by generateTemporaryToken),
+// the plain codes are returned once to be shown to the user
+userSchema.methods.generateTwoFactorRecoveryCodes = function(count = 10){
+    // Generate random codes formatted as xxxxx-xxxxx to be easy to copy
+    const recoveryCodes = Array.from({ length: count }, () => {
+        const code = crypto.randomBytes(5).toString("hex")
+        return `${code.slice(0, 5)}-${code.slice(5)}`
+    })
+
+    // Store only the hashes
+    this.twoFactorRecoveryCodes = recoveryCodes.map((code) =>
+        crypto.createHash("sha256").update(code).digest("hex")
+    )
+
+    return recoveryCodes
+};
+
+// METHOD TO USE A TWO-FACTOR RECOVERY CODE
+// Returns true and removes the code if it is valid: every recovery code works only once
+// Requires the document to be loaded with "+twoFactorRecoveryCodes"
+userSchema.methods.useTwoFactorRecoveryCode = function(code){
+    const hashedCode = crypto
+        .createHash("sha256")
+        .update(String(code || "").trim().toLowerCase())
+        .digest("hex")
+
+    const index = (this.twoFactorRecoveryCodes || []).indexOf(hashedCode)
+    if (index === -1) return false
+
+    this.twoFactorRecoveryCodes.splice(index, 1)
+    return true
 };
 
 //-----------------------------------------------------------------------------------------------------------
 //-----------------------------------------------------------------------------------------------------------
 
+// PROJECTION EXCLUDING SECRET FIELDS
+// Use it with .select() every time a user is sent back to the client
+// (two-factor secrets are already excluded by default with select: false)
+export const USER_SENSITIVE_FIELDS =
+    "-password -emailVerificationToken -emailVerificationExpiry -forgotPasswordToken -forgotPasswordExpiry -failedLoginAttempts -lockUntil";
+
+//-----------------------------------------------------------------------------------------------------------
+//-----------------------------------------------------------------------------------------------------------
+
 // Create and export the User model based on the defined schema
 // 'User' is the model name that Mongoose will use for the 'users' collection (automatically pluralizes)
 // The model provides methods to create, read, update, and delete documents in the collection
@@ -0,0 +1,122 @@
+// Import Mongoose and Schema module from mongoose library
+// Mongoose is an ODM (Object Document Mapper) that provides a schema-based solution for modeling application data
+import mongoose, { Schema } from "mongoose";
+
+// Import Node.js crypto module to generate the signing secrets
+import crypto from "crypto";
+
+// Import the activity types: every activity of the project is also a webhook event
+import { AvailableActivityTypes } from "./activity.models.js";
+
+// WEBHOOK EVENTS
+// Same events as the activity feed, with a dotted name: task_status_changed → task.status_changed
+export const toWebhookEvent = (activityType) => activityType.replace("_", ".");
+
+export const AvailableWebhookEvents = AvailableActivityTypes.map(toWebhookEvent);
+
+// Event sent by the test ping endpoint (never subscribed to, always delivered)
+export const WEBHOOK_PING_EVENT = "ping";
+
+// How long the previous secret keeps signing deliveries after a rotation,
+// so receivers can switch to the new secret without rejecting anything
+export const WEBHOOK_SECRET_GRACE_MS = 24 * 60 * 60 * 1000;
+
+// Define the schema for project webhooks
+// A project admin registers a URL and the events it wants: every matching activity is POSTed to it, signed
+const webhookSchema = new Schema(
+  {
+    // project field: project whose events are sent
+    project: {
+      type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the project ID
+      ref: "Project",  // Reference to the Project model
+      required: true,  // Required field
+    },
+
+    // url field: HTTP(S) endpoint receiving the events
+    url: {
+      type: String,  // String type for the URL
+      required: true,  // Required field
+      trim: true,  // Removes whitespace from beginning and end
+    },
+
+    // events field: events the endpoint is subscribed to (ex: task.created, member.added)
+    events: {
+      type: [String],  // Array of event names
+      enum: AvailableWebhookEvents,  // Only events defined above are accepted
+    },
+
+    // description field: what the webhook is for (ex: "CI pipeline", "Slack bridge")
+    description: {
+      type: String,  // String type for the description
+      trim: true,  // Removes whitespace from beginning and end
+    },
+
+    // active field: paused webhooks receive nothing (no deliveries are queued)
+    active: {
+      type: Boolean,  // Boolean type
+      default: true,  // Active as soon as it is created
+    },
+
+    // secret field: key of the HMAC-SHA256 signature of every delivery
+    // Stored as is (a signature can't be computed from a hash), never returned by queries (select: false):
+    // it is shown once, when the webhook is created or its secret rotated
+    secret: {
+      type: String,  // String type for the secret
+      required: true,  // Required field
+      select: false,  // Excluded from queries unless explicitly requested
+    },
+
+    // previousSecret fields: secret replaced by the last rotation, still used until previousSecretExpiresAt
+    previousSecret: {
+      type: String,  // String type for the secret
+      select: false,  // Excluded from queries unless explicitly requested
+    },
+    previousSecretExpiresAt: {
+      type: Date,  // Date type
+    },
+
+    // createdBy field: admin who registered the webhook
+    createdBy: {
+      type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the user ID
+      ref: "User",  // Reference to the User model
+    },
+  },
+  {
+    timestamps: true,  // Automatically adds createdAt and updatedAt fields
+  },
+);
+
+// INDEX USED WHEN AN ACTIVITY IS RECORDED
+// Finds quickly the active webhooks of a project subscribed to an event
+webhookSchema.index({ project: 1, active: 1, events: 1 });
+
+//-----------------------------------------------------------------------------------------------------------
+// METHOD TO GENERATE A NEW SIGNING SECRET
+// The current secret stays valid for WEBHOOK_SECRET_GRACE_MS (both signatures are sent meanwhile)
+// Returns the new secret: it is the only time it can be read
+//-----------------------------------------------------------------------------------------------------------
+webhookSchema.methods.generateSecret = function () {
+  if (this.secret) {
+    this.previousSecret = this.secret;
+    this.previousSecretExpiresAt = new Date(Date.now() + WEBHOOK_SECRET_GRACE_MS);
+  }
+
+  this.secret = `whsec_${crypto.randomBytes(32).toString("hex")}`;
+  return this.secret;
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// METHOD TO LIST THE SECRETS THAT SIGN A DELIVERY
+// The current one, plus the previous one during the grace period of a rotation
+// (the document must be loaded with +secret +previousSecret)
+//-----------------------------------------------------------------------------------------------------------
+webhookSchema.methods.getSigningSecrets = function () {
+  const previousIsValid =
+    this.previousSecret && this.previousSecretExpiresAt > new Date();
+
+  return previousIsValid ? [this.secret, this.previousSecret] : [this.secret];
+};
+
+// Create and export the Webhook model based on the defined schema
+// 'Webhook' is the model name that Mongoose will use for the 'webhooks' collection (automatically pluralizes)
+export const Webhook = mongoose.model("Webhook", webhookSchema);
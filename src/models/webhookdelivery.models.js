@@ -0,0 +1,147 @@
+// Import Mongoose and Schema module from mongoose library
+// Mongoose is an ODM (Object Document Mapper) that provides a schema-based solution for modeling application data
+import mongoose, { Schema } from "mongoose";
+
+// Possible states of a delivery (same lifecycle as the email outbox)
+// pending → sending → delivered
+//              ↘ pending again (retry with backoff) → ... → failed (no attempts left)
+export const WebhookDeliveryStatusEnum = {
+  PENDING: "pending",
+  SENDING: "sending",
+  DELIVERED: "delivered",
+  FAILED: "failed",
+};
+
+export const AvailableWebhookDeliveryStatuses = Object.values(WebhookDeliveryStatusEnum);
+
+// Length of the response body kept for every attempt (enough to read an error message)
+export const RESPONSE_EXCERPT_LENGTH = 1000;
+
+// Define the schema of one delivery attempt (the delivery log)
+const attemptSchema = new Schema(
+  {
+    // attemptedAt field: when the request was sent
+    attemptedAt: {
+      type: Date,  // Date type
+      required: true,  // Required field
+    },
+
+    // responseStatus field: HTTP status code answered by the endpoint (empty if no response: timeout, DNS...)
+    responseStatus: {
+      type: Number,  // Number type for the status code
+    },
+
+    // responseBody field: beginning of the response body (RESPONSE_EXCERPT_LENGTH characters)
+    responseBody: {
+      type: String,  // String type
+    },
+
+    // error field: why the attempt failed (network error, non-2xx status...)
+    error: {
+      type: String,  // String type for the error message
+    },
+
+    // durationMs field: time until the response (or the error)
+    durationMs: {
+      type: Number,  // Number type
+    },
+  },
+  { _id: false },  // Attempts are only read through their delivery
+);
+
+// Define the schema for webhook deliveries
+// Every event sent to a webhook is first saved here and then POSTed by the webhook worker,
+// so a receiver that is down never loses an event and every attempt leaves a trace
+const webhookDeliverySchema = new Schema(
+  {
+    // webhook field: endpoint the event is sent to
+    webhook: {
+      type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the webhook ID
+      ref: "Webhook",  // Reference to the Webhook model
+      required: true,  // Required field
+    },
+
+    // project field: project of the webhook (deliveries are listed and deleted with it)
+    project: {
+      type: Schema.Types.ObjectId,  // MongoDB ObjectId type to store the project ID
+      ref: "Project",  // Reference to the Project model
+      required: true,  // Required field
+    },
+
+    // event field: name of the event (ex: task.created, ping)
+    event: {
+      type: String,  // String type for the event name
+      required: true,  // Required field
+    },
+
+    // payload field: JSON body sent to the endpoint (identical for every attempt)
+    payload: {
+      type: Schema.Types.Mixed,  // Free-form object
+      required: true,  // Required field
+    },
+
+    // requestId field: ID of the request that caused the event (X-Request-Id), for the delivery logs
+    requestId: {
+      type: String,  // String type for the request ID
+    },
+
+    // status field: where the delivery is in its lifecycle
+    status: {
+      type: String,  // String type for the status
+      enum: AvailableWebhookDeliveryStatuses,  // Only values defined above are accepted
+      default: WebhookDeliveryStatusEnum.PENDING,  // Every delivery starts waiting to be sent
+    },
+
+    // attempts field: number of delivery attempts already made
+    attempts: {
+      type: Number,  // Number type for the counter
+      default: 0,  // No attempts yet
+    },
+
+    // maxAttempts field: after this many failures the delivery is marked as failed
+    maxAttempts: {
+      type: Number,  // Number type
+      default: 8,  // 8 attempts with exponential backoff cover about an hour of downtime
+    },
+
+    // nextAttemptAt field: the worker doesn't pick the delivery before this date
+    nextAttemptAt: {
+      type: Date,  // Date type
+      default: Date.now,  // Send as soon as possible
+    },
+
+    // lockedUntil field: lease taken by the worker while sending
+    // If the process dies while sending, the delivery becomes available again when the lease expires
+    lockedUntil: {
+      type: Date,  // Date type
+    },
+
+    // responseStatus field: status code of the last attempt (quick filter without reading the log)
+    responseStatus: {
+      type: Number,  // Number type
+    },
+
+    // attemptLog field: one entry per attempt, oldest first
+    attemptLog: {
+      type: [attemptSchema],  // Array of attempts
+      default: [],
+    },
+
+    // deliveredAt field: date of the successful attempt
+    deliveredAt: {
+      type: Date,  // Date type
+    },
+  },
+  {
+    timestamps: true,  // Automatically adds createdAt and updatedAt fields
+  },
+);
+
+// INDEXES
+// The worker finds quickly the next deliveries to send, admins list the deliveries of a webhook newest first
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+// Create and export the WebhookDelivery model based on the defined schema
+// 'WebhookDelivery' is the model name that Mongoose will use for the 'webhookdeliveries' collection (automatically pluralizes)
+export const WebhookDelivery = mongoose.model("WebhookDelivery", webhookDeliverySchema);
@@ -6,17 +6,29 @@ import { Router } from "express";
 // These controllers contain the business logic for each endpoint
 import {
   changeCurrentPassword,
+  confirmTwoFactor,
+  disableTwoFactor,
+  enrollTwoFactor,
   forgotPasswordRequest,
   getCurrentUser,
+  getSessions,
   login,
+  loginTwoFactor,
   logoutUser,
   refreshAccessToken,
   registerUser,
   resendEmailVerification,
   resetForgotPassword,
+  revokeOtherSessions,
+  revokeSession,
+  updateCurrentUser,
+  updateUserAvatar,
   verifyEmail,
 } from "../controllers/auth.controllers.js";
 
+// Import the controller of the account activity (security audit log)
+import { getMyAuditEvents } from "../controllers/audit.controllers.js";
+
 // Import the validate middleware that handles validation error checking
 // validate checks if there are errors in validators and returns standardized errors
 import { validate } from "../middlewares/validator.middleware.js";
@@ -24,17 +36,99 @@ import { validate } from "../middlewares/validator.middleware.js";
 // Import validators for different authentication routes
 // Each validator defines validation rules for specific fields
 import {
+  auditEventsQueryValidator,
+  disableTwoFactorValidator,
+  twoFactorCodeValidator,
   userChangeCurrentPasswordValidator,
   userForgotPasswordValidator,
+  userLoginTwoFactorValidator,
   userLoginValidator,
   userRegisterValidator,
   userResetForgotPasswordValidator,
+  userUpdateProfileValidator,
 } from "../validators/index.js";
 
 // Import the verifyJWT middleware for authentication via JSON Web Token
 // verifyJWT verifies token validity and adds user to the request
 import { verifyJWT } from "../middlewares/auth.middleware.js";
 
+// Import the rate limit middleware factory and the per-account key generators
+// Rate limiting protects the sensitive routes against brute force and email flooding
+import {
+  emailKey,
+  rateLimit,
+  userKey,
+} from "../middlewares/rate-limit.middleware.js";
+
+//-----------------------------------------------------------------------------------------------------------
+// RATE LIMITERS
+// Per-IP limiters stop a single client, per-account limiters stop distributed attacks on one account
+//-----------------------------------------------------------------------------------------------------------
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+const ONE_HOUR = 60 * 60 * 1000;
+
+// Login: password guessing (wrong passwords also lock the account, see User.registerFailedLogin)
+const loginIpLimiter = rateLimit({
+  prefix: "login-ip",
+  windowMs: FIFTEEN_MINUTES,
+  limit: 20,
+});
+const loginAccountLimiter = rateLimit({
+  prefix: "login-account",
+  windowMs: FIFTEEN_MINUTES,
+  limit: 10,
+  keyGenerator: emailKey,
+});
+
+// Forgot password: flooding users with reset emails
+const forgotPasswordIpLimiter = rateLimit({
+  prefix: "forgot-ip",
+  windowMs: ONE_HOUR,
+  limit: 10,
+});
+const forgotPasswordAccountLimiter = rateLimit({
+  prefix: "forgot-account",
+  windowMs: ONE_HOUR,
+  limit: 3,
+  keyGenerator: emailKey,
+});
+
+// Reset password: guessing reset tokens
+const resetPasswordIpLimiter = rateLimit({
+  prefix: "reset-ip",
+  windowMs: FIFTEEN_MINUTES,
+  limit: 10,
+});
+
+// Resend verification email: flooding the user's own inbox (per account, the route is protected)
+const resendVerificationLimiter = rateLimit({
+  prefix: "resend-verification",
+  windowMs: ONE_HOUR,
+  limit: 3,
+  keyGenerator: userKey,
+});
+
+// Disable 2FA: guessing the password with a stolen access token (per account, the route is protected)
+// Wrong passwords and codes also lock the account, like login
+const disableTwoFactorLimiter = rateLimit({
+  prefix: "2fa-disable",
+  windowMs: FIFTEEN_MINUTES,
+  limit: 5,
+  keyGenerator: userKey,
+});
+
+// Change password: guessing the old password with a stolen access token (per account, the route is protected)
+// Wrong passwords also lock the account, like login
+const changePasswordLimiter = rateLimit({
+  prefix: "change-password",
+  windowMs: FIFTEEN_MINUTES,
+  limit: 5,
+  keyGenerator: userKey,
+});
+
+// Import the multer upload middleware to receive the avatar file
+import { upload } from "../middlewares/multer.middleware.js";
+
 // Create a new Router instance
 // This router will contain all authentication-related routes
 const router = Router();
@@ -48,8 +142,27 @@ const router = Router();
 router.route("/register").post(userRegisterValidator(), validate, registerUser);
 
 // POST route for user login
-// Sequence: Validation → Error checking → Login
-router.route("/login").post(userLoginValidator(), validate, login);
+// Sequence: Rate limiting → Validation → Error checking → Login
+router
+  .route("/login")
+  .post(
+    loginIpLimiter,
+    loginAccountLimiter,
+    userLoginValidator(),
+    validate,
+    login,
+  );
+
+// POST route for the second login step when 2FA is enabled
+// Sequence: Rate limiting → Validation → Error checking → Code verification → Login
+router
+  .route("/login/2fa")
+  .post(
+    loginIpLimiter,
+    userLoginTwoFactorValidator(),
+    validate,
+    loginTwoFactor,
+  );
 
 // GET route for email verification via token
 // Doesn't require validators because token is passed as URL parameter
@@ -60,16 +173,27 @@ router.route("/verify-email/:verificationToken").get(verifyEmail);
 router.route("/refresh-token").post(refreshAccessToken);
 
 // POST route to request password reset (forgotten password)
-// Sequence: Validation → Error checking → Reset email sending
+// Sequence: Rate limiting → Validation → Error checking → Reset email sending
 router
   .route("/forgot-password")
-  .post(userForgotPasswordValidator(), validate, forgotPasswordRequest);
+  .post(
+    forgotPasswordIpLimiter,
+    forgotPasswordAccountLimiter,
+    userForgotPasswordValidator(),
+    validate,
+    forgotPasswordRequest,
+  );
 
 // POST route to actually reset password using reset token
-// Sequence: Validation → Error checking → Password reset
+// Sequence: Rate limiting → Validation → Error checking → Password reset
 router
   .route("/reset-password/:resetToken")
-  .post(userResetForgotPasswordValidator(), validate, resetForgotPassword);
+  .post(
+    resetPasswordIpLimiter,
+    userResetForgotPasswordValidator(),
+    validate,
+    resetForgotPassword,
+  );
 
 //-----------------------------------------------------------------------------------------------------------
 // PROTECTED ROUTES (PRIVATE) - Require JWT authentication
@@ -79,26 +203,74 @@ router
 // Sequence: JWT verification → Logout (removes tokens and cookies)
 router.route("/logout").post(verifyJWT, logoutUser);
 
-// POST route to get current user data
-// Sequence: JWT verification → User data retrieval
-router.route("/current-user").post(verifyJWT, getCurrentUser);
+// GET route to get current user data
+// PATCH route to update the profile (fullName, username, preferredLanguage)
+// Sequence: JWT verification → (Validation → Error checking) → User data retrieval / update
+router
+  .route("/current-user")
+  .get(verifyJWT, getCurrentUser)
+  .patch(
+    verifyJWT,
+    userUpdateProfileValidator(),
+    validate,
+    updateCurrentUser,
+  );
 
 // POST route to change current password
-// Sequence: JWT verification → Validation → Error checking → Password change
+// Sequence: JWT verification → Rate limiting → Validation → Error checking → Password change
 router
   .route("/change-password")
   .post(
     verifyJWT,  // First verify that user is authenticated
+    changePasswordLimiter,  // After verifyJWT: the limit is per user
     userChangeCurrentPasswordValidator(),  // Then validate request fields
     validate,  // Check if there are validation errors
     changeCurrentPassword,  // Finally execute password change
   );
 
 // POST route to resend verification email
-// Sequence: JWT verification → Send new verification email
+// Sequence: JWT verification → Rate limiting → Send new verification email
 router
   .route("/resend-email-verification")
-  .post(verifyJWT, resendEmailVerification);
+  .post(verifyJWT, resendVerificationLimiter, resendEmailVerification);
+
+// PATCH route to upload a new avatar
+// Sequence: JWT verification → File upload (field "avatar") → Image validation and resizing
+router
+  .route("/avatar")
+  .patch(verifyJWT, upload.single("avatar"), updateUserAvatar);
+
+// POST routes to manage two-factor authentication
+// enroll → returns the otpauth URI and recovery codes, confirm → turns 2FA on, disable → turns 2FA off
+router.route("/2fa/enroll").post(verifyJWT, enrollTwoFactor);
+router
+  .route("/2fa/confirm")
+  .post(verifyJWT, twoFactorCodeValidator(), validate, confirmTwoFactor);
+router
+  .route("/2fa/disable")
+  .post(
+    verifyJWT,
+    disableTwoFactorLimiter,  // After verifyJWT: the limit is per user
+    disableTwoFactorValidator(),
+    validate,
+    disableTwoFactor,
+  );
+
+// GET route to list the active sessions (devices) of the current user
+// DELETE route to revoke every session except the current one
+router
+  .route("/sessions")
+  .get(verifyJWT, getSessions)
+  .delete(verifyJWT, revokeOtherSessions);
+
+// DELETE route to revoke a single session
+router.route("/sessions/:sessionId").delete(verifyJWT, revokeSession);
+
+// GET route to page through the security events of the current user's account
+// (logins, password changes, refreshed tokens...) newest first: ?page=&limit=&action=&outcome=
+router
+  .route("/audit-events")
+  .get(verifyJWT, auditEventsQueryValidator(), validate, getMyAuditEvents);
 
 // Export the router as default module
 // This allows importing and using this router in the main Express application
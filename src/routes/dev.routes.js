@@ -0,0 +1,41 @@
+// Import the Router class from Express to create a modular router
+import { Router } from "express";
+
+// Import the development controllers
+import { getOutboxEntries } from "../controllers/dev.controllers.js";
+
+// Import the authentication middleware (outbox entries contain account links)
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+// Import the ApiError class to hide the routes in production
+import { ApiError } from "../utils/api-error.js";
+
+// Import the validated application configuration
+import { config } from "../config/index.js";
+
+// Create a new Router instance
+// This router contains tools that help while developing and must never be reachable in production
+const router = Router();
+
+// Unless DEV_OUTBOX_ENABLED is set (never in production) every dev route answers 404, as if it didn't exist
+router.use((req, res, next) => {
+  if (config.isProduction || !config.dev.outboxEnabled) {
+    return next(
+      new ApiError(404, `Route ${req.method} ${req.originalUrl} not found`),
+    );
+  }
+  next();
+});
+
+// Even when enabled, only authenticated users can read the outbox
+router.use(verifyJWT);
+
+//-----------------------------------------------------------------------------------------------------------
+// DEV ROUTES
+//-----------------------------------------------------------------------------------------------------------
+
+// GET route to list the latest emails of the outbox
+router.route("/outbox").get(getOutboxEntries);
+
+// Export the router to be mounted in app.js
+export default router;
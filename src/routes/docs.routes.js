@@ -0,0 +1,40 @@
+// Import Express to create the router and serve the Swagger UI static files
+import express, { Router } from "express";
+
+// Import swagger-ui-dist to find the folder of the bundled Swagger UI files
+import swaggerUiDist from "swagger-ui-dist";
+
+// Import the documentation controllers
+import {
+  getDocsPage,
+  getDocsScript,
+  getOpenApiDocument,
+} from "../controllers/docs.controllers.js";
+
+// Create a new Router instance
+// This router will contain the API documentation routes (public)
+const router = Router();
+
+//-----------------------------------------------------------------------------------------------------------
+// DOCUMENTATION ROUTES
+//-----------------------------------------------------------------------------------------------------------
+
+// GET route to download the OpenAPI 3.1 document
+router.route("/openapi.json").get(getOpenApiDocument);
+
+// GET routes for the interactive documentation page and its start script
+// "/" is redirected to "/docs/" so that the relative asset paths of the page resolve correctly
+router.get("/", (req, res, next) => {
+  if (!req.originalUrl.split("?")[0].endsWith("/")) {
+    return res.redirect(301, `${req.baseUrl}/`);
+  }
+  next();
+});
+router.route("/").get(getDocsPage);
+router.route("/ui.js").get(getDocsScript);
+
+// Static Swagger UI files (CSS and JavaScript bundle)
+router.use("/assets", express.static(swaggerUiDist.getAbsoluteFSPath()));
+
+// Export the router as default module
+export default router;
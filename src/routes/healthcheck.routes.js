@@ -4,7 +4,11 @@ import { Router } from "express";
 
 // Import the healthCheck function from healthcheck.controller.js file
 // This function contains the logic to handle server health check requests
-import { healthCheck } from "../controllers/healthcheck.controllers.js";
+import {
+    healthCheck,
+    liveness,
+    readiness,
+} from "../controllers/healthcheck.controllers.js";
 
 
 // Create a new instance of Express Router
@@ -17,6 +21,13 @@ const router = Router();
 // When making a GET request to "/", the healthCheck function will be executed
 router.route("/").get(healthCheck);
 
+// GET route for the liveness probe: answers as long as the process is running
+router.route("/live").get(liveness);
+
+// GET route for the readiness probe: checks MongoDB, mail transport and disk space
+// Answers 503 when a critical dependency (MongoDB) is down
+router.route("/ready").get(readiness);
+
 // Export the router as default export
 // This allows importing and mounting this router in the main Express application
 export default router;
\ No newline at end of file
@@ -0,0 +1,42 @@
+// Import the Router class from Express to create a modular router
+// The router allows defining routes in separate files and then mounting them in the main app
+import { Router } from "express";
+
+// Import the invitation controllers used by the invited person
+// (project admins manage invitations from the project routes)
+import {
+  acceptInvitation,
+  declineInvitation,
+  getInvitationByToken,
+  getMyInvitations,
+} from "../controllers/invitation.controllers.js";
+
+// Import the authentication middleware
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+// Create a new Router instance
+// This router will contain the routes used to answer invitations
+const router = Router();
+
+//-----------------------------------------------------------------------------------------------------------
+// PUBLIC ROUTES
+//-----------------------------------------------------------------------------------------------------------
+
+// GET route to read an invitation from the link of the email
+// Public: the invited person may not have an account yet
+router.route("/token/:token").get(getInvitationByToken);
+
+//-----------------------------------------------------------------------------------------------------------
+// PROTECTED ROUTES
+// Only the verified owner of the invited email address can see and answer an invitation
+//-----------------------------------------------------------------------------------------------------------
+
+// GET route to list the open invitations of the current user
+router.route("/").get(verifyJWT, getMyInvitations);
+
+// POST routes to accept or decline an invitation
+router.route("/:invitationId/accept").post(verifyJWT, acceptInvitation);
+router.route("/:invitationId/decline").post(verifyJWT, declineInvitation);
+
+// Export the router as default module
+export default router;
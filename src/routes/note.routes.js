@@ -0,0 +1,70 @@
+// Import the Router class from Express to create a modular router
+// The router allows defining routes in separate files and then mounting them in the main app
+import { Router } from "express";
+
+// Import all note controllers from the controllers folder
+// These controllers contain the business logic for each endpoint
+import {
+  createNote,
+  deleteNote,
+  getNoteById,
+  getNotes,
+  updateNote,
+} from "../controllers/note.controllers.js";
+
+// Import the validate middleware that handles validation error checking
+import { validate } from "../middlewares/validator.middleware.js";
+
+// Import validators for note routes
+import { projectNoteValidator } from "../validators/index.js";
+
+// Import the authentication and permission middlewares
+import {
+  validateProjectPermission,
+  verifyJWT,
+} from "../middlewares/auth.middleware.js";
+
+// Import available user role constants
+import { AvailableUserRole, UserRolesEnum } from "../utils/constants.js";
+
+// Create a new Router instance
+// This router will contain all note-related routes
+const router = Router();
+
+// Every note route is protected: apply JWT verification to the whole router
+router.use(verifyJWT);
+
+//-----------------------------------------------------------------------------------------------------------
+// NOTE ROUTES
+// Every member can read notes, only project admins can write them
+//-----------------------------------------------------------------------------------------------------------
+
+// GET route to list the notes of a project (any member)
+// POST route to create a note (admin only)
+router
+  .route("/:projectId")
+  .get(validateProjectPermission(AvailableUserRole), getNotes)
+  .post(
+    validateProjectPermission([UserRolesEnum.ADMIN]),
+    projectNoteValidator(),
+    validate,
+    createNote,
+  );
+
+// GET route to read a note (any member)
+// PUT route to update a note (admin only)
+// DELETE route to delete a note (admin only)
+router
+  .route("/:projectId/n/:noteId")
+  .get(validateProjectPermission(AvailableUserRole), getNoteById)
+  .put(
+    validateProjectPermission([UserRolesEnum.ADMIN]),
+    projectNoteValidator(),
+    validate,
+    updateNote,
+  )
+  .delete(validateProjectPermission([UserRolesEnum.ADMIN]), deleteNote);
+
+// Export the router as default module
+// This allows importing and using this router in the main Express application
+export default router;
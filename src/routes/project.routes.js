@@ -0,0 +1,290 @@
+// Import the Router class from Express to create a modular router
+// The router allows defining routes in separate files and then mounting them in the main app
+import { Router } from "express";
+
+// Import all project controllers from the controllers folder
+// These controllers contain the business logic for each endpoint
+import {
+  addMembersToProject,
+  createProject,
+  deleteMember,
+  deleteProject,
+  getProjectById,
+  getProjectMembers,
+  getProjects,
+  updateMemberRole,
+  updateProject,
+} from "../controllers/project.controllers.js";
+
+// Import the invitation controllers used by project admins
+import {
+  createInvitation,
+  getProjectInvitations,
+  resendInvitation,
+  revokeInvitation,
+} from "../controllers/invitation.controllers.js";
+
+// Import the controller of the project activity feed
+import { getProjectActivity } from "../controllers/activity.controllers.js";
+
+// Import the controller of the project audit log (admin only)
+import { getProjectAuditEvents } from "../controllers/audit.controllers.js";
+
+// Import the label catalogue controllers
+import {
+  createLabel,
+  deleteLabel,
+  getLabels,
+  updateLabel,
+} from "../controllers/label.controllers.js";
+
+// Import the webhook controllers (admin only)
+import {
+  createWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  getWebhooks,
+  pingWebhook,
+  rotateWebhookSecret,
+  updateWebhook,
+} from "../controllers/webhook.controllers.js";
+
+// Import the validate middleware that handles validation error checking
+import { validate } from "../middlewares/validator.middleware.js";
+
+// Import validators for project routes
+import {
+  activityFeedQueryValidator,
+  addMembertoProjectValidator,
+  auditEventsQueryValidator,
+  createLabelValidator,
+  createProjectValidator,
+  createWebhookValidator,
+  updateLabelValidator,
+  updateMemberRoleValidator,
+  updateWebhookValidator,
+  webhookDeliveriesQueryValidator,
+} from "../validators/index.js";
+
+// Import the authentication and permission middlewares
+// verifyJWT authenticates the user, validateProjectPermission checks the role inside the project
+import {
+  validateProjectPermission,
+  verifyJWT,
+} from "../middlewares/auth.middleware.js";
+
+// Import available user role constants
+// AvailableUserRole allows every project member, UserRolesEnum allows picking specific roles
+import { AvailableUserRole, UserRolesEnum } from "../utils/constants.js";
+
+// Create a new Router instance
+// This router will contain all project-related routes
+const router = Router();
+
+// Every project route is protected: apply JWT verification to the whole router
+router.use(verifyJWT);
+
+//-----------------------------------------------------------------------------------------------------------
+// PROJECT ROUTES
+//-----------------------------------------------------------------------------------------------------------
+
+// GET route to list the projects of the current user
+// POST route to create a new project (the creator becomes admin)
+// Sequence: Validation → Error checking → Project creation
+router
+  .route("/")
+  .get(getProjects)
+  .post(createProjectValidator(), validate, createProject);
+
+// GET route to read a project (any member)
+// PUT route to update a project (admin only)
+// DELETE route to delete a project and its members (admin only)
+router
+  .route("/:projectId")
+  .get(validateProjectPermission(AvailableUserRole), getProjectById)
+  .put(
+    validateProjectPermission([UserRolesEnum.ADMIN]),  // First verify that user is project admin
+    createProjectValidator(),  // Then validate request fields
+    validate,  // Check if there are validation errors
+    updateProject,  // Finally execute project update
+  )
+  .delete(validateProjectPermission([UserRolesEnum.ADMIN]), deleteProject);
+
+//-----------------------------------------------------------------------------------------------------------
+// PROJECT MEMBER ROUTES
+//-----------------------------------------------------------------------------------------------------------
+
+// GET route to list the members of a project (any member)
+// POST route to add a user to the project by email (admin only)
+router
+  .route("/:projectId/members")
+  .get(validateProjectPermission(AvailableUserRole), getProjectMembers)
+  .post(
+    validateProjectPermission([UserRolesEnum.ADMIN]),  // First verify that user is project admin
+    addMembertoProjectValidator(),  // Then validate email and role
+    validate,  // Check if there are validation errors
+    addMembersToProject,  // Finally add the member
+  );
+
+// PUT route to change the role of a member (admin only)
+// DELETE route to remove a member from the project (admin only)
+router
+  .route("/:projectId/members/:userId")
+  .put(
+    validateProjectPermission([UserRolesEnum.ADMIN]),
+    updateMemberRoleValidator(),
+    validate,
+    updateMemberRole,
+  )
+  .delete(validateProjectPermission([UserRolesEnum.ADMIN]), deleteMember);
+
+//-----------------------------------------------------------------------------------------------------------
+// PROJECT INVITATION ROUTES (admin only)
+// Invite people by email, even if they don't have an account yet
+//-----------------------------------------------------------------------------------------------------------
+
+// GET route to list the pending invitations of the project
+// POST route to invite an email address with a role (same fields used to add a member)
+router
+  .route("/:projectId/invitations")
+  .get(validateProjectPermission([UserRolesEnum.ADMIN]), getProjectInvitations)
+  .post(
+    validateProjectPermission([UserRolesEnum.ADMIN]),
+    addMembertoProjectValidator(),
+    validate,
+    createInvitation,
+  );
+
+// POST route to send a pending invitation again with a new link
+router
+  .route("/:projectId/invitations/:invitationId/resend")
+  .post(validateProjectPermission([UserRolesEnum.ADMIN]), resendInvitation);
+
+// DELETE route to revoke a pending invitation
+router
+  .route("/:projectId/invitations/:invitationId")
+  .delete(validateProjectPermission([UserRolesEnum.ADMIN]), revokeInvitation);
+
+//-----------------------------------------------------------------------------------------------------------
+// PROJECT LABEL ROUTES
+// Catalogue of the labels that can be attached to the tasks of the project
+//-----------------------------------------------------------------------------------------------------------
+
+// GET route to list the labels of the project with their task counts (any member)
+// POST route to add a label (admin / project admin)
+router
+  .route("/:projectId/labels")
+  .get(validateProjectPermission(AvailableUserRole), getLabels)
+  .post(
+    validateProjectPermission([
+      UserRolesEnum.ADMIN,
+      UserRolesEnum.PROJECT_ADMIN,
+    ]),
+    createLabelValidator(),
+    validate,
+    createLabel,
+  );
+
+// PATCH route to rename, recolor or describe a label (admin / project admin)
+// DELETE route to delete a label, it is removed from every task (admin / project admin)
+router
+  .route("/:projectId/labels/:labelId")
+  .patch(
+    validateProjectPermission([
+      UserRolesEnum.ADMIN,
+      UserRolesEnum.PROJECT_ADMIN,
+    ]),
+    updateLabelValidator(),
+    validate,
+    updateLabel,
+  )
+  .delete(
+    validateProjectPermission([
+      UserRolesEnum.ADMIN,
+      UserRolesEnum.PROJECT_ADMIN,
+    ]),
+    deleteLabel,
+  );
+
+//-----------------------------------------------------------------------------------------------------------
+// PROJECT ACTIVITY FEED ROUTES
+//-----------------------------------------------------------------------------------------------------------
+
+// GET route to read what changed in the project, newest first (any member)
+// ?limit=&cursor=&actor=&type= - invitation activities are visible to admins only
+router
+  .route("/:projectId/activity")
+  .get(
+    validateProjectPermission(AvailableUserRole),
+    activityFeedQueryValidator(),
+    validate,
+    getProjectActivity,
+  );
+
+//-----------------------------------------------------------------------------------------------------------
+// PROJECT AUDIT LOG ROUTES (admin only)
+//-----------------------------------------------------------------------------------------------------------
+
+// GET route to page through the security events of the project
+// (members added, roles changed, members removed, denied accesses, webhook changes) newest first: ?page=&limit=&action=&outcome=
+router
+  .route("/:projectId/audit-events")
+  .get(
+    validateProjectPermission([UserRolesEnum.ADMIN]),
+    auditEventsQueryValidator(),
+    validate,
+    getProjectAuditEvents,
+  );
+
+//-----------------------------------------------------------------------------------------------------------
+// PROJECT WEBHOOK ROUTES (admin only)
+// Project events are POSTed to the registered URLs, signed with HMAC-SHA256 (see utils/webhook-outbox.js)
+//-----------------------------------------------------------------------------------------------------------
+
+// GET route to list the webhooks of the project
+// POST route to register a URL with the events it receives (the signing secret is returned once)
+router
+  .route("/:projectId/webhooks")
+  .get(validateProjectPermission([UserRolesEnum.ADMIN]), getWebhooks)
+  .post(
+    validateProjectPermission([UserRolesEnum.ADMIN]),
+    createWebhookValidator(),
+    validate,
+    createWebhook,
+  );
+
+// PATCH route to change the URL, the events, the description or pause the webhook
+// DELETE route to delete the webhook and its delivery log
+router
+  .route("/:projectId/webhooks/:webhookId")
+  .patch(
+    validateProjectPermission([UserRolesEnum.ADMIN]),
+    updateWebhookValidator(),
+    validate,
+    updateWebhook,
+  )
+  .delete(validateProjectPermission([UserRolesEnum.ADMIN]), deleteWebhook);
+
+// POST route to generate a new signing secret (the previous one stays valid for 24 hours)
+router
+  .route("/:projectId/webhooks/:webhookId/rotate-secret")
+  .post(validateProjectPermission([UserRolesEnum.ADMIN]), rotateWebhookSecret);
+
+// POST route to send a test ping right away and see the response of the endpoint
+router
+  .route("/:projectId/webhooks/:webhookId/ping")
+  .post(validateProjectPermission([UserRolesEnum.ADMIN]), pingWebhook);
+
+// GET route to page through the delivery log of the webhook newest first: ?page=&limit=&status=
+router
+  .route("/:projectId/webhooks/:webhookId/deliveries")
+  .get(
+    validateProjectPermission([UserRolesEnum.ADMIN]),
+    webhookDeliveriesQueryValidator(),
+    validate,
+    getWebhookDeliveries,
+  );
+
+// Export the router as default module
+// This allows importing and using this router in the main Express application
+export default router;
@@ -0,0 +1,26 @@
+// Import the Router class from Express to create a modular router
+// The router allows defining routes in separate files and then mounting them in the main app
+import { Router } from "express";
+
+// Import the real-time controllers
+import { streamEvents } from "../controllers/realtime.controllers.js";
+
+// Import the verifyJWT middleware: streams are authenticated like every other protected route
+// (accessToken cookie for browsers using EventSource, Authorization header for other clients)
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+// Create a new Router instance
+// This router will contain the real-time routes
+const router = Router();
+
+//-----------------------------------------------------------------------------------------------------------
+// REAL-TIME ROUTES
+//-----------------------------------------------------------------------------------------------------------
+
+// GET route to open a Server-Sent Events stream with the changes of the user's projects
+// ?projects=<id>,<id> (all projects of the user by default) - resumes after Last-Event-ID on reconnection
+router.route("/events").get(verifyJWT, streamEvents);
+
+// Export the router as default module
+// This allows importing and using this router in the main Express application
+export default router;
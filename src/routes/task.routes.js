@@ -0,0 +1,175 @@
+// Import the Router class from Express to create a modular router
+// The router allows defining routes in separate files and then mounting them in the main app
+import { Router } from "express";
+
+// Import all task controllers from the controllers folder
+// These controllers contain the business logic for each endpoint
+import {
+  createSubTask,
+  createTask,
+  deleteSubTask,
+  deleteTask,
+  getTaskById,
+  getTasks,
+  updateSubTask,
+  updateTask,
+} from "../controllers/task.controllers.js";
+
+// Import the comment controllers (discussion thread of a task)
+import {
+  createComment,
+  deleteComment,
+  getComments,
+  updateComment,
+} from "../controllers/comment.controllers.js";
+
+// Import the validate middleware that handles validation error checking
+import { validate } from "../middlewares/validator.middleware.js";
+
+// Import validators for task routes
+import {
+  createSubTaskValidator,
+  createTaskValidator,
+  updateSubTaskValidator,
+  taskCommentValidator,
+  taskFiltersQueryValidator,
+  updateTaskValidator,
+} from "../validators/index.js";
+
+// Import the authentication and permission middlewares
+import {
+  validateProjectPermission,
+  verifyJWT,
+} from "../middlewares/auth.middleware.js";
+
+// Import the multer upload middleware to receive task attachments
+import { discardUploadsOnError, upload } from "../middlewares/multer.middleware.js";
+
+// Import available user role constants
+import { AvailableUserRole, UserRolesEnum } from "../utils/constants.js";
+
+// Create a new Router instance
+// This router will contain all task-related routes
+const router = Router();
+
+// Every task route is protected: apply JWT verification to the whole router
+router.use(verifyJWT);
+
+//-----------------------------------------------------------------------------------------------------------
+// TASK ROUTES
+//-----------------------------------------------------------------------------------------------------------
+
+// GET route to list the tasks of a project (any member)
+// ?label=&priority=&overdue=true|false&assignee=<user ID>|me|none filters
+// POST route to create a task with attachments (admin / project admin)
+// Sequence: Permission → File upload → Validation → Error checking → Task creation (→ Upload cleanup on error)
+router
+  .route("/:projectId")
+  .get(
+    validateProjectPermission(AvailableUserRole),
+    taskFiltersQueryValidator(),
+    validate,
+    getTasks,
+  )
+  .post(
+    validateProjectPermission([
+      UserRolesEnum.ADMIN,
+      UserRolesEnum.PROJECT_ADMIN,
+    ]),
+    upload.array("attachments"),  // Multipart parsing must happen before body validation
+    createTaskValidator(),
+    validate,
+    createTask,
+    discardUploadsOnError,  // Deletes the files if the validation or the creation failed
+  );
+
+// GET route to read a task (any member)
+// PUT route to update a task (admin / project admin)
+// DELETE route to delete a task (admin / project admin)
+router
+  .route("/:projectId/t/:taskId")
+  .get(validateProjectPermission(AvailableUserRole), getTaskById)
+  .put(
+    validateProjectPermission([
+      UserRolesEnum.ADMIN,
+      UserRolesEnum.PROJECT_ADMIN,
+    ]),
+    updateTaskValidator(),
+    validate,
+    updateTask,
+  )
+  .delete(
+    validateProjectPermission([
+      UserRolesEnum.ADMIN,
+      UserRolesEnum.PROJECT_ADMIN,
+    ]),
+    deleteTask,
+  );
+
+//-----------------------------------------------------------------------------------------------------------
+// SUBTASK ROUTES
+//-----------------------------------------------------------------------------------------------------------
+
+// POST route to add a subtask to a task (admin / project admin)
+router
+  .route("/:projectId/t/:taskId/subtasks")
+  .post(
+    validateProjectPermission([
+      UserRolesEnum.ADMIN,
+      UserRolesEnum.PROJECT_ADMIN,
+    ]),
+    createSubTaskValidator(),
+    validate,
+    createSubTask,
+  );
+
+// PUT route to update a subtask (any member, members can only toggle isCompleted)
+// DELETE route to delete a subtask (admin / project admin)
+router
+  .route("/:projectId/st/:subTaskId")
+  .put(
+    validateProjectPermission(AvailableUserRole),
+    updateSubTaskValidator(),
+    validate,
+    updateSubTask,
+  )
+  .delete(
+    validateProjectPermission([
+      UserRolesEnum.ADMIN,
+      UserRolesEnum.PROJECT_ADMIN,
+    ]),
+    deleteSubTask,
+  );
+
+//-----------------------------------------------------------------------------------------------------------
+// TASK COMMENT ROUTES
+// Every member can read and write comments, @username mentions of members send an email
+//-----------------------------------------------------------------------------------------------------------
+
+// GET route to read the discussion of a task (any member)
+// POST route to add a comment (any member)
+router
+  .route("/:projectId/t/:taskId/comments")
+  .get(validateProjectPermission(AvailableUserRole), getComments)
+  .post(
+    validateProjectPermission(AvailableUserRole),
+    taskCommentValidator(),
+    validate,
+    createComment,
+  );
+
+// PATCH route to edit a comment (author only, checked by the controller)
+// DELETE route to delete a comment (author, admin or project admin, checked by the controller)
+router
+  .route("/:projectId/t/:taskId/comments/:commentId")
+  .patch(
+    validateProjectPermission(AvailableUserRole),
+    taskCommentValidator(),
+    validate,
+    updateComment,
+  )
+  .delete(validateProjectPermission(AvailableUserRole), deleteComment);
+
+// Export the router as default module
+// This allows importing and using this router in the main Express application
+export default router;
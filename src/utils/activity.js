@@ -0,0 +1,47 @@
+// Import the Activity model and the visibility of each type
+import { Activity, ACTIVITY_VISIBILITY } from "../models/activity.models.js";
+
+// Import the real-time publisher (open event streams receive every activity)
+import { publishActivity } from "./realtime.js";
+
+// Import the webhook queue (subscribed webhooks receive the activities of their project)
+import { queueWebhookEvent } from "./webhooks.js";
+
+// Import the structured logger
+import { logger } from "./logger.js";
+
+//-----------------------------------------------------------------------------------------------------------
+// PROJECT ACTIVITY FEED
+// Controllers call recordActivity after every change of a project (tasks, subtasks, notes, members...)
+// Every recorded activity is also pushed to the real-time event streams and to the webhooks of the project
+//-----------------------------------------------------------------------------------------------------------
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO RECORD AN ACTIVITY
+// options: { project, type, targetModel, target, data, actor = req.user }
+// The change is already saved when this is called: failing to write the activity never fails the request
+//-----------------------------------------------------------------------------------------------------------
+const recordActivity = async (
+  req,
+  { project, type, targetModel, target, data = {}, actor = req.user?._id },
+) => {
+  try {
+    const activity = await Activity.create({
+      project,
+      actor,
+      type,
+      targetModel,
+      target,
+      data,
+      visibleTo: ACTIVITY_VISIBILITY[type],
+    });
+
+    await publishActivity(activity.toObject());
+    await queueWebhookEvent(activity.toObject());
+  } catch (error) {
+    logger.error("Activity could not be recorded", { project, type, error });
+  }
+};
+
+// Export the activity helper
+export { recordActivity };
@@ -0,0 +1,57 @@
+// Import the AuditEvent model and its outcomes
+import { AuditEvent, AuditOutcomeEnum } from "../models/auditevent.models.js";
+
+// Import the structured logger
+import { logger } from "./logger.js";
+
+//-----------------------------------------------------------------------------------------------------------
+// SECURITY AUDIT LOG
+// Records who did what, on which account or project, from where, and whether it worked.
+// Used by the auth controllers, the project member controllers and validateProjectPermission.
+//-----------------------------------------------------------------------------------------------------------
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO RECORD AN AUDIT EVENT
+// options: { action, outcome = success, actor = req.user, targetUser, targetEmail, project, reason, metadata }
+// The request gives IP, user agent and request ID.
+// Failing to write the event never fails the request: the error is logged instead
+//-----------------------------------------------------------------------------------------------------------
+const recordAuditEvent = async (
+  req,
+  {
+    action,
+    outcome = AuditOutcomeEnum.SUCCESS,
+    actor = req.user?._id,
+    targetUser,
+    targetEmail,
+    project,
+    reason,
+    metadata,
+  },
+) => {
+  try {
+    await AuditEvent.create({
+      action,
+      outcome,
+      actor,
+      targetUser,
+      targetEmail,
+      project,
+      reason,
+      metadata,
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+      requestId: req.id,
+    });
+  } catch (error) {
+    logger.error("Audit event could not be recorded", { action, outcome, error });
+  }
+};
+
+// FUNCTION TO RECORD A FAILED ACTION
+// Same options as recordAuditEvent, the outcome is always "failure"
+const recordAuditFailure = (req, options) =>
+  recordAuditEvent(req, { ...options, outcome: AuditOutcomeEnum.FAILURE });
+
+// Export the audit helpers
+export { recordAuditEvent, recordAuditFailure };
@@ -20,4 +20,29 @@ export const TaskStatusEnum = {
 
 // Export an array containing all available task status values
 // This array is useful for validations, filters and for populating selectors in the user interface
-export const AvailableTaskStatues = Object.values(TaskStatusEnum);  // Converts TaskStatusEnum object to array ["todo", "in_progress", "done"]
\ No newline at end of file
+export const AvailableTaskStatues = Object.values(TaskStatusEnum);  // Converts TaskStatusEnum object to array ["todo", "in_progress", "done"]
+
+// Export an object that defines task priorities in the application as enumerative constants
+// Ordered from the least to the most pressing
+export const TaskPriorityEnum = {
+    LOW: "low",  // Can wait
+    MEDIUM: "medium",  // Default priority of a new task
+    HIGH: "high",  // To do before the medium ones
+    URGENT: "urgent"  // Drop everything else
+};
+
+// Export an array containing all available task priority values (in order, useful for selectors and sorting)
+export const AvailableTaskPriorities = Object.values(TaskPriorityEnum);  // Converts TaskPriorityEnum object to array ["low", "medium", "high", "urgent"]
+
+// Export an object that defines the languages supported by emails and user preferences
+// Values are ISO 639-1 codes so they can be matched against Accept-Language headers and front end locales
+export const LanguageEnum = {
+    ENGLISH: "en",  // English - default and fallback language
+    ITALIAN: "it"  // Italian
+};
+
+// Export an array containing all supported language codes
+export const AvailableLanguages = Object.values(LanguageEnum);  // Converts LanguageEnum object to array ["en", "it"]
+
+// Language used when the user has no preference or a template is missing in the requested language
+export const DEFAULT_LANGUAGE = LanguageEnum.ENGLISH;
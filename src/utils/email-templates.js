@@ -0,0 +1,243 @@
+// Import the supported languages
+import { DEFAULT_LANGUAGE, LanguageEnum } from "./constants.js";
+
+//-----------------------------------------------------------------------------------------------------------
+// EMAIL TEMPLATE REGISTRY
+// Templates are keyed by name and language: EMAIL_TEMPLATES[name][language](data) → { subject, body }
+// - subject: email subject
+// - body:    Mailgen body (intro, action, outro...)
+// A template missing in the requested language is rendered in English (DEFAULT_LANGUAGE)
+//-----------------------------------------------------------------------------------------------------------
+
+// TEXTS SHARED BY EVERY TEMPLATE OF A LANGUAGE
+// Mailgen writes "Hi", "Yours truly" and the button help line in English by default: they are translated here
+// ({ACTION} is replaced by Mailgen with the button text)
+const LANGUAGE_TEXTS = {
+  [LanguageEnum.ENGLISH]: {
+    greeting: "Hi",
+    signature: "Yours truly",
+    troubleText:
+      "If you're having trouble with the button '{ACTION}', copy and paste the URL below into your web browser.",
+    copyright: (productName) =>
+      `© ${new Date().getFullYear()} ${productName}. All rights reserved.`,
+  },
+  [LanguageEnum.ITALIAN]: {
+    greeting: "Ciao",
+    signature: "Cordiali saluti",
+    troubleText:
+      "Se il pulsante '{ACTION}' non funziona, copia e incolla il link qui sotto nel tuo browser.",
+    copyright: (productName) =>
+      `© ${new Date().getFullYear()} ${productName}. Tutti i diritti riservati.`,
+  },
+};
+
+const EMAIL_TEMPLATES = {
+  //---------------------------------------------------------------------------------------------------------
+  // EMAIL ADDRESS VERIFICATION
+  // data: { username, verificationUrl }
+  //---------------------------------------------------------------------------------------------------------
+  emailVerification: {
+    [LanguageEnum.ENGLISH]: ({ username, verificationUrl }) => ({
+      subject: "Please verify your email",
+      body: {
+        name: username,  // Recipient's name that will appear in the personalized greeting
+        intro: "Welcome to our App! we're excited to have you on board.",
+        action: {
+          instructions: "To verify your email please click on the following button",
+          button: {
+            color: "#22BC66",  // Green color for the button
+            text: "Verify your email",
+            link: verificationUrl,
+          },
+        },
+        outro:
+          "Need help, or have questions? Just reply to this email, we'd love to help.",
+      },
+    }),
+    [LanguageEnum.ITALIAN]: ({ username, verificationUrl }) => ({
+      subject: "Conferma il tuo indirizzo email",
+      body: {
+        name: username,
+        intro: "Benvenuto nella nostra App! Siamo felici di averti a bordo.",
+        action: {
+          instructions: "Per confermare la tua email clicca sul pulsante qui sotto",
+          button: {
+            color: "#22BC66",
+            text: "Conferma la tua email",
+            link: verificationUrl,
+          },
+        },
+        outro:
+          "Hai bisogno di aiuto o hai domande? Rispondi a questa email, saremo felici di aiutarti.",
+      },
+    }),
+  },
+
+  //---------------------------------------------------------------------------------------------------------
+  // PASSWORD RESET
+  // data: { username, passwordResetUrl }
+  //---------------------------------------------------------------------------------------------------------
+  forgotPassword: {
+    [LanguageEnum.ENGLISH]: ({ username, passwordResetUrl }) => ({
+      subject: "Password reset request",
+      body: {
+        name: username,
+        intro: "We got a request to reset the password of your account",
+        action: {
+          instructions: "To reset your password click on the following button or link.",
+          button: {
+            color: "#22BC66",
+            text: "Reset password",
+            link: passwordResetUrl,
+          },
+        },
+        outro:
+          "Need help, or have questions? Just reply to this email, we'd love to help.",
+      },
+    }),
+    [LanguageEnum.ITALIAN]: ({ username, passwordResetUrl }) => ({
+      subject: "Richiesta di reimpostazione della password",
+      body: {
+        name: username,
+        intro: "Abbiamo ricevuto una richiesta di reimpostazione della password del tuo account",
+        action: {
+          instructions: "Per reimpostare la password clicca sul pulsante o sul link qui sotto.",
+          button: {
+            color: "#22BC66",
+            text: "Reimposta la password",
+            link: passwordResetUrl,
+          },
+        },
+        outro:
+          "Hai bisogno di aiuto o hai domande? Rispondi a questa email, saremo felici di aiutarti.",
+      },
+    }),
+  },
+
+  //---------------------------------------------------------------------------------------------------------
+  // PROJECT INVITATION
+  // data: { email, inviterName, projectName, role, invitationUrl }
+  //---------------------------------------------------------------------------------------------------------
+  projectInvitation: {
+    [LanguageEnum.ENGLISH]: ({ email, inviterName, projectName, role, invitationUrl }) => ({
+      subject: `${inviterName} invited you to ${projectName}`,
+      body: {
+        name: email,
+        intro: `${inviterName} invited you to join the project "${projectName}" as ${role}.`,
+        action: {
+          instructions:
+            "To accept the invitation click on the following button. If you don't have an account yet you can create one with this email address.",
+          button: {
+            color: "#22BC66",
+            text: "Open invitation",
+            link: invitationUrl,
+          },
+        },
+        outro:
+          "The invitation expires in 7 days. If you weren't expecting it you can ignore this email.",
+      },
+    }),
+    [LanguageEnum.ITALIAN]: ({ email, inviterName, projectName, role, invitationUrl }) => ({
+      subject: `${inviterName} ti ha invitato in ${projectName}`,
+      body: {
+        name: email,
+        intro: `${inviterName} ti ha invitato a partecipare al progetto "${projectName}" come ${role}.`,
+        action: {
+          instructions:
+            "Per accettare l'invito clicca sul pulsante qui sotto. Se non hai ancora un account puoi crearne uno con questo indirizzo email.",
+          button: {
+            color: "#22BC66",
+            text: "Apri l'invito",
+            link: invitationUrl,
+          },
+        },
+        outro:
+          "L'invito scade tra 7 giorni. Se non te lo aspettavi puoi ignorare questa email.",
+      },
+    }),
+  },
+
+  //---------------------------------------------------------------------------------------------------------
+  // MENTION IN A TASK COMMENT
+  // data: { username, authorName, projectName, taskTitle, excerpt, taskUrl }
+  //---------------------------------------------------------------------------------------------------------
+  commentMention: {
+    [LanguageEnum.ENGLISH]: ({ username, authorName, projectName, taskTitle, excerpt, taskUrl }) => ({
+      subject: `${authorName} mentioned you on "${taskTitle}"`,
+      body: {
+        name: username,
+        intro: [
+          `${authorName} mentioned you in a comment on the task "${taskTitle}" of the project "${projectName}":`,
+          excerpt,
+        ],
+        action: {
+          instructions: "To read the discussion and reply click on the following button",
+          button: {
+            color: "#22BC66",
+            text: "Open task",
+            link: taskUrl,
+          },
+        },
+        outro: "You receive this email because a member of the project mentioned you.",
+      },
+    }),
+    [LanguageEnum.ITALIAN]: ({ username, authorName, projectName, taskTitle, excerpt, taskUrl }) => ({
+      subject: `${authorName} ti ha menzionato in "${taskTitle}"`,
+      body: {
+        name: username,
+        intro: [
+          `${authorName} ti ha menzionato in un commento all'attività "${taskTitle}" del progetto "${projectName}":`,
+          excerpt,
+        ],
+        action: {
+          instructions: "Per leggere la discussione e rispondere clicca sul pulsante qui sotto",
+          button: {
+            color: "#22BC66",
+            text: "Apri l'attività",
+            link: taskUrl,
+          },
+        },
+        outro: "Ricevi questa email perché un membro del progetto ti ha menzionato.",
+      },
+    }),
+  },
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO RENDER A TEMPLATE
+// Returns { language, subject, mailgenContent, product } where language is the one actually used
+// and product contains the localized Mailgen product texts (copyright, troubleText)
+// Throws if the template name is unknown: that is a bug in the calling code, not a user error
+//-----------------------------------------------------------------------------------------------------------
+const renderEmailTemplate = (name, language, data, { productName }) => {
+  const translations = EMAIL_TEMPLATES[name];
+
+  if (!translations) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+
+  // Fall back to English when the language is missing or not translated
+  const usedLanguage = translations[language] ? language : DEFAULT_LANGUAGE;
+  const texts = LANGUAGE_TEXTS[usedLanguage];
+
+  const { subject, body } = translations[usedLanguage](data);
+
+  return {
+    language: usedLanguage,
+    subject,
+    mailgenContent: {
+      body: {
+        greeting: texts.greeting,
+        signature: texts.signature,
+        ...body,  // A template can still override greeting and signature
+      },
+    },
+    product: {
+      copyright: texts.copyright(productName),
+      troubleText: texts.troubleText,
+    },
+  };
+};
+
+// Export the registry and the render function
+export { EMAIL_TEMPLATES, renderEmailTemplate };
@@ -0,0 +1,25 @@
+// Import Node.js fs module to work with files on disk
+import fs from "fs";
+
+// Import the structured logger
+import { logger } from "./logger.js";
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO REMOVE A LOCAL FILE
+// Deletes a file previously saved by the upload middleware (ex: public/images/...)
+//-----------------------------------------------------------------------------------------------------------
+const removeLocalFile = (localPath) => {
+  // Nothing to do if the document never had a local file
+  if (!localPath) return;
+
+  // Delete the file asynchronously
+  // Errors are only logged: a missing file must never make the request fail
+  fs.unlink(localPath, (error) => {
+    if (error && error.code !== "ENOENT") {
+      logger.error("Error while removing local file", { localPath, error });
+    }
+  });
+};
+
+// Export the helper to be used in controllers that delete uploaded files
+export { removeLocalFile };
@@ -0,0 +1,100 @@
+// Import sharp - a fast image processing library (resize, crop, format conversion)
+import sharp from "sharp";
+
+// Import Node.js fs and path modules to read headers and build output paths
+import fs from "fs";
+import path from "path";
+
+// Import the helper that deletes local files (variants of a failed conversion)
+import { removeLocalFile } from "./file.js";
+
+//-----------------------------------------------------------------------------------------------------------
+// IMAGE SIGNATURES (MAGIC BYTES)
+// The first bytes of a file identify its real format, whatever its extension or declared MIME type says
+//-----------------------------------------------------------------------------------------------------------
+const IMAGE_SIGNATURES = [
+  {
+    type: "image/jpeg",
+    matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  },
+  {
+    type: "image/png",
+    matches: (b) =>
+      b
+        .subarray(0, 8)
+        .equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    type: "image/gif",
+    matches: (b) => ["GIF87a", "GIF89a"].includes(b.toString("ascii", 0, 6)),
+  },
+  {
+    type: "image/webp",
+    matches: (b) =>
+      b.toString("ascii", 0, 4) === "RIFF" &&
+      b.toString("ascii", 8, 12) === "WEBP",
+  },
+];
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO DETECT THE REAL IMAGE TYPE OF A FILE
+// Returns the MIME type (ex: "image/png") or null if the file is not a supported image
+//-----------------------------------------------------------------------------------------------------------
+const detectImageType = async (filePath) => {
+  // Read only the first 12 bytes: enough for every supported signature
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const header = Buffer.alloc(12);
+    const { bytesRead } = await handle.read(header, 0, header.length, 0);
+
+    if (bytesRead < header.length) {
+      return null;
+    }
+
+    const signature = IMAGE_SIGNATURES.find(({ matches }) => matches(header));
+    return signature ? signature.type : null;
+  } finally {
+    await handle.close();
+  }
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO CREATE SQUARE VARIANTS OF AN IMAGE
+// Crops the image to a centered square and saves one WebP file per size
+// Returns [{ size, fileName, localPath }] in the same order as the sizes
+//-----------------------------------------------------------------------------------------------------------
+const createSquareVariants = async (
+  filePath,
+  { sizes, outputDir, baseName },
+) => {
+  // Make sure the destination folder exists
+  await fs.promises.mkdir(outputDir, { recursive: true });
+
+  const variants = sizes.map((size) => {
+    const fileName = `${baseName}-${size}.webp`;
+    return { size, fileName, localPath: path.join(outputDir, fileName) };
+  });
+
+  // Wait for every variant, even when one fails: none may still be writing when the files are cleaned up
+  const results = await Promise.allSettled(
+    variants.map(({ size, localPath }) =>
+      sharp(filePath)
+        .rotate()  // Apply EXIF orientation (photos taken with phones)
+        .resize(size, size, { fit: "cover", position: "centre" })  // Square crop
+        .webp({ quality: 80 })  // Small and widely supported format
+        .toFile(localPath),  // Metadata (EXIF, GPS...) is not copied to the output
+    ),
+  );
+
+  // All or nothing: if one size failed, remove the variants already written (and any partial file)
+  const failure = results.find((result) => result.status === "rejected");
+  if (failure) {
+    variants.forEach((variant) => removeLocalFile(variant.localPath));
+    throw failure.reason;
+  }
+
+  return variants;
+};
+
+// Export the image helpers
+export { detectImageType, createSquareVariants };
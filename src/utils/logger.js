@@ -0,0 +1,108 @@
+// Import AsyncLocalStorage to follow the current request through async calls (database, emails...)
+import { AsyncLocalStorage } from "async_hooks";
+
+// Import the validated application configuration (log level)
+import { config } from "../config/index.js";
+
+//-----------------------------------------------------------------------------------------------------------
+// STRUCTURED LOGGER
+// Every log is a single JSON line on stdout: { level, time, msg, requestId, userId, ...fields }
+// - requestId and userId are added automatically while handling a request (see request-logger.middleware.js)
+// - LOG_LEVEL selects the minimum level written (error < warn < info < debug)
+// - secrets (passwords, tokens, cookies, 2FA codes...) are redacted from every logged object
+//-----------------------------------------------------------------------------------------------------------
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Context of the request being handled: { requestId, req }
+const requestContext = new AsyncLocalStorage();
+
+//-----------------------------------------------------------------------------------------------------------
+// REDACTION
+// Keys whose values must never reach the logs, whatever the nesting level
+//-----------------------------------------------------------------------------------------------------------
+const SECRET_KEYS = [
+  /pass/i,  // password, currentPassword, newPassword, pass (SMTP)
+  /token/i,  // accessToken, refreshToken, challengeToken, verification and reset tokens
+  /secret/i,  // JWT and 2FA secrets
+  /^authorization$/i,  // Authorization header
+  /cookie/i,  // Cookie and Set-Cookie headers
+  /^(code|recoveryCodes?)$/i,  // 2FA codes
+  /api[-_]?key/i,
+];
+
+const REDACTED = "[REDACTED]";
+
+const redact = (value, depth = 0) => {
+  if (value === null || typeof value !== "object") return value;
+  if (depth > 8) return "[Truncated]";  // Protection against very deep or circular objects
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  // Dates, ObjectIds, Mongoose documents...: redact their JSON form (the one that would be written)
+  if (Object.getPrototypeOf(value) !== Object.prototype && typeof value.toJSON === "function") {
+    return redact(value.toJSON(), depth + 1);
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      SECRET_KEYS.some((pattern) => pattern.test(key))
+        ? REDACTED
+        : redact(item, depth + 1),
+    ]),
+  );
+};
+
+// Errors are not plain objects: keep the useful properties
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.statusCode && { statusCode: error.statusCode }),
+  ...(error.code && { code: error.code }),
+  stack: error.stack,
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO WRITE A LOG LINE
+//-----------------------------------------------------------------------------------------------------------
+const write = (level, msg, fields = {}) => {
+  if (LEVELS[level] > LEVELS[config.logLevel]) return;
+
+  const store = requestContext.getStore();
+  const userId = store?.req?.user?._id;
+
+  const entry = {
+    level,
+    time: new Date().toISOString(),
+    msg,
+    ...(store?.requestId && { requestId: store.requestId }),
+    ...(userId && { userId: String(userId) }),
+  };
+
+  for (const [key, value] of Object.entries(fields)) {
+    entry[key] = value instanceof Error ? serializeError(value) : redact(value);
+  }
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch {
+    line = JSON.stringify({ level, time: entry.time, msg, logError: "Fields are not serializable" });
+  }
+
+  process.stdout.write(`${line}\n`);
+};
+
+const logger = {
+  error: (msg, fields) => write("error", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  debug: (msg, fields) => write("debug", msg, fields),
+  isLevelEnabled: (level) => LEVELS[level] <= LEVELS[config.logLevel],
+};
+
+// FUNCTION TO READ THE ID OF THE CURRENT REQUEST (undefined outside requests)
+const getRequestId = () => requestContext.getStore()?.requestId;
+
+// Export the logger and the request context helpers
+export { logger, requestContext, getRequestId, redact };
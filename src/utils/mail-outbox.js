@@ -0,0 +1,235 @@
+// Import the EmailOutbox model and its statuses
+import {
+  EmailOutbox,
+  EmailOutboxStatusEnum,
+} from "../models/emailoutbox.models.js";
+
+// Import the factory that creates the configured mail transport (smtp or file)
+import { createMailTransport } from "./mail-transports.js";
+
+// Import the validated application configuration
+import { config } from "../config/index.js";
+
+// Import the structured logger and the request context
+import { logger, requestContext } from "./logger.js";
+
+//-----------------------------------------------------------------------------------------------------------
+// EMAIL OUTBOX WORKER
+// Emails are saved in the outbox by sendEmail() and delivered here, in the background:
+// - a failed attempt is retried later with exponential backoff (30s, 1m, 2m, 4m... max 1 hour)
+// - after maxAttempts failures the email is marked as failed and keeps its last error
+// - an entry is claimed atomically, so several server instances can run the worker together
+//-----------------------------------------------------------------------------------------------------------
+
+// Delay before the first retry, doubled at every failure
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+
+// Upper limit of the retry delay
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// How long an entry stays reserved to the worker that is sending it
+const SENDING_LEASE_MS = 5 * 60 * 1000;
+
+// Transport shared by every delivery (created on first use)
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createMailTransport();
+  }
+  return transport;
+};
+
+// Timer of the running worker (null when stopped), flag to avoid overlapping runs
+// and promise of the run in progress (awaited on shutdown)
+let workerTimer = null;
+let isProcessing = false;
+let currentRun = Promise.resolve();
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO COMPUTE THE RETRY DELAY
+// attempts = number of attempts already made (1 after the first failure)
+//-----------------------------------------------------------------------------------------------------------
+const getRetryDelayMs = (attempts) =>
+  Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO CLAIM THE NEXT EMAIL TO SEND
+// Takes a pending email whose time has come, or one left in "sending" by a worker that died
+//-----------------------------------------------------------------------------------------------------------
+const claimNextEmail = () => {
+  const now = new Date();
+
+  return EmailOutbox.findOneAndUpdate(
+    {
+      $or: [
+        {
+          status: EmailOutboxStatusEnum.PENDING,
+          nextAttemptAt: { $lte: now },
+        },
+        {
+          status: EmailOutboxStatusEnum.SENDING,
+          lockedUntil: { $lte: now },
+        },
+      ],
+    },
+    {
+      $set: {
+        status: EmailOutboxStatusEnum.SENDING,
+        lockedUntil: new Date(now.getTime() + SENDING_LEASE_MS),
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { nextAttemptAt: 1 }, new: true },
+  );
+};
+
+// Fields shared by every delivery log: the request ID links the email to the request that queued it
+const emailLogFields = (entry) => ({
+  requestId: entry.requestId,
+  emailId: entry._id,
+  to: entry.to,
+  template: entry.template,
+  attempt: entry.attempts,
+  maxAttempts: entry.maxAttempts,
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO DELIVER A CLAIMED EMAIL AND RECORD THE RESULT
+//-----------------------------------------------------------------------------------------------------------
+const deliverEmail = async (entry) => {
+  const mailTransport = getTransport();
+
+  try {
+    const { messageId } = await mailTransport.send({
+      from: config.mail.from,
+      to: entry.to,
+      subject: entry.subject,
+      text: entry.text,
+      html: entry.html,
+    });
+
+    // Delivered: record the transport and the provider message ID
+    entry.status = EmailOutboxStatusEnum.SENT;
+    entry.sentAt = new Date();
+    entry.transport = mailTransport.name;
+    entry.messageId = messageId;
+    entry.lastError = undefined;
+    entry.lockedUntil = undefined;
+
+    logger.info("Email sent", {
+      ...emailLogFields(entry),
+      transport: mailTransport.name,
+      messageId,
+    });
+  } catch (error) {
+    entry.lastError = error?.message || String(error);
+    entry.lockedUntil = undefined;
+
+    if (entry.attempts >= entry.maxAttempts) {
+      // No attempts left: the email stays in the outbox as failed
+      entry.status = EmailOutboxStatusEnum.FAILED;
+      logger.error("Email delivery failed, no attempts left", {
+        ...emailLogFields(entry),
+        error: entry.lastError,
+      });
+    } else {
+      // Try again later
+      entry.status = EmailOutboxStatusEnum.PENDING;
+      entry.nextAttemptAt = new Date(
+        Date.now() + getRetryDelayMs(entry.attempts),
+      );
+      logger.warn("Email delivery failed, will retry", {
+        ...emailLogFields(entry),
+        nextAttemptAt: entry.nextAttemptAt,
+        error: entry.lastError,
+      });
+    }
+  }
+
+  await entry.save();
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO PROCESS THE OUTBOX
+// Sends up to batchSize emails, one at a time, and returns how many entries were processed
+//-----------------------------------------------------------------------------------------------------------
+const processOutbox = async ({ batchSize = 20 } = {}) => {
+  // A run is already in progress (ex: timer tick while a wake-up run is still sending)
+  if (isProcessing) {
+    return 0;
+  }
+
+  isProcessing = true;
+  let processed = 0;
+
+  try {
+    while (processed < batchSize) {
+      const entry = await claimNextEmail();
+      if (!entry) break;
+
+      await deliverEmail(entry);
+      processed += 1;
+    }
+  } finally {
+    isProcessing = false;
+  }
+
+  return processed;
+};
+
+// Run the worker once, logging errors instead of crashing the process (ex: database temporarily down)
+// The run is detached from the request that may have woken the worker up: every email logs its own request ID
+// While a run is in progress, timer ticks and wake-ups return it instead of replacing currentRun:
+// stopOutboxWorker() must wait for the email really being sent, not for a run that did nothing
+const runOutbox = () => {
+  if (!isProcessing) {
+    currentRun = requestContext.exit(() =>
+      processOutbox().catch((error) =>
+        logger.error("Email outbox processing failed", { error }),
+      ),
+    );
+  }
+  return currentRun;
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTIONS TO START AND STOP THE BACKGROUND WORKER
+// The worker polls the outbox every MAIL_OUTBOX_POLL_MS milliseconds (5 seconds by default)
+//-----------------------------------------------------------------------------------------------------------
+const startOutboxWorker = ({ intervalMs = config.mail.outboxPollMs } = {}) => {
+  if (workerTimer) return;
+
+  workerTimer = setInterval(runOutbox, intervalMs);
+  workerTimer.unref();  // The timer alone must not keep the process alive
+
+  // Send what was left in the outbox by the previous run
+  runOutbox();
+};
+
+// Resolves when the run in progress (if any) has finished, so the database can be closed safely
+const stopOutboxWorker = async () => {
+  clearInterval(workerTimer);
+  workerTimer = null;
+  await currentRun;
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO WAKE UP THE WORKER
+// Called after an email is queued, so it doesn't wait for the next poll
+//-----------------------------------------------------------------------------------------------------------
+const wakeOutboxWorker = () => {
+  if (workerTimer) {
+    setImmediate(runOutbox);
+  }
+};
+
+// Export the worker functions and the shared transport (used by the readiness check)
+export {
+  getTransport as getMailTransport,
+  processOutbox,
+  startOutboxWorker,
+  stopOutboxWorker,
+  wakeOutboxWorker,
+  getRetryDelayMs,
+};
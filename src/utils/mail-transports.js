@@ -0,0 +1,93 @@
+// Import nodemailer - a library for sending emails with Node.js
+// Nodemailer provides a simple interface for sending emails through various SMTP services
+import nodemailer from "nodemailer";
+
+// Import Node.js fs, path and crypto modules for the file transport
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Import the validated application configuration
+import { config } from "../config/index.js";
+
+//-----------------------------------------------------------------------------------------------------------
+// MAIL TRANSPORTS
+// A transport delivers an already rendered email. Every transport exposes:
+// - name                                       identifies the transport in the outbox entries
+// - send({ from, to, subject, text, html })  → { messageId }  throws if the email was not delivered
+// - verify()                                   throws if the transport can't deliver (used by the readiness check)
+//-----------------------------------------------------------------------------------------------------------
+
+//-----------------------------------------------------------------------------------------------------------
+// SMTP TRANSPORT (default)
+// A single nodemailer transporter is created and reused (connection settings are read once)
+// Settings come from SMTP_* (or the legacy MAILTRAP_SMTP_*) variables, see config/index.js
+//-----------------------------------------------------------------------------------------------------------
+class SmtpMailTransport {
+  constructor({ host, port, user, pass } = config.mail.smtp) {
+    this.name = "smtp";
+
+    this.transporter = nodemailer.createTransport({
+      host,  // SMTP host
+      port,  // SMTP port (587 = submission with STARTTLS)
+      auth: user ? { user, pass } : undefined,  // Credentials for SMTP authentication (if any)
+    });
+  }
+
+  async send(mail) {
+    const info = await this.transporter.sendMail(mail);
+    return { messageId: info.messageId };
+  }
+
+  async verify() {
+    // Opens a connection and authenticates without sending anything
+    await this.transporter.verify();
+  }
+}
+
+//-----------------------------------------------------------------------------------------------------------
+// FILE TRANSPORT (development and tests)
+// Nothing leaves the machine: every email is written as a JSON file in MAIL_FILE_DIR (./tmp/mails by default)
+//-----------------------------------------------------------------------------------------------------------
+class FileMailTransport {
+  constructor({ directory = config.mail.fileDir } = {}) {
+    this.name = "file";
+    this.directory = directory;
+  }
+
+  async send(mail) {
+    // Make sure the destination folder exists
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    // Timestamp first so that files are listed in sending order
+    const messageId = `${Date.now()}-${crypto.randomBytes(6).toString("hex")}`;
+    const filePath = path.join(this.directory, `${messageId}.json`);
+
+    await fs.promises.writeFile(
+      filePath,
+      JSON.stringify({ messageId, date: new Date(), ...mail }, null, 2),
+    );
+
+    return { messageId };
+  }
+
+  async verify() {
+    // The folder must exist (or be creatable) and be writable
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.access(this.directory, fs.constants.W_OK);
+  }
+}
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO CREATE THE CONFIGURED TRANSPORT
+// MAIL_TRANSPORT=file writes emails to disk, anything else uses SMTP
+//-----------------------------------------------------------------------------------------------------------
+const createMailTransport = (type = config.mail.transport) => {
+  if (type === "file") {
+    return new FileMailTransport();
+  }
+  return new SmtpMailTransport();
+};
+
+// Export the transports and the factory
+export { SmtpMailTransport, FileMailTransport, createMailTransport };
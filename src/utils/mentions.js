@@ -0,0 +1,26 @@
+//-----------------------------------------------------------------------------------------------------------
+// @MENTIONS
+// A mention is "@" followed by a username, at the start of the text or after a character
+// that can't be part of an email address or another word (ex: "thanks @mario!", "(@anna)")
+//-----------------------------------------------------------------------------------------------------------
+
+// Usernames are stored in lower case: the match is case insensitive and normalized
+const MENTION_PATTERN = /(^|[^\w@.])@([\w.-]{3,})/g;
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO EXTRACT THE MENTIONED USERNAMES OF A TEXT
+// Returns the unique usernames in lower case, in order of appearance (without the "@")
+//-----------------------------------------------------------------------------------------------------------
+const extractMentions = (text = "") => {
+  const usernames = new Set();
+
+  for (const [, , username] of text.matchAll(MENTION_PATTERN)) {
+    // A sentence may end right after the username: "thanks @mario."
+    usernames.add(username.replace(/[.-]+$/, "").toLowerCase());
+  }
+
+  return [...usernames].filter((username) => username.length >= 3);
+};
+
+// Export the mention helpers
+export { extractMentions };
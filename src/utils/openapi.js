@@ -0,0 +1,407 @@
+// Import the verifyJWT middleware to recognize protected routes
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+// Import the validated application configuration (version of the application)
+import { config } from "../config/index.js";
+
+//-----------------------------------------------------------------------------------------------------------
+// OPENAPI 3.1 DOCUMENT GENERATOR
+// The document is built from the routers actually mounted in app.js, so it can't drift from the code:
+// - paths and methods come from the routes of each router
+// - request fields come from the express-validator chains of validators/index.js
+// - security, roles and rate limits come from the middlewares of each route
+//   (validateProjectPermission and rateLimit attach their settings to the middleware they return)
+//-----------------------------------------------------------------------------------------------------------
+
+// Routers registered by app.js: [{ basePath, router }]
+const apiRouters = [];
+
+// Document cache: routes don't change while the server is running
+let cachedResult = null;
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO REGISTER A MOUNTED ROUTER
+// Express 5 doesn't keep the mount path of a router, app.js passes it here when mounting
+//-----------------------------------------------------------------------------------------------------------
+const registerApiRouter = (basePath, router) => {
+  apiRouters.push({ basePath, router });
+  cachedResult = null;
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// REUSABLE COMPONENTS
+// ApiResponse and ApiError envelopes shared by every endpoint
+//-----------------------------------------------------------------------------------------------------------
+const components = {
+  schemas: {
+    ApiResponse: {
+      type: "object",
+      description: "Envelope of every successful response (utils/api-response.js)",
+      properties: {
+        statusCode: { type: "integer", examples: [200] },
+        data: { description: "Payload of the endpoint" },
+        message: { type: "string", examples: ["Success"] },
+        success: { type: "boolean", const: true },
+      },
+      required: ["statusCode", "data", "message", "success"],
+    },
+    ApiError: {
+      type: "object",
+      description:
+        "Envelope of every error response (utils/api-error.js, serialized by middlewares/error.middleware.js)",
+      properties: {
+        statusCode: { type: "integer", examples: [422] },
+        message: { type: "string", examples: ["Received data is not valid"] },
+        errors: {
+          type: "array",
+          description: "Details of the error, one object { field: message } per invalid field",
+          items: { type: "object", additionalProperties: { type: "string" } },
+        },
+        success: { type: "boolean", const: false },
+        requestId: {
+          type: "string",
+          description: "ID of the request, same value of the X-Request-Id response header",
+        },
+        stack: {
+          type: "string",
+          description: "Stack trace (never sent in production)",
+        },
+      },
+      required: ["statusCode", "message", "errors", "success", "requestId"],
+    },
+  },
+  responses: {
+    Success: {
+      description: "Successful response",
+      content: {
+        "application/json": { schema: { $ref: "#/components/schemas/ApiResponse" } },
+      },
+    },
+    ...Object.fromEntries(
+      [
+        ["BadRequest", "Invalid request"],
+        ["Unauthorized", "Missing, invalid or expired access token"],
+        ["Forbidden", "Not allowed for the role of the user in the project"],
+        ["ValidationError", "Received data is not valid"],
+        ["TooManyRequests", "Rate limit exceeded (see the Retry-After header)"],
+        ["ServerError", "Unexpected server error"],
+      ].map(([name, description]) => [
+        name,
+        {
+          description,
+          content: {
+            "application/json": { schema: { $ref: "#/components/schemas/ApiError" } },
+          },
+        },
+      ]),
+    ),
+  },
+  securitySchemes: {
+    bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+    cookieAuth: { type: "apiKey", in: "cookie", name: "accessToken" },
+  },
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO CONVERT A VALIDATION CHAIN INTO JSON SCHEMA
+// Returns [{ location, field, schema, required }], one item per field/location of the chain
+//-----------------------------------------------------------------------------------------------------------
+const describeValidationChain = (chain) => {
+  const context = chain.builder.build();
+
+  const schema = {};
+  const messages = new Set();
+  let isRequired = false;
+
+  for (const item of context.stack) {
+    // Sanitizers (trim, toBoolean...) and custom validators don't change the documented shape
+    const name = item.validator?.name;
+    if (!name) continue;
+
+    if (item.message) {
+      messages.add(item.message);
+    }
+
+    const [options] = item.options || [];
+
+    switch (name) {
+      case "isEmpty":
+        // notEmpty() is isEmpty() negated
+        if (item.negated) {
+          isRequired = true;
+          schema.minLength = 1;
+        }
+        break;
+      case "exists":
+        isRequired = true;
+        break;
+      case "isEmail":
+        schema.type = "string";
+        schema.format = "email";
+        break;
+      case "isURL":
+        schema.type = "string";
+        schema.format = "uri";
+        break;
+      case "isMongoId":
+        schema.type = "string";
+        schema.pattern = "^[0-9a-fA-F]{24}$";
+        break;
+      case "isISO8601":
+        schema.type = "string";
+        schema.format = "date-time";
+        break;
+      case "isBoolean":
+        schema.type = "boolean";
+        break;
+      case "isInt":
+        schema.type = "integer";
+        if (options?.min !== undefined) schema.minimum = options.min;
+        if (options?.max !== undefined) schema.maximum = options.max;
+        break;
+      case "isFloat":
+      case "isNumeric":
+        schema.type = "number";
+        break;
+      case "isArray":
+        schema.type = "array";
+        break;
+      case "isString":
+        schema.type = "string";
+        break;
+      case "isIn":
+        schema.enum = options;
+        break;
+      case "isLength":
+        if (options?.min !== undefined) schema.minLength = options.min;
+        if (options?.max !== undefined) schema.maxLength = options.max;
+        break;
+      case "isLowercase":
+        schema.pattern = "^[^A-Z]*$";
+        break;
+      case "isHexColor":
+        schema.type = "string";
+        schema.pattern = "^#?([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$";
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Fields without an explicit type are strings (form and JSON values validated as text)
+  if (!schema.type && !schema.enum) {
+    schema.type = "string";
+  }
+
+  if (messages.size) {
+    schema.description = [...messages].join(". ");
+  }
+
+  // A field is required only when the chain is not optional and actually checks its presence
+  const required = context.optional === false && isRequired;
+
+  return context.fields.flatMap((field) =>
+    context.locations.map((location) => ({ location, field, schema, required })),
+  );
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO BUILD THE OPERATION OF A ROUTE METHOD
+//-----------------------------------------------------------------------------------------------------------
+const buildOperation = ({ method, path, tag, handlers, warnings }) => {
+  const fields = handlers
+    .filter((handler) => typeof handler.builder?.build === "function")
+    .flatMap(describeValidationChain);
+
+  const isProtected = handlers.includes(verifyJWT);
+  const permission = handlers.find((handler) => handler.allowedRoles);
+  const rateLimit = handlers.find((handler) => handler.rateLimit);
+  const hasUpload = handlers.some((handler) => handler.name === "multerMiddleware");
+
+  // operationId: method + path segments, ex: postProjectsByProjectIdMembers
+  const operationId =
+    method +
+    path
+      .split("/")
+      .filter((segment) => segment && !["api", "v1"].includes(segment))
+      .map((segment) =>
+        segment.startsWith("{")
+          ? `By${segment[1].toUpperCase()}${segment.slice(2, -1)}`
+          : segment
+              .split(/[^a-zA-Z0-9]/)
+              .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+              .join(""),
+      )
+      .join("");
+
+  const operation = {
+    tags: [tag],
+    operationId,
+    responses: {
+      "2XX": { $ref: "#/components/responses/Success" },
+      400: { $ref: "#/components/responses/BadRequest" },
+    },
+  };
+
+  // PARAMETERS - path parameters from the route, query parameters from the validators
+  const pathParameters = [...path.matchAll(/\{(\w+)\}/g)].map(([, name]) => {
+    const field = fields.find(
+      (item) => item.location === "params" && item.field === name,
+    );
+    return {
+      name,
+      in: "path",
+      required: true,
+      schema: field?.schema || { type: "string" },
+    };
+  });
+
+  const queryParameters = fields
+    .filter((item) => item.location === "query")
+    .map(({ field, schema, required }) => ({
+      name: field,
+      in: "query",
+      required,
+      schema,
+    }));
+
+  if (pathParameters.length || queryParameters.length) {
+    operation.parameters = [...pathParameters, ...queryParameters];
+  }
+
+  // REQUEST BODY - fields validated in the body (nested "a.*" fields become array items)
+  const bodyFields = fields.filter((item) => item.location === "body");
+
+  if (bodyFields.length || hasUpload) {
+    const properties = {};
+    const required = [];
+
+    for (const { field, schema, required: isRequired } of bodyFields) {
+      if (field.endsWith(".*")) {
+        const parent = field.slice(0, -2);
+        properties[parent] = { ...properties[parent], type: "array", items: schema };
+        continue;
+      }
+
+      properties[field] = { ...properties[field], ...schema };
+      if (isRequired) required.push(field);
+    }
+
+    const mediaType = hasUpload ? "multipart/form-data" : "application/json";
+    const bodySchema = { type: "object", properties };
+    if (required.length) bodySchema.required = required;
+
+    // The file field name is chosen in the route (upload.single / upload.array): every file field is binary
+    if (hasUpload) {
+      bodySchema.additionalProperties = { type: "string", format: "binary" };
+    }
+
+    operation.requestBody = {
+      required: required.length > 0 || hasUpload,
+      content: { [mediaType]: { schema: bodySchema } },
+    };
+  } else if (["post", "put", "patch"].includes(method)) {
+    // SELF-CHECK - a route that accepts a body without validating it has no documented schema
+    warnings.push(`${method.toUpperCase()} ${path} has no request schema`);
+  }
+
+  // RESPONSES - errors depend on the middlewares of the route
+  if (isProtected) {
+    operation.security = [{ bearerAuth: [] }, { cookieAuth: [] }];
+    operation.responses[401] = { $ref: "#/components/responses/Unauthorized" };
+  }
+
+  if (permission) {
+    operation["x-project-roles"] = permission.allowedRoles;
+    operation.description = `Allowed project roles: ${permission.allowedRoles.join(", ")}`;
+    operation.responses[403] = { $ref: "#/components/responses/Forbidden" };
+  }
+
+  if (fields.length) {
+    operation.responses[422] = { $ref: "#/components/responses/ValidationError" };
+  }
+
+  if (rateLimit) {
+    operation["x-rate-limit"] = rateLimit.rateLimit;
+    operation.responses[429] = { $ref: "#/components/responses/TooManyRequests" };
+  }
+
+  operation.responses["5XX"] = { $ref: "#/components/responses/ServerError" };
+
+  return operation;
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO BUILD THE OPENAPI DOCUMENT
+// Returns { document, warnings }: warnings list the routes without a request schema
+//-----------------------------------------------------------------------------------------------------------
+const buildOpenApiDocument = () => {
+  if (cachedResult) {
+    return cachedResult;
+  }
+
+  const paths = {};
+  const warnings = [];
+
+  for (const { basePath, router } of apiRouters) {
+    // Tag = last segment of the mount path (auth, projects, tasks...)
+    const tag = basePath.split("/").filter(Boolean).pop();
+
+    // Middlewares registered with router.use() apply to every route registered after them
+    const routerMiddlewares = [];
+
+    for (const layer of router.stack) {
+      if (!layer.route) {
+        routerMiddlewares.push(layer.handle);
+        continue;
+      }
+
+      // Express ":param" → OpenAPI "{param}", without trailing slash
+      const path =
+        `${basePath}${layer.route.path}`
+          .replace(/:(\w+)/g, "{$1}")
+          .replace(/(.)\/$/, "$1");
+
+      // Group the handlers of the route by HTTP method
+      const handlersByMethod = new Map();
+      for (const routeLayer of layer.route.stack) {
+        const handlers = handlersByMethod.get(routeLayer.method) || [];
+        handlers.push(routeLayer.handle);
+        handlersByMethod.set(routeLayer.method, handlers);
+      }
+
+      for (const [method, handlers] of handlersByMethod) {
+        paths[path] = paths[path] || {};
+        paths[path][method] = buildOperation({
+          method,
+          path,
+          tag,
+          handlers: [...routerMiddlewares, ...handlers],
+          warnings,
+        });
+      }
+    }
+  }
+
+  const document = {
+    openapi: "3.1.0",
+    info: {
+      title: "Project Management API",
+      version: config.version,
+      description:
+        "Generated from the routers and validators of the server. Every response uses the ApiResponse or ApiError envelope.",
+    },
+    servers: [{ url: "/" }],
+    tags: [...new Set(apiRouters.map(({ basePath }) => basePath.split("/").filter(Boolean).pop()))].map(
+      (name) => ({ name }),
+    ),
+    paths,
+    components,
+  };
+
+  cachedResult = { document, warnings };
+  return cachedResult;
+};
+
+// Export the registration and generation functions
+export { registerApiRouter, buildOpenApiDocument };
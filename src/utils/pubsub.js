@@ -0,0 +1,69 @@
+// Import EventEmitter to dispatch messages inside the process
+import { EventEmitter } from "events";
+
+// Import the validated application configuration
+import { config } from "../config/index.js";
+
+//-----------------------------------------------------------------------------------------------------------
+// PUB/SUB
+// Carries the real-time events from the code that changes a project to the open event streams.
+// Every implementation exposes the same async methods so the real-time hub doesn't care where messages travel:
+// - publish(channel, message)   → sends a JSON-serializable message to every subscriber of the channel
+// - subscribe(channel, handler) → calls handler(message) for every message, returns an async unsubscribe()
+// - close()                     → stops delivering messages
+// With several instances of the API behind a load balancer, a shared implementation (ex: Redis)
+// delivers the events of one instance to the streams opened on the others.
+//-----------------------------------------------------------------------------------------------------------
+
+//-----------------------------------------------------------------------------------------------------------
+// IN-PROCESS PUB/SUB (default)
+// Dependency free, only the streams opened on this instance receive the events
+//-----------------------------------------------------------------------------------------------------------
+class MemoryPubSub {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);  // One listener per open stream and project: no arbitrary limit
+  }
+
+  async publish(channel, message) {
+    // Same serialization a network pub/sub would do: subscribers never share objects with the publisher
+    // and ObjectIds or Dates arrive as strings whatever the implementation
+    this.emitter.emit(channel, JSON.parse(JSON.stringify(message)));
+  }
+
+  async subscribe(channel, handler) {
+    this.emitter.on(channel, handler);
+    return async () => {
+      this.emitter.off(channel, handler);
+    };
+  }
+
+  async close() {
+    this.emitter.removeAllListeners();
+  }
+}
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO CREATE THE CONFIGURED PUB/SUB
+// REALTIME_PUBSUB selects the implementation (only "memory" for now)
+//-----------------------------------------------------------------------------------------------------------
+const createPubSub = (type = config.realtime.pubsub) => {
+  switch (type) {
+    case "memory":
+    default:
+      return new MemoryPubSub();
+  }
+};
+
+// Shared instance, created on first use
+let pubsub = null;
+
+const getPubSub = () => {
+  if (!pubsub) {
+    pubsub = createPubSub();
+  }
+  return pubsub;
+};
+
+// Export the implementations, the factory and the shared instance
+export { MemoryPubSub, createPubSub, getPubSub };
@@ -0,0 +1,112 @@
+// Import the RateLimit model used by the Mongo store
+import { RateLimit } from "../models/ratelimit.models.js";
+
+// Import the validated application configuration
+import { config } from "../config/index.js";
+
+//-----------------------------------------------------------------------------------------------------------
+// RATE LIMIT STORES
+// A store keeps a hit counter per key inside a fixed time window
+// Every store exposes the same two async methods so the middleware doesn't care where counters live:
+// - increment(key, windowMs) → { count, resetAt }  adds a hit and returns the counter state
+// - reset(key)                                      forgets the counter of a key
+//-----------------------------------------------------------------------------------------------------------
+
+//-----------------------------------------------------------------------------------------------------------
+// IN-MEMORY STORE (default)
+// Fast and dependency free, but counters are lost on restart and not shared between instances
+//-----------------------------------------------------------------------------------------------------------
+class MemoryRateLimitStore {
+  constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    // Map of key → { count, resetAt }
+    this.hits = new Map();
+
+    // Periodically remove expired counters so memory doesn't grow forever
+    // unref() lets the process exit even if the timer is still scheduled
+    this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    this.cleanupTimer.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+
+    // Start a new window if there is no counter or the previous window is over
+    if (!entry || entry.resetAt.getTime() <= now) {
+      entry = { count: 0, resetAt: new Date(now + windowMs) };
+      this.hits.set(key, entry);
+    }
+
+    entry.count += 1;
+
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt.getTime() <= now) {
+        this.hits.delete(key);
+      }
+    }
+  }
+}
+
+//-----------------------------------------------------------------------------------------------------------
+// MONGO STORE
+// Counters live in the 'ratelimits' collection, so every instance of the API shares them
+//-----------------------------------------------------------------------------------------------------------
+class MongoRateLimitStore {
+  async increment(key, windowMs) {
+    const now = new Date();
+
+    // Single atomic update (pipeline syntax):
+    // - window still open → count + 1, keep resetAt
+    // - window over or counter missing (upsert) → count = 1, new resetAt
+    const windowIsOpen = { $gt: ["$resetAt", now] };
+    const entry = await RateLimit.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            count: {
+              $cond: [windowIsOpen, { $add: ["$count", 1] }, 1],
+            },
+            resetAt: {
+              $cond: [
+                windowIsOpen,
+                "$resetAt",
+                new Date(now.getTime() + windowMs),
+              ],
+            },
+          },
+        },
+      ],
+      { upsert: true, new: true },
+    );
+
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  async reset(key) {
+    await RateLimit.deleteOne({ key });
+  }
+}
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO CREATE THE CONFIGURED STORE
+// RATE_LIMIT_STORE=mongo enables the shared store, anything else uses memory
+//-----------------------------------------------------------------------------------------------------------
+const createRateLimitStore = (type = config.rateLimit.store) => {
+  if (type === "mongo") {
+    return new MongoRateLimitStore();
+  }
+  return new MemoryRateLimitStore();
+};
+
+// Export the stores and the factory
+export { MemoryRateLimitStore, MongoRateLimitStore, createRateLimitStore };
@@ -0,0 +1,246 @@
+// Import the Session model to close the streams of revoked sessions
+import { Session } from "../models/session.models.js";
+
+// Import the activity types that change the subscriptions themselves
+import { ActivityTypeEnum } from "../models/activity.models.js";
+
+// Import the configured pub/sub (in-process by default)
+import { getPubSub } from "./pubsub.js";
+
+// Import the structured logger
+import { logger } from "./logger.js";
+
+// Import the validated application configuration
+import { config } from "../config/index.js";
+
+//-----------------------------------------------------------------------------------------------------------
+// REAL-TIME PROJECT EVENTS (Server-Sent Events)
+// A client opens GET /api/v1/realtime/events and keeps the connection open:
+// - every activity of a subscribed project (see utils/activity.js) is pushed as an SSE event
+// - events are filtered with the role of the user in the project (same visibility as the activity feed)
+// - a subscription ends when the user is removed from the project or the project is deleted
+// - the whole stream ends when the access token expires or its session is revoked: the client reconnects
+//   (EventSource does it automatically) and receives what it missed thanks to the Last-Event-ID header
+//-----------------------------------------------------------------------------------------------------------
+
+// Events that are not activities
+export const RealtimeEventEnum = {
+  READY: "ready",  // Sent once the subscriptions are active: { projects }
+  PROJECT_DELETED: "project_deleted",  // { project }
+  SUBSCRIPTION_CLOSED: "subscription_closed",  // { project, reason }
+  STREAM_CLOSED: "stream_closed",  // { reason } sent right before the server ends the stream
+};
+
+// Pub/sub channel of a project
+const projectChannel = (projectId) => `project:${projectId}`;
+
+// Longest delay accepted by setTimeout (2^31 - 1 ms)
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+// Streams open on this instance (closed on shutdown)
+const openStreams = new Set();
+
+//-----------------------------------------------------------------------------------------------------------
+// EVENT STREAM
+// One open SSE connection of a user, subscribed to one or more projects
+//-----------------------------------------------------------------------------------------------------------
+class EventStream {
+  constructor(res, { userId, sessionId, expiresAt }) {
+    this.res = res;
+    this.userId = userId.toString();
+    this.sessionId = sessionId;
+    this.closed = false;
+
+    // Map of projectId → { role, unsubscribe }
+    this.subscriptions = new Map();
+
+    // Keep-alive comments stop proxies from closing an idle connection,
+    // and the same timer checks that the session of the token still exists (logout, revocation)
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), config.realtime.heartbeatMs);
+    this.heartbeatTimer.unref();
+
+    // The stream can't outlive the access token it was opened with
+    // (timers overflow after ~24.8 days: a longer token simply gets a shorter stream)
+    this.expiryTimer = setTimeout(
+      () => this.close("token_expired"),
+      Math.min(Math.max(expiresAt.getTime() - Date.now(), 0), MAX_TIMER_DELAY_MS),
+    );
+    this.expiryTimer.unref();
+  }
+
+  // Writes one SSE event: "id" lets the client resume after a reconnection
+  send(event, data, id) {
+    if (this.closed) return;
+    this.res.write(`${id ? `id: ${id}\n` : ""}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  async heartbeat() {
+    if (this.closed) return;
+    this.res.write(": ping\n\n");
+
+    try {
+      if (!(await Session.exists({ _id: this.sessionId, user: this.userId }))) {
+        await this.close("session_revoked");
+      }
+    } catch (error) {
+      // Database temporarily unavailable: keep the stream, the next heartbeat checks again
+      logger.warn("Event stream session check failed", { error });
+    }
+  }
+
+  async subscribe(projectId, role) {
+    const unsubscribe = await getPubSub().subscribe(projectChannel(projectId), (event) =>
+      this.handleProjectEvent(projectId, event),
+    );
+
+    // The client may have gone away while subscribing
+    if (this.closed) {
+      await unsubscribe();
+      return;
+    }
+
+    this.subscriptions.set(projectId, { role, unsubscribe });
+  }
+
+  // Receives every event published for a subscribed project
+  async handleProjectEvent(projectId, event) {
+    const subscription = this.subscriptions.get(projectId);
+    if (!subscription) return;
+
+    if (event.type === RealtimeEventEnum.PROJECT_DELETED) {
+      this.send(event.type, { project: projectId });
+      await this.unsubscribe(projectId, "project_deleted");
+      return;
+    }
+
+    const concernsThisUser = event.targetModel === "User" && event.target === this.userId;
+
+    // The role of the user changed: later events are filtered with the new role
+    if (event.type === ActivityTypeEnum.MEMBER_ROLE_CHANGED && concernsThisUser) {
+      subscription.role = event.data.to;
+    }
+
+    const { visibleTo, ...activity } = event;
+    if (visibleTo.includes(subscription.role)) {
+      this.send(activity.type, activity, activity._id);
+    }
+
+    // Removed from the project: no more events of this project
+    if (event.type === ActivityTypeEnum.MEMBER_REMOVED && concernsThisUser) {
+      await this.unsubscribe(projectId, "membership_revoked");
+    }
+  }
+
+  async unsubscribe(projectId, reason) {
+    const subscription = this.subscriptions.get(projectId);
+    if (!subscription) return;
+
+    this.subscriptions.delete(projectId);
+    await subscription.unsubscribe();
+    this.send(RealtimeEventEnum.SUBSCRIPTION_CLOSED, { project: projectId, reason });
+
+    // Nothing left to listen to
+    if (this.subscriptions.size === 0) {
+      await this.close("no_subscriptions");
+    }
+  }
+
+  // Ends the stream (reason is sent to the client when the server is the one closing it)
+  async close(reason) {
+    if (this.closed) return;
+
+    if (reason) {
+      this.send(RealtimeEventEnum.STREAM_CLOSED, { reason });
+    }
+
+    this.closed = true;
+    clearInterval(this.heartbeatTimer);
+    clearTimeout(this.expiryTimer);
+    openStreams.delete(this);
+
+    await Promise.all(
+      [...this.subscriptions.values()].map(({ unsubscribe }) => unsubscribe()),
+    );
+    this.subscriptions.clear();
+
+    this.res.end();
+  }
+}
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO OPEN AN EVENT STREAM
+// memberships: ProjectMember documents of the user for the projects to subscribe to
+// missedEvents: activities to replay before the live events (after a reconnection)
+//-----------------------------------------------------------------------------------------------------------
+const openEventStream = async (req, res, { memberships, missedEvents = [] }) => {
+  // SSE headers: the response never ends by itself and must not be buffered or cached
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",  // Disable response buffering in nginx
+  });
+  res.flushHeaders();
+
+  const stream = new EventStream(res, {
+    userId: req.user._id,
+    sessionId: req.auth.sessionId,
+    expiresAt: req.auth.expiresAt,
+  });
+  openStreams.add(stream);
+
+  // The client went away: release the subscriptions
+  res.on("close", () => stream.close());
+
+  await Promise.all(
+    memberships.map((member) => stream.subscribe(member.project.toString(), member.role)),
+  );
+
+  // Replay what the client missed while disconnected, then confirm the subscriptions
+  missedEvents.forEach((activity) => {
+    stream.send(activity.type, activity, activity._id);
+  });
+
+  stream.send(RealtimeEventEnum.READY, {
+    projects: memberships.map((member) => ({
+      project: member.project,
+      role: member.role,
+    })),
+  });
+
+  return stream;
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTIONS TO PUBLISH PROJECT EVENTS
+// Activities carry their visibility (visibleTo), every stream filters them with the role of its user
+//-----------------------------------------------------------------------------------------------------------
+const publishActivity = async (activity) => {
+  try {
+    await getPubSub().publish(projectChannel(activity.project), activity);
+  } catch (error) {
+    logger.error("Real-time event could not be published", { type: activity.type, error });
+  }
+};
+
+const publishProjectDeleted = async (projectId) => {
+  try {
+    await getPubSub().publish(projectChannel(projectId), {
+      type: RealtimeEventEnum.PROJECT_DELETED,
+      project: projectId,
+    });
+  } catch (error) {
+    logger.error("Real-time event could not be published", { type: "project_deleted", error });
+  }
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO CLOSE EVERY STREAM (graceful shutdown)
+// Open streams never end by themselves: without this, server.close() would wait for them until the timeout
+//-----------------------------------------------------------------------------------------------------------
+const closeEventStreams = async () => {
+  await Promise.all([...openStreams].map((stream) => stream.close("server_shutdown")));
+};
+
+// Export the real-time helpers
+export { openEventStream, publishActivity, publishProjectDeleted, closeEventStreams };
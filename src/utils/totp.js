@@ -0,0 +1,159 @@
+// Import Node.js crypto module for HMAC computation and random secrets
+import crypto from "crypto";
+
+//-----------------------------------------------------------------------------------------------------------
+// TOTP (Time-based One-Time Password, RFC 6238)
+// The same algorithm used by Google Authenticator, Authy, 1Password...
+// A shared secret + the current 30 seconds time step give a 6 digit code
+//-----------------------------------------------------------------------------------------------------------
+
+// Standard settings understood by every authenticator app
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+
+// Alphabet used to encode secrets in base32 (RFC 4648), the format expected by authenticator apps
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+//-----------------------------------------------------------------------------------------------------------
+// BASE32 ENCODING / DECODING
+//-----------------------------------------------------------------------------------------------------------
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  // Authenticator apps are case insensitive and may show the secret with spaces or padding
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, "");
+
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO GENERATE A NEW SECRET
+// 20 random bytes (160 bits, the size recommended by RFC 4226) encoded in base32
+//-----------------------------------------------------------------------------------------------------------
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO COMPUTE THE CODE OF A TIME STEP (HOTP, RFC 4226)
+//-----------------------------------------------------------------------------------------------------------
+const generateTotp = (secret, step) => {
+  // The counter is the time step as a 64 bit big endian integer
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  // HMAC-SHA1 of the counter with the shared secret
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  // Dynamic truncation: 4 bytes starting at the offset given by the last nibble
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  // Keep the last 6 digits, left padded with zeros
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO GET THE CURRENT TIME STEP
+//-----------------------------------------------------------------------------------------------------------
+const getCurrentTotpStep = (now = Date.now()) =>
+  Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO VERIFY A CODE
+// Accepts the previous and next step too (window) to tolerate clock drift between server and phone
+// Returns the matched time step (to prevent reuse of the same code) or null if the code is wrong
+//-----------------------------------------------------------------------------------------------------------
+const verifyTotp = (secret, code, { window = 1, now = Date.now() } = {}) => {
+  const normalizedCode = String(code || "").replace(/\s/g, "");
+
+  if (!/^\d{6}$/.test(normalizedCode)) {
+    return null;
+  }
+
+  const currentStep = getCurrentTotpStep(now);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateTotp(secret, step);
+
+    // Constant time comparison so the response time doesn't leak how many digits match
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalizedCode))
+    ) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO BUILD THE otpauth:// URI
+// Authenticator apps import the secret from this URI (usually shown as a QR code by the front end)
+//-----------------------------------------------------------------------------------------------------------
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Export the TOTP helpers
+export {
+  generateTotpSecret,
+  generateTotp,
+  getCurrentTotpStep,
+  verifyTotp,
+  buildOtpauthUri,
+};
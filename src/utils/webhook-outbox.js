@@ -0,0 +1,388 @@
+// Import Node.js modules to send the HTTP requests and check the addresses they go to
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+
+// Import the Webhook model (secrets) and the WebhookDelivery model with its statuses
+import { Webhook } from "../models/webhook.models.js";
+import {
+  RESPONSE_EXCERPT_LENGTH,
+  WebhookDelivery,
+  WebhookDeliveryStatusEnum,
+} from "../models/webhookdelivery.models.js";
+
+// Import the validated application configuration
+import { config } from "../config/index.js";
+
+// Import the structured logger and the request context
+import { logger, requestContext } from "./logger.js";
+
+//-----------------------------------------------------------------------------------------------------------
+// WEBHOOK DELIVERY WORKER
+// Deliveries are saved by queueWebhookEvent() (see utils/webhooks.js) and POSTed here, in the background:
+// - every request is signed with the secret of the webhook (X-Webhook-Signature header, see below)
+// - a 2xx response is a success, anything else (other status, timeout, network error) is retried later
+//   with exponential backoff (30s, 1m, 2m, 4m... max 1 hour), redirects are not followed
+// - every attempt is recorded in the delivery log with its response code
+// - after maxAttempts failures the delivery is marked as failed
+// - a delivery is claimed atomically, so several server instances can run the worker together
+//-----------------------------------------------------------------------------------------------------------
+
+// Delay before the first retry, doubled at every failure
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+
+// Upper limit of the retry delay
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// How long a delivery stays reserved to the worker that is sending it (longer than any request timeout)
+const SENDING_LEASE_MS = 5 * 60 * 1000;
+
+// User-Agent of the requests, lets receivers recognize them
+const USER_AGENT = `ProjectCamp-Webhooks/${config.version}`;
+
+// Timer of the running worker (null when stopped), flag to avoid overlapping runs
+// and promise of the run in progress (awaited on shutdown)
+let workerTimer = null;
+let isProcessing = false;
+let currentRun = Promise.resolve();
+
+//-----------------------------------------------------------------------------------------------------------
+// SIGNATURE
+// X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+// Receivers compute the HMAC of the raw body with their secret, compare it in constant time with a v1 value
+// and reject old timestamps (replays). Right after a rotation there are two v1 values (new and previous secret)
+//-----------------------------------------------------------------------------------------------------------
+const signWebhookPayload = (body, secrets, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signatures = secrets.map(
+    (secret) =>
+      `v1=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`,
+  );
+
+  return [`t=${timestamp}`, ...signatures].join(",");
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// PRIVATE ADDRESSES
+// Unless WEBHOOK_ALLOW_PRIVATE_URLS is set, requests can't reach loopback, private or link-local addresses
+// (ex: the cloud metadata service on 169.254.169.254). The check is done on the resolved addresses,
+// inside the connection itself, so a hostname can't resolve to a public address first and a private one later
+//-----------------------------------------------------------------------------------------------------------
+const privateAddresses = new net.BlockList();
+const PRIVATE_IPV4_SUBNETS = [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],  // Benchmarking, often routed internally
+  ["224.0.0.0", 4],  // Multicast
+  ["240.0.0.0", 4],  // Reserved and broadcast
+];
+PRIVATE_IPV4_SUBNETS.forEach(([address, prefix]) =>
+  privateAddresses.addSubnet(address, prefix, "ipv4"),
+);
+// IPv4-mapped IPv6 addresses (ex: ::ffff:127.0.0.1) are checked against the IPv4 subnets above by BlockList
+[
+  ["::1", 128],
+  ["fc00::", 7],  // Unique local
+  ["fe80::", 10],  // Link-local
+  ["fec0::", 10],  // Site-local (deprecated, still routed by some networks)
+  ["ff00::", 8],  // Multicast
+  ["64:ff9b:1::", 48],  // Local-use NAT64
+  ["2001::", 32],  // Teredo (the IPv4 address is obfuscated, can't be checked)
+].forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, "ipv6"));
+// Other IPv6 forms carrying an IPv4 address reach it too: block them for every private IPv4 subnet
+// - NAT64 64:ff9b::a.b.c.d  - IPv4-compatible ::a.b.c.d (0.0.0.0/8 also covers ::)  - 6to4 2002:aabb:ccdd::
+PRIVATE_IPV4_SUBNETS.forEach(([address, prefix]) => {
+  const [a, b, c, d] = address.split(".").map(Number);
+  const hex = (high, low) => ((high << 8) | low).toString(16);
+
+  privateAddresses.addSubnet(`64:ff9b::${address}`, 96 + prefix, "ipv6");
+  privateAddresses.addSubnet(`::${address}`, 96 + prefix, "ipv6");
+  privateAddresses.addSubnet(`2002:${hex(a, b)}:${hex(c, d)}::`, 16 + prefix, "ipv6");
+});
+
+const isPrivateAddress = (address) =>
+  privateAddresses.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+// DNS lookup used by the requests: fails when the hostname resolves to a private address
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to a private address (${blocked.address})`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO POST A PAYLOAD
+// Resolves with the status code and the beginning of the response body, rejects when there is no response
+//-----------------------------------------------------------------------------------------------------------
+const postJson = (url, { body, headers }) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const hostname = target.hostname.replace(/^\[|\]$/g, "");  // IPv6 literals are written [::1]
+
+    // IP literals are never looked up: check them here
+    if (!config.webhooks.allowPrivateUrls && net.isIP(hostname) && isPrivateAddress(hostname)) {
+      reject(new Error(`${hostname} is a private address`));
+      return;
+    }
+
+    const client = target.protocol === "https:" ? https : http;
+    const request = client.request(
+      target,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: config.webhooks.allowPrivateUrls ? undefined : publicOnlyLookup,
+        signal: AbortSignal.timeout(config.webhooks.timeoutMs),
+      },
+      (response) => {
+        let excerpt = "";
+        response.setEncoding("utf8");
+
+        response.on("data", (chunk) => {
+          excerpt += chunk;
+          // The rest of the body is not needed
+          if (excerpt.length >= RESPONSE_EXCERPT_LENGTH) response.destroy();
+        });
+
+        // "close" also comes after destroy() or an interrupted body: the status code is known anyway
+        response.on("close", () =>
+          resolve({
+            status: response.statusCode,
+            body: excerpt.slice(0, RESPONSE_EXCERPT_LENGTH),
+          }),
+        );
+      },
+    );
+
+    request.on("error", (error) =>
+      reject(error.name === "AbortError" || error.name === "TimeoutError"
+        ? new Error(`No response after ${config.webhooks.timeoutMs} ms`)
+        : error),
+    );
+    request.end(body);
+  });
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO COMPUTE THE RETRY DELAY
+// attempts = number of attempts already made (1 after the first failure)
+//-----------------------------------------------------------------------------------------------------------
+const getRetryDelayMs = (attempts) =>
+  Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO CLAIM THE NEXT DELIVERY TO SEND
+// Takes a pending delivery whose time has come, or one left in "sending" by a worker that died
+//-----------------------------------------------------------------------------------------------------------
+const claimNextDelivery = () => {
+  const now = new Date();
+
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        {
+          status: WebhookDeliveryStatusEnum.PENDING,
+          nextAttemptAt: { $lte: now },
+        },
+        {
+          status: WebhookDeliveryStatusEnum.SENDING,
+          lockedUntil: { $lte: now },
+        },
+      ],
+    },
+    {
+      $set: {
+        status: WebhookDeliveryStatusEnum.SENDING,
+        lockedUntil: new Date(now.getTime() + SENDING_LEASE_MS),
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { nextAttemptAt: 1 }, new: true },
+  );
+};
+
+// Fields shared by every delivery log: the request ID links the delivery to the request that caused it
+const deliveryLogFields = (delivery) => ({
+  requestId: delivery.requestId,
+  deliveryId: delivery._id,
+  webhookId: delivery.webhook,
+  event: delivery.event,
+  attempt: delivery.attempts,
+  maxAttempts: delivery.maxAttempts,
+});
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO SEND A CLAIMED DELIVERY AND RECORD THE RESULT
+// The signature is computed at every attempt: retries carry a fresh timestamp and the current secret
+//-----------------------------------------------------------------------------------------------------------
+const deliverWebhook = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select("+secret +previousSecret");
+
+  const attempt = { attemptedAt: new Date() };
+
+  try {
+    // The webhook was deleted after the event was queued
+    if (!webhook) {
+      delivery.maxAttempts = delivery.attempts;  // Nothing to retry
+      throw new Error("Webhook was deleted");
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const response = await postJson(webhook.url, {
+      body,
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": USER_AGENT,
+        "X-Webhook-Id": webhook._id.toString(),
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": delivery._id.toString(),  // Same for every attempt: receivers can ignore duplicates
+        "X-Webhook-Signature": signWebhookPayload(body, webhook.getSigningSecrets()),
+      },
+    });
+
+    attempt.responseStatus = response.status;
+    attempt.responseBody = response.body;
+
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`Endpoint answered ${response.status}`);
+    }
+
+    // Delivered
+    delivery.status = WebhookDeliveryStatusEnum.DELIVERED;
+    delivery.deliveredAt = new Date();
+    delivery.lockedUntil = undefined;
+
+    logger.info("Webhook delivered", {
+      ...deliveryLogFields(delivery),
+      responseStatus: response.status,
+    });
+  } catch (error) {
+    attempt.error = error?.message || String(error);
+    delivery.lockedUntil = undefined;
+
+    if (delivery.attempts >= delivery.maxAttempts) {
+      // No attempts left: the delivery stays in the log as failed
+      delivery.status = WebhookDeliveryStatusEnum.FAILED;
+      logger.error("Webhook delivery failed, no attempts left", {
+        ...deliveryLogFields(delivery),
+        responseStatus: attempt.responseStatus,
+        error: attempt.error,
+      });
+    } else {
+      // Try again later
+      delivery.status = WebhookDeliveryStatusEnum.PENDING;
+      delivery.nextAttemptAt = new Date(Date.now() + getRetryDelayMs(delivery.attempts));
+      logger.warn("Webhook delivery failed, will retry", {
+        ...deliveryLogFields(delivery),
+        responseStatus: attempt.responseStatus,
+        nextAttemptAt: delivery.nextAttemptAt,
+        error: attempt.error,
+      });
+    }
+  }
+
+  // Record the attempt in the delivery log
+  attempt.durationMs = Date.now() - attempt.attemptedAt.getTime();
+  delivery.responseStatus = attempt.responseStatus;
+  delivery.attemptLog.push(attempt);
+
+  await delivery.save();
+  return delivery;
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO PROCESS THE PENDING DELIVERIES
+// Sends up to batchSize deliveries, one at a time, and returns how many were processed
+//-----------------------------------------------------------------------------------------------------------
+const processWebhookDeliveries = async ({ batchSize = 20 } = {}) => {
+  // A run is already in progress (ex: timer tick while a wake-up run is still sending)
+  if (isProcessing) {
+    return 0;
+  }
+
+  isProcessing = true;
+  let processed = 0;
+
+  try {
+    while (processed < batchSize) {
+      const delivery = await claimNextDelivery();
+      if (!delivery) break;
+
+      await deliverWebhook(delivery);
+      processed += 1;
+    }
+  } finally {
+    isProcessing = false;
+  }
+
+  return processed;
+};
+
+// Run the worker once, logging errors instead of crashing the process (ex: database temporarily down)
+// The run is detached from the request that may have woken the worker up: every delivery logs its own request ID
+// While a run is in progress, timer ticks and wake-ups return it instead of replacing currentRun
+// (same rule as the email outbox: stopWebhookWorker() waits for the delivery really being sent)
+const runWebhookWorker = () => {
+  if (!isProcessing) {
+    currentRun = requestContext.exit(() =>
+      processWebhookDeliveries().catch((error) =>
+        logger.error("Webhook delivery processing failed", { error }),
+      ),
+    );
+  }
+  return currentRun;
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTIONS TO START AND STOP THE BACKGROUND WORKER
+// The worker polls the deliveries every WEBHOOK_POLL_MS milliseconds (5 seconds by default)
+//-----------------------------------------------------------------------------------------------------------
+const startWebhookWorker = ({ intervalMs = config.webhooks.pollMs } = {}) => {
+  if (workerTimer) return;
+
+  workerTimer = setInterval(runWebhookWorker, intervalMs);
+  workerTimer.unref();  // The timer alone must not keep the process alive
+
+  // Send what was left by the previous run
+  runWebhookWorker();
+};
+
+// Resolves when the run in progress (if any) has finished, so the database can be closed safely
+const stopWebhookWorker = async () => {
+  clearInterval(workerTimer);
+  workerTimer = null;
+  await currentRun;
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO WAKE UP THE WORKER
+// Called after deliveries are queued, so they don't wait for the next poll
+//-----------------------------------------------------------------------------------------------------------
+const wakeWebhookWorker = () => {
+  if (workerTimer) {
+    setImmediate(runWebhookWorker);
+  }
+};
+
+// Export the worker functions and the signature helper
+export {
+  deliverWebhook,
+  processWebhookDeliveries,
+  signWebhookPayload,
+  startWebhookWorker,
+  stopWebhookWorker,
+  wakeWebhookWorker,
+};
@@ -0,0 +1,101 @@
+// Import the Webhook model and the event names
+import { toWebhookEvent, Webhook, WEBHOOK_PING_EVENT } from "../models/webhook.models.js";
+
+// Import the WebhookDelivery model and its statuses
+import {
+  WebhookDelivery,
+  WebhookDeliveryStatusEnum,
+} from "../models/webhookdelivery.models.js";
+
+// Import the worker: woken up after queuing, used directly to send the test pings
+import { deliverWebhook, wakeWebhookWorker } from "./webhook-outbox.js";
+
+// Import the structured logger and the request ID helper
+import { getRequestId, logger } from "./logger.js";
+
+// Import mongoose to generate the delivery IDs before saving (they are part of the payload)
+import mongoose from "mongoose";
+
+//-----------------------------------------------------------------------------------------------------------
+// OUTGOING WEBHOOKS
+// recordActivity (see utils/activity.js) calls queueWebhookEvent for every activity of a project:
+// one delivery is queued for every active webhook of the project subscribed to the event,
+// the webhook worker (utils/webhook-outbox.js) sends it
+//
+// Payload (JSON):
+// { id: <delivery ID>, event: "task.created", createdAt, project: <project ID>, data: <the activity> }
+//-----------------------------------------------------------------------------------------------------------
+
+// Body of a delivery (the delivery ID is generated first, receivers can use it to ignore duplicates)
+const buildDelivery = ({ webhook, event, createdAt, data, ...fields }) => {
+  const _id = new mongoose.Types.ObjectId();
+
+  return {
+    _id,
+    webhook: webhook._id,
+    project: webhook.project,
+    event,
+    requestId: getRequestId(),  // Request that caused the event (for the delivery logs)
+    payload: { id: _id, event, createdAt, project: webhook.project, data },
+    ...fields,
+  };
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO QUEUE AN ACTIVITY FOR THE WEBHOOKS OF ITS PROJECT
+// The change is already saved when this is called: failing to queue never fails the request
+//-----------------------------------------------------------------------------------------------------------
+const queueWebhookEvent = async (activity) => {
+  const event = toWebhookEvent(activity.type);
+
+  try {
+    const webhooks = await Webhook.find({
+      project: activity.project,
+      active: true,
+      events: event,
+    }).select("project");
+
+    if (webhooks.length === 0) {
+      return;
+    }
+
+    // visibleTo is internal to the feed: receivers get the activity as the feed shows it
+    const { visibleTo, ...data } = activity;
+
+    await WebhookDelivery.insertMany(
+      webhooks.map((webhook) =>
+        buildDelivery({ webhook, event, createdAt: activity.createdAt, data }),
+      ),
+    );
+
+    // Send now instead of waiting for the next poll
+    wakeWebhookWorker();
+  } catch (error) {
+    logger.error("Webhook event could not be queued", { project: activity.project, event, error });
+  }
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// FUNCTION TO SEND A TEST PING
+// Sent right away (not through the queue) and never retried: the caller sees the result immediately
+// Returns the delivery with its log
+//-----------------------------------------------------------------------------------------------------------
+const sendWebhookPing = async (webhook) => {
+  const delivery = await WebhookDelivery.create(
+    buildDelivery({
+      webhook,
+      event: WEBHOOK_PING_EVENT,
+      createdAt: new Date(),
+      data: { webhook: webhook._id, url: webhook.url, events: webhook.events },
+      // Already claimed: the worker never picks it
+      status: WebhookDeliveryStatusEnum.SENDING,
+      attempts: 1,
+      maxAttempts: 1,
+    }),
+  );
+
+  return deliverWebhook(delivery);
+};
+
+// Export the webhook helpers
+export { queueWebhookEvent, sendWebhookPing };
@@ -1,10 +1,44 @@
-// Import the body function from express-validator
-// body is a validator that checks fields in the HTTP request body
-import { body } from "express-validator";
+// Import the body and query functions from express-validator
+// body checks fields in the HTTP request body, query checks the parameters of the query string
+import { body, query } from "express-validator";
 
-// Import available user role constants
+// Import available user role and task status constants
 // AvailableUserRole contains the valid roles that a user can have in the system
-import { AvailableUserRole } from "../utils/constants.js";
+// AvailableTaskStatues contains the valid states that a task can have
+import {
+  AvailableLanguages,
+  AvailableTaskPriorities,
+  AvailableTaskStatues,
+  AvailableUserRole,
+} from "../utils/constants.js";
+
+// Import the maximum length of a task comment (shared with the Comment model)
+import { COMMENT_MAX_LENGTH } from "../models/comment.models.js";
+
+// Import the activity types (filter of the activity feed)
+import { AvailableActivityTypes } from "../models/activity.models.js";
+
+// Import the actions and outcomes of the audit log (filters of the audit routes)
+import {
+  AvailableAuditActions,
+  AvailableAuditOutcomes,
+} from "../models/auditevent.models.js";
+
+// Import the events a webhook can subscribe to (task.created, member.added...)
+import { AvailableWebhookEvents } from "../models/webhook.models.js";
+
+// Import the statuses of a webhook delivery (filter of the delivery log)
+import { AvailableWebhookDeliveryStatuses } from "../models/webhookdelivery.models.js";
+
+// Import the Label model and its limits (task labels must come from the catalogue of the project)
+import {
+  Label,
+  LABEL_COLOR_PATTERN,
+  LABEL_NAME_MAX_LENGTH,
+} from "../models/label.models.js";
+
+// Import mongoose to check label IDs before querying them
+import mongoose from "mongoose";
 
 //-----------------------------------------------------------------------------------------------------------
 // VALIDATOR FOR USER REGISTRATION
@@ -39,7 +73,43 @@ const userRegisterValidator = () => {
     // Validator for fullName field (optional)
     body("fullName")
       .optional()  // Indicates this field is optional (if not present, skips validation)
-      .trim()  // If present, removes whitespace from beginning and end
+      .trim(),  // If present, removes whitespace from beginning and end
+
+    // Validator for preferredLanguage field (optional)
+    body("preferredLanguage")
+      .optional()  // Indicates this field is optional
+      .isIn(AvailableLanguages)  // Verifies that the language is supported
+      .withMessage(`Preferred language must be one of: ${AvailableLanguages.join(", ")}`),
+  ];
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// VALIDATOR FOR PROFILE UPDATE
+// Defines validation rules for editing the current user profile (every field is optional)
+//-----------------------------------------------------------------------------------------------------------
+const userUpdateProfileValidator = () => {
+  return [
+    // Validator for username field (same rules used at registration)
+    body("username")
+      .optional()  // Username field is optional in update
+      .trim()  // Removes whitespace from beginning and end of string
+      .notEmpty()  // Verifies that the field is not empty
+      .withMessage("Username cannot be empty")  // Error message if field is empty
+      .isLowercase()  // Verifies that username is all lowercase
+      .withMessage("Username must be in lower case")  // Error message if not lowercase
+      .isLength({ min: 3 })  // Verifies that length is at least 3 characters
+      .withMessage("Username must be at least 3 characters long"),  // Error message if too short
+
+    // Validator for fullName field
+    body("fullName")
+      .optional()  // Full name field is optional in update
+      .trim(),  // If present, removes whitespace from beginning and end
+
+    // Validator for preferredLanguage field (optional)
+    body("preferredLanguage")
+      .optional()  // Indicates this field is optional
+      .isIn(AvailableLanguages)  // Verifies that the language is supported
+      .withMessage(`Preferred language must be one of: ${AvailableLanguages.join(", ")}`),
   ];
 };
 
@@ -62,6 +132,58 @@ const userLoginValidator = () => {
   ];
 };
 
+//-----------------------------------------------------------------------------------------------------------
+// VALIDATOR FOR THE SECOND LOGIN STEP (2FA)
+// Defines validation rules for exchanging a challenge token and a code for the real tokens
+//-----------------------------------------------------------------------------------------------------------
+const userLoginTwoFactorValidator = () => {
+  return [
+    // Validator for challengeToken field (returned by the first login step)
+    body("challengeToken")
+      .notEmpty()  // Verifies that the field is not empty
+      .withMessage("Challenge token is required"),  // Error message if token is empty
+
+    // Validator for code field (TOTP code or recovery code)
+    body("code")
+      .trim()  // Removes whitespace from beginning and end of string
+      .notEmpty()  // Verifies that the field is not empty
+      .withMessage("Code is required")  // Error message if code is empty
+  ];
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// VALIDATOR FOR 2FA CONFIRMATION
+// Defines validation rules for confirming the enrolment with the first TOTP code
+//-----------------------------------------------------------------------------------------------------------
+const twoFactorCodeValidator = () => {
+  return [
+    // Validator for code field (6 digits shown by the authenticator app)
+    body("code")
+      .trim()  // Removes whitespace from beginning and end of string
+      .notEmpty()  // Verifies that the field is not empty
+      .withMessage("Code is required")  // Error message if code is empty
+  ];
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// VALIDATOR FOR 2FA DISABLING
+// Defines validation rules for turning off 2FA (password and code are both required)
+//-----------------------------------------------------------------------------------------------------------
+const disableTwoFactorValidator = () => {
+  return [
+    // Validator for password field (current password)
+    body("password")
+      .notEmpty()  // Verifies that the field is not empty
+      .withMessage("Password is required"),  // Error message if password is empty
+
+    // Validator for code field (TOTP code or recovery code)
+    body("code")
+      .trim()  // Removes whitespace from beginning and end of string
+      .notEmpty()  // Verifies that the field is not empty
+      .withMessage("Code is required")  // Error message if code is empty
+  ];
+};
+
 //-----------------------------------------------------------------------------------------------------------
 // VALIDATOR FOR PASSWORD CHANGE
 // Defines validation rules for changing current password
@@ -148,15 +270,452 @@ const addMembertoProjectValidator = () => {
   ];
 };
 
+//-----------------------------------------------------------------------------------------------------------
+// VALIDATOR FOR UPDATING A MEMBER ROLE
+// Defines validation rules for changing the role of an existing project member
+//-----------------------------------------------------------------------------------------------------------
+const updateMemberRoleValidator = () => {
+  return [
+    // Validator for newRole field (new role of the member in the project)
+    body("newRole")
+      .notEmpty()  // Verifies that the field is not empty
+      .withMessage("Role is required")  // Error message if role is empty
+      .isIn(AvailableUserRole)  // Verifies that role is among available roles
+      .withMessage("Role is invalid")  // Error message if role is not valid
+  ];
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// VALIDATORS FOR THE PLANNING FIELDS OF A TASK
+// Shared by task creation and update: priority, dates and labels are optional in both
+//-----------------------------------------------------------------------------------------------------------
+const taskPlanningValidator = () => {
+  return [
+    // Validator for priority field
+    body("priority")
+      .optional()  // Priority field is optional (defaults to medium)
+      .isIn(AvailableTaskPriorities)  // Verifies that priority is among available priorities
+      .withMessage("Priority is invalid"),  // Error message if priority is not valid
+
+    // Validators for startDate and dueDate fields (null removes the date in an update)
+    // The model checks that the due date is not before the start date
+    body("startDate")
+      .optional({ values: "null" })  // Start date is optional, null clears it
+      .isISO8601()  // Verifies that the value is a date (ex: 2025-03-01 or 2025-03-01T09:00:00Z)
+      .withMessage("Start date must be a valid date")  // Error message if not a date
+      .toDate(),  // Converts the string to a Date
+    body("dueDate")
+      .optional({ values: "null" })  // Due date is optional, null clears it
+      .isISO8601()  // Verifies that the value is a date
+      .withMessage("Due date must be a valid date")  // Error message if not a date
+      .toDate(),  // Converts the string to a Date
+
+    // Validator for labels field (IDs of labels of the project catalogue, [] removes every label)
+    body("labels")
+      .optional()  // Labels field is optional
+      .customSanitizer((value) => [...new Set([].concat(value).map(String))])  // A multipart form sends one label as a string, duplicates are ignored
+      .custom(async (labels, { req }) => {
+        // Malformed IDs are reported by the labels.* validator below
+        if (!labels.every((id) => mongoose.isValidObjectId(id))) return true;
+
+        const count = await Label.countDocuments({
+          _id: { $in: labels },
+          project: req.params.projectId,
+        });
+        if (count !== labels.length) {
+          throw new Error("Labels must belong to this project");
+        }
+        return true;
+      }),
+    body("labels.*")
+      .isMongoId()  // Verifies that every label is a valid MongoDB ObjectId
+      .withMessage("Label is invalid"),  // Error message if ID is not valid
+  ];
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// VALIDATOR FOR TASK CREATION
+// Defines validation rules for creating a new task
+//-----------------------------------------------------------------------------------------------------------
+const createTaskValidator = () => {
+  return [
+    // Validator for title field (task title)
+    body("title")
+      .trim()  // Removes whitespace from beginning and end of string
+      .notEmpty()  // Verifies that the field is not empty
+      .withMessage("Title is required"),  // Error message if title is empty
+
+    // Validator for description field (task description)
+    body("description")
+      .optional()  // Description field is optional
+      .trim(),  // If present, removes whitespace from beginning and end
+
+    // Validator for assignedTo field (ID of the assigned member)
+    body("assignedTo")
+      .optional()  // A task can be created without assignee
+      .isMongoId()  // Verifies that the value is a valid MongoDB ObjectId
+      .withMessage("Assignee is invalid"),  // Error message if ID is not valid
+
+    // Validator for status field (initial task status)
+    body("status")
+      .optional()  // Status field is optional (defaults to todo)
+      .isIn(AvailableTaskStatues)  // Verifies that status is among available states
+      .withMessage("Status is invalid"),  // Error message if status is not valid
+
+    // Validators for priority, dates and labels
+    ...taskPlanningValidator(),
+  ];
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// VALIDATOR FOR TASK UPDATE
+// Defines validation rules for updating an existing task (every field is optional)
+//-----------------------------------------------------------------------------------------------------------
+const updateTaskValidator = () => {
+  return [
+    // Validator for title field (cannot be emptied if provided)
+    body("title")
+      .optional()  // Title field is optional in update
+      .trim()  // Removes whitespace from beginning and end of string
+      .notEmpty()  // Verifies that the field is not empty
+      .withMessage("Title cannot be empty"),  // Error message if title is empty
+
+    // Validator for description field
+    body("description")
+      .optional()  // Description field is optional
+      .trim(),  // If present, removes whitespace from beginning and end
+
+    // Validator for assignedTo field (null unassigns the task)
+    body("assignedTo")
+      .optional({ values: "null" })  // Assignee field is optional in update, null is accepted
+      .isMongoId()  // Verifies that the value is a valid MongoDB ObjectId
+      .withMessage("Assignee is invalid"),  // Error message if ID is not valid
+
+    // Validator for status field
+    body("status")
+      .optional()  // Status field is optional in update
+      .isIn(AvailableTaskStatues)  // Verifies that status is among available states
+      .withMessage("Status is invalid"),  // Error message if status is not valid
+
+    // Validators for priority, dates and labels
+    ...taskPlanningValidator(),
+  ];
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// VALIDATOR FOR SUBTASK CREATION
+// Defines validation rules for creating a new subtask
+//-----------------------------------------------------------------------------------------------------------
+const createSubTaskValidator = () => {
+  return [
+    // Validator for title field (subtask title)
+    body("title")
+      .trim()  // Removes whitespace from beginning and end of string
+      .notEmpty()  // Verifies that the field is not empty
+      .withMessage("Title is required")  // Error message if title is empty
+  ];
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// VALIDATOR FOR SUBTASK UPDATE
+// Defines validation rules for updating an existing subtask (every field is optional)
+//-----------------------------------------------------------------------------------------------------------
+const updateSubTaskValidator = () => {
+  return [
+    // Validator for title field (cannot be emptied if provided)
+    body("title")
+      .optional()  // Title field is optional in update
+      .trim()  // Removes whitespace from beginning and end of string
+      .notEmpty()  // Verifies that the field is not empty
+      .withMessage("Title cannot be empty"),  // Error message if title is empty
+
+    // Validator for isCompleted field (completion flag)
+    body("isCompleted")
+      .optional()  // Completion flag is optional in update
+      .isBoolean()  // Verifies that the value is a boolean (true/false)
+      .withMessage("isCompleted must be a boolean")  // Error message if not a boolean
+      .toBoolean()  // Converts "true"/"false" strings to real booleans
+  ];
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// VALIDATOR FOR NOTE CREATION AND UPDATE
+// Defines validation rules for writing the content of a project note
+//-----------------------------------------------------------------------------------------------------------
+const projectNoteValidator = () => {
+  return [
+    // Validator for content field (text of the note)
+    body("content")
+      .trim()  // Removes whitespace from beginning and end of string
+      .notEmpty()  // Verifies that the field is not empty
+      .withMessage("Content is required")  // Error message if content is empty
+  ];
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// VALIDATOR FOR TASK COMMENT CREATION AND UPDATE
+// Defines validation rules for writing the content of a comment (@username mentions are plain text)
+//-----------------------------------------------------------------------------------------------------------
+const taskCommentValidator = () => {
+  return [
+    // Validator for content field (text of the comment)
+    body("content")
+      .trim()  // Removes whitespace from beginning and end of string
+      .notEmpty()  // Verifies that the field is not empty
+      .withMessage("Content is required")  // Error message if content is empty
+      .isLength({ max: COMMENT_MAX_LENGTH })  // Same limit of the Comment model
+      .withMessage(`Content must be at most ${COMMENT_MAX_LENGTH} characters long`),  // Error message if too long
+  ];
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// VALIDATORS FOR LABEL CREATION AND UPDATE
+// Same fields for both, every field is optional in an update
+//-----------------------------------------------------------------------------------------------------------
+const labelFieldsValidator = ({ optional }) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    // Validator for name field (text of the label)
+    field("name")
+      .trim()  // Removes whitespace from beginning and end of string
+      .notEmpty()  // Verifies that the field is not empty
+      .withMessage("Name is required")  // Error message if name is empty
+      .isLength({ max: LABEL_NAME_MAX_LENGTH })  // Same limit of the Label model
+      .withMessage(`Name must be at most ${LABEL_NAME_MAX_LENGTH} characters long`),  // Error message if too long
+
+    // Validator for color field (#rrggbb)
+    body("color")
+      .optional()  // Color field is optional (grey by default)
+      .trim()  // Removes whitespace from beginning and end of string
+      .matches(LABEL_COLOR_PATTERN)  // Verifies the #rrggbb format
+      .withMessage("Color must be a hex color like #1d76db"),  // Error message if not a color
+
+    // Validator for description field
+    body("description")
+      .optional()  // Description field is optional
+      .trim()  // If present, removes whitespace from beginning and end
+      .isLength({ max: 200 })  // Short explanation
+      .withMessage("Description must be at most 200 characters long"),  // Error message if too long
+  ];
+};
+
+const createLabelValidator = () => labelFieldsValidator({ optional: false });
+
+const updateLabelValidator = () => labelFieldsValidator({ optional: true });
+
+//-----------------------------------------------------------------------------------------------------------
+// VALIDATORS FOR WEBHOOK REGISTRATION AND UPDATE
+// Same fields for both, every field is optional in an update
+//-----------------------------------------------------------------------------------------------------------
+const webhookFieldsValidator = ({ optional }) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    // Validator for url field (endpoint receiving the events)
+    field("url")
+      .trim()  // Removes whitespace from beginning and end of string
+      .notEmpty()  // Verifies that the field is not empty
+      .withMessage("URL is required")  // Error message if URL is empty
+      .isURL({ protocols: ["http", "https"], require_protocol: true, require_tld: false })  // localhost is accepted
+      .withMessage("URL must be a valid http(s) URL"),  // Error message if URL is not valid
+
+    // Validator for events field (events the endpoint is subscribed to)
+    field("events")
+      .isArray({ min: 1 })  // Verifies that the value is a non-empty array
+      .withMessage("Events must be a non-empty array"),  // Error message if not an array
+    body("events.*")
+      .isIn(AvailableWebhookEvents)  // Verifies that every event is among available events
+      .withMessage(`Event must be one of: ${AvailableWebhookEvents.join(", ")}`),  // Error message if unknown
+
+    // Validator for description field
+    body("description")
+      .optional()  // Description field is optional
+      .trim()  // If present, removes whitespace from beginning and end
+      .isLength({ max: 200 })  // Short label
+      .withMessage("Description must be at most 200 characters long"),  // Error message if too long
+
+    // Validator for active field (paused webhooks receive nothing)
+    body("active")
+      .optional()  // Active field is optional (defaults to true)
+      .isBoolean()  // Verifies that the value is a boolean (true/false)
+      .withMessage("active must be a boolean")  // Error message if not a boolean
+      .toBoolean(),  // Converts "true"/"false" strings to real booleans
+  ];
+};
+
+const createWebhookValidator = () => webhookFieldsValidator({ optional: false });
+
+const updateWebhookValidator = () => webhookFieldsValidator({ optional: true });
+
+// Validator for limit query parameter (size of a page): 1..100, 20 by default
+const limitQueryValidator = () =>
+  query("limit")
+    .default(20)  // 20 items per page when missing
+    .isInt({ min: 1, max: 100 })  // Verifies that the limit is between 1 and 100
+    .withMessage("Limit must be an integer between 1 and 100")  // Error message if not valid
+    .toInt();  // Converts the string to a number
+
+//-----------------------------------------------------------------------------------------------------------
+// VALIDATOR FOR PAGED LISTS
+// ?page=1..  &limit=1..100 (20 by default), converted to numbers
+// Read the values with matchedData(req): Express 5 doesn't let validators rewrite req.query
+//-----------------------------------------------------------------------------------------------------------
+const paginationValidator = () => {
+  return [
+    // Validator for page query parameter (first page by default)
+    query("page")
+      .default(1)  // First page when missing
+      .isInt({ min: 1 })  // Verifies that the page is a positive integer
+      .withMessage("Page must be a positive integer")  // Error message if not valid
+      .toInt(),  // Converts the string to a number
+
+    limitQueryValidator(),
+  ];
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// VALIDATOR FOR AUDIT LOG FILTERS
+// Paging plus ?action=login  &outcome=success|failure (unknown values are rejected instead of matching nothing)
+//-----------------------------------------------------------------------------------------------------------
+const auditEventsQueryValidator = () => {
+  return [
+    ...paginationValidator(),
+
+    // Validator for action query parameter
+    query("action")
+      .optional()  // All actions when missing
+      .isIn(AvailableAuditActions)  // Verifies that the action is a known one
+      .withMessage(`Action must be one of: ${AvailableAuditActions.join(", ")}`),  // Error message if unknown
+
+    // Validator for outcome query parameter
+    query("outcome")
+      .optional()  // Both outcomes when missing
+      .isIn(AvailableAuditOutcomes)  // Verifies that the outcome is a known one
+      .withMessage(`Outcome must be one of: ${AvailableAuditOutcomes.join(", ")}`),  // Error message if unknown
+  ];
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// VALIDATOR FOR ACTIVITY FEED FILTERS
+// ?limit=1..100 (20 by default)  &cursor=<nextCursor of the previous page>
+// &actor=<user ID>  &type=task_created,task_status_changed (one or more types, comma separated)
+//-----------------------------------------------------------------------------------------------------------
+const activityFeedQueryValidator = () => {
+  return [
+    limitQueryValidator(),
+
+    // Validator for cursor query parameter (ID of the last activity of the previous page)
+    query("cursor")
+      .optional()  // First page when missing
+      .isMongoId()  // Verifies that the value is a valid MongoDB ObjectId
+      .withMessage("Cursor is invalid"),  // Error message if ID is not valid
+
+    // Validator for actor query parameter (member who did the changes)
+    query("actor")
+      .optional()  // Every member when missing
+      .isMongoId()  // Verifies that the value is a valid MongoDB ObjectId
+      .withMessage("Actor must be a user ID"),  // Error message if ID is not valid
+
+    // Validator for type query parameter (comma separated list)
+    query("type")
+      .optional()  // Every type when missing
+      .customSanitizer((value) => String(value).split(",").map((type) => type.trim()))  // "a,b" -> ["a", "b"]
+      .isIn(AvailableActivityTypes)  // Verifies that every type is a known one
+      .withMessage(`Type must be one of: ${AvailableActivityTypes.join(", ")}`),  // Error message if unknown
+  ];
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// VALIDATOR FOR WEBHOOK DELIVERY LOG FILTERS
+// Paging plus ?status=pending|sending|delivered|failed
+//-----------------------------------------------------------------------------------------------------------
+const webhookDeliveriesQueryValidator = () => {
+  return [
+    ...paginationValidator(),
+
+    // Validator for status query parameter
+    query("status")
+      .optional()  // Every status when missing
+      .isIn(AvailableWebhookDeliveryStatuses)  // Verifies that the status is a known one
+      .withMessage(`Status must be one of: ${AvailableWebhookDeliveryStatuses.join(", ")}`),  // Error message if unknown
+  ];
+};
+
+//-----------------------------------------------------------------------------------------------------------
+// VALIDATOR FOR TASK LIST FILTERS
+// ?label=<label ID>[,<label ID>...]  tasks having every listed label
+// ?priority=high,urgent              tasks having one of the priorities
+// ?overdue=true|false                due date passed and not done (or the opposite)
+// ?assignee=<user ID>|me|none        tasks of a member, of the caller, or unassigned
+//-----------------------------------------------------------------------------------------------------------
+const taskFiltersQueryValidator = () => {
+  // "a, b" -> ["a", "b"] (empty items are ignored)
+  const toList = (value) =>
+    String(value)
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+
+  return [
+    // Validator for label query parameter (comma separated label IDs)
+    query("label")
+      .optional()  // Every label when missing
+      .customSanitizer(toList)  // Converts the list to an array
+      .isMongoId()  // Verifies that every item is a valid MongoDB ObjectId
+      .withMessage("Label must be a label ID"),  // Error message if ID is not valid
+
+    // Validator for priority query parameter (comma separated priorities)
+    query("priority")
+      .optional()  // Every priority when missing
+      .customSanitizer(toList)  // Converts the list to an array
+      .isIn(AvailableTaskPriorities)  // Verifies that every priority is a known one
+      .withMessage(`Priority must be one of: ${AvailableTaskPriorities.join(", ")}`),  // Error message if unknown
+
+    // Validator for overdue query parameter
+    query("overdue")
+      .optional()  // Overdue and on-time tasks when missing
+      .isIn(["true", "false"])  // Only the two words are accepted
+      .withMessage("Overdue must be true or false")  // Error message if not valid
+      .toBoolean(true),  // Converts "true" to true and "false" to false
+
+    // Validator for assignee query parameter
+    query("assignee")
+      .optional()  // Every task when missing
+      .custom((value) => ["me", "none"].includes(value) || mongoose.isObjectIdOrHexString(value))  // User ID, me or none
+      .withMessage("Assignee must be a user ID, me or none"),  // Error message if not valid
+  ];
+};
+
 //-----------------------------------------------------------------------------------------------------------
 // EXPORT ALL VALIDATORS
 //-----------------------------------------------------------------------------------------------------------
 export {
   userRegisterValidator,
+  userUpdateProfileValidator,
   userLoginValidator,
+  userLoginTwoFactorValidator,
+  twoFactorCodeValidator,
+  disableTwoFactorValidator,
   userChangeCurrentPasswordValidator,
   userForgotPasswordValidator,
   userResetForgotPasswordValidator,
   createProjectValidator,
   addMembertoProjectValidator,
+  updateMemberRoleValidator,
+  createTaskValidator,
+  updateTaskValidator,
+  createSubTaskValidator,
+  updateSubTaskValidator,
+  projectNoteValidator,
+  taskCommentValidator,
+  createLabelValidator,
+  updateLabelValidator,
+  createWebhookValidator,
+  updateWebhookValidator,
+  paginationValidator,
+  auditEventsQueryValidator,
+  activityFeedQueryValidator,
+  webhookDeliveriesQueryValidator,
+  taskFiltersQueryValidator,
 };
\ No newline at end of file